@@ -0,0 +1,151 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const METRIC_FIELDS = ['views', 'watch_time_minutes', 'impressions', 'likes', 'subscribers_gained'];
+
+function toDateString(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function formatDuration(minutes) {
+  const totalSeconds = Math.round(minutes * 60);
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Daily per-video metrics (views, watch time, CTR, likes, subscribers gained)
+ * stored in the `video_metrics` collection of a ContentStore, one record per
+ * video and day. Reports aggregate them over a date range and compare with
+ * the preceding range of the same length.
+ */
+class ContentAnalytics {
+  constructor(store) {
+    this.store = store;
+  }
+
+  // Insert or replace the metrics for (video_id, date)
+  ingest(metric) {
+    const id = `${metric.video_id}:${metric.date}`;
+    const record = {
+      video_id: metric.video_id,
+      date: metric.date,
+      ...Object.fromEntries(METRIC_FIELDS.map(field => [field, metric[field] || 0])),
+      ctr: metric.ctr === undefined ? null : metric.ctr
+    };
+
+    if (this.store.get('video_metrics', id)) {
+      return { record: this.store.update('video_metrics', id, record), created: false };
+    }
+    return { record: this.store.insert('video_metrics', { id, ...record }), created: true };
+  }
+
+  list({ from, to, video_id } = {}) {
+    return this.store.find('video_metrics', metric =>
+      (!from || metric.date >= from) &&
+      (!to || metric.date <= to) &&
+      (!video_id || metric.video_id === video_id)
+    );
+  }
+
+  /**
+   * Sum metrics and derive rates. CTR is impression-weighted when
+   * impressions were reported, otherwise a plain average of reported CTRs.
+   */
+  aggregate(metrics) {
+    const totals = Object.fromEntries(METRIC_FIELDS.map(field => [field, 0]));
+    let clicks = 0;
+    let ctrSum = 0;
+    let ctrCount = 0;
+
+    for (const metric of metrics) {
+      for (const field of METRIC_FIELDS) totals[field] += metric[field] || 0;
+      if (metric.ctr !== null && metric.ctr !== undefined) {
+        clicks += (metric.impressions || 0) * (metric.ctr / 100);
+        ctrSum += metric.ctr;
+        ctrCount += 1;
+      }
+    }
+
+    let ctr = null;
+    if (totals.impressions && clicks) ctr = round((clicks / totals.impressions) * 100);
+    else if (ctrCount) ctr = round(ctrSum / ctrCount);
+
+    const averageViewMinutes = totals.views ? totals.watch_time_minutes / totals.views : 0;
+    return {
+      ...totals,
+      watch_time_minutes: round(totals.watch_time_minutes),
+      ctr,
+      engagement_rate: totals.views ? round((totals.likes / totals.views) * 100) : 0,
+      average_view_duration_minutes: round(averageViewMinutes),
+      average_watch_time: formatDuration(averageViewMinutes)
+    };
+  }
+
+  delta(current, previous) {
+    const change = current - previous;
+    return {
+      current,
+      previous,
+      change: round(change),
+      change_percent: previous ? round((change / previous) * 100) : null
+    };
+  }
+
+  daily(metrics) {
+    const byDate = new Map();
+    for (const metric of metrics) {
+      if (!byDate.has(metric.date)) byDate.set(metric.date, []);
+      byDate.get(metric.date).push(metric);
+    }
+    return [...byDate.keys()].sort().map(date => {
+      const { views, watch_time_minutes, likes, subscribers_gained, ctr } = this.aggregate(byDate.get(date));
+      return { date, views, watch_time_minutes, likes, subscribers_gained, ctr };
+    });
+  }
+
+  /**
+   * Report for [from, to] (inclusive, default: last 28 days) with per-video
+   * breakdown, daily series and deltas against the previous period.
+   */
+  report({ from, to, video_id } = {}) {
+    const end = to || toDateString(Date.now());
+    const start = from || toDateString(Date.parse(end) - 27 * DAY_MS);
+    const days = Math.round((Date.parse(end) - Date.parse(start)) / DAY_MS) + 1;
+    const previousEnd = toDateString(Date.parse(start) - DAY_MS);
+    const previousStart = toDateString(Date.parse(start) - days * DAY_MS);
+
+    const metrics = this.list({ from: start, to: end, video_id });
+    const current = this.aggregate(metrics);
+    const previous = this.aggregate(this.list({ from: previousStart, to: previousEnd, video_id }));
+
+    const byVideo = new Map();
+    for (const metric of metrics) {
+      if (!byVideo.has(metric.video_id)) byVideo.set(metric.video_id, []);
+      byVideo.get(metric.video_id).push(metric);
+    }
+
+    return {
+      range: { from: start, to: end, days },
+      previous_range: { from: previousStart, to: previousEnd },
+      totals: current,
+      deltas: Object.fromEntries(
+        ['views', 'watch_time_minutes', 'likes', 'subscribers_gained', 'ctr', 'engagement_rate']
+          .map(field => [field, this.delta(current[field] || 0, previous[field] || 0)])
+      ),
+      daily: this.daily(metrics),
+      per_video: [...byVideo.entries()]
+        .map(([videoId, videoMetrics]) => ({ video_id: videoId, ...this.aggregate(videoMetrics) }))
+        .sort((a, b) => b.views - a.views)
+    };
+  }
+
+  lifetimeSubscribers() {
+    return this.store.find('video_metrics').reduce((sum, metric) => sum + (metric.subscribers_gained || 0), 0);
+  }
+}
+
+module.exports = { ContentAnalytics };
@@ -0,0 +1,269 @@
+const fs = require('fs');
+const { ApiError } = require('./content-validation');
+
+const CALENDAR_STATES = ['planned', 'scripted', 'rendered', 'ready', 'published'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Content calendar driven by config/calendar.json.
+ *
+ * Entries are synced into the `calendar` collection of a ContentStore and
+ * given publish dates (one every `cadenceDays`, starting at `startDate`).
+ * A scheduler tick enqueues script generation `leadHours` before each publish
+ * date, chains video creation when the script job completes, and marks the
+ * entry ready once its date passes with a rendered video. Nothing is uploaded
+ * here: the operator or uploader marks it published (POST /calendar/:id/publish):
+ *
+ *   planned -> scripted -> rendered -> ready -> published
+ *
+ * Failed jobs are retried on a later tick after `retryDelayMs`.
+ */
+class ContentCalendar {
+  constructor(store, jobs, options = {}) {
+    this.store = store;
+    this.jobs = jobs;
+    this.createVideo = options.createVideo;
+    this.configPath = options.configPath;
+    this.startDate = options.startDate || null;
+    // Checked here so a bad CALENDAR_START_DATE stops startup instead of the first sync
+    if (this.startDate && Number.isNaN(Date.parse(this.startDate))) {
+      throw new Error(`Invalid calendar start date "${this.startDate}": expected a date such as 2026-11-01`);
+    }
+    this.cadenceDays = options.cadenceDays || 2;
+    this.publishHour = options.publishHour === undefined ? 15 : options.publishHour;
+    this.leadHours = options.leadHours === undefined ? 24 : options.leadHours;
+    this.retryDelayMs = options.retryDelayMs || 60 * 60 * 1000;
+    this.tickMs = options.tickMs || 60000;
+    this.scriptDefaults = { length: 10, style: 'educational', ...options.scriptDefaults };
+    this.timer = null;
+
+    this.jobs.on('completed', job => this.onJobCompleted(job));
+    this.jobs.on('failed', job => this.onJobFailed(job));
+    this.jobs.on('cancelled', job => this.onJobFailed(job));
+  }
+
+  loadConfig() {
+    if (!this.configPath || !fs.existsSync(this.configPath)) return [];
+    return JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+  }
+
+  firstPublishDate() {
+    const start = this.startDate ? new Date(this.startDate) : new Date(Date.now() + DAY_MS);
+    start.setUTCHours(this.publishHour, 0, 0, 0);
+    return start;
+  }
+
+  /**
+   * Id for a config title: its slug, suffixed (`-2`, `-3`, ...) when another
+   * title already uses that slug. Returns `{ id, existing }`, where
+   * `existing` is the stored entry for this title if it was synced before.
+   */
+  entryId(title) {
+    const base = slugify(title) || 'entry';
+    for (let n = 1; ; n += 1) {
+      const id = n === 1 ? base : `${base}-${n}`;
+      const existing = this.store.get('calendar', id);
+      if (!existing || existing.title === title) return { id, existing };
+    }
+  }
+
+  /**
+   * Add config entries that are not in the store yet. New entries are
+   * scheduled after the last existing publish date so re-syncing never moves
+   * something already planned.
+   */
+  sync() {
+    const existing = this.store.find('calendar');
+    const lastPublish = existing.reduce((latest, entry) => Math.max(latest, Date.parse(entry.publish_at)), 0);
+    let next = lastPublish
+      ? new Date(lastPublish + this.cadenceDays * DAY_MS)
+      : this.firstPublishDate();
+    let added = 0;
+    const seen = new Set();
+
+    for (const item of this.loadConfig()) {
+      if (seen.has(item.title)) {
+        console.warn(`⚠️  Content calendar: skipping duplicate title "${item.title}"`);
+        continue;
+      }
+      seen.add(item.title);
+
+      const { id, existing } = this.entryId(item.title);
+      if (existing) continue;
+      if (id !== slugify(item.title)) {
+        console.warn(`⚠️  Content calendar: "${item.title}" shares its id with another title; using ${id}`);
+      }
+
+      this.store.insert('calendar', {
+        id,
+        title: item.title,
+        description: item.description || '',
+        tags: item.tags || [],
+        monetization: Boolean(item.monetization),
+        estimated_revenue: item.estimated_revenue || null,
+        publish_at: next.toISOString(),
+        state: 'planned',
+        script_job_id: null,
+        script_id: null,
+        video_job_id: null,
+        video_id: null,
+        next_attempt_at: null,
+        last_error: null,
+        history: [{ state: 'planned', at: new Date().toISOString() }]
+      });
+      next = new Date(next.getTime() + this.cadenceDays * DAY_MS);
+      added += 1;
+    }
+
+    if (added) console.log(`📅 Content calendar: scheduled ${added} new entries`);
+    return added;
+  }
+
+  list({ state } = {}) {
+    return this.store.find('calendar', entry => !state || entry.state === state)
+      .sort((a, b) => a.publish_at.localeCompare(b.publish_at))
+      .map(entry => this.describe(entry));
+  }
+
+  get(id) {
+    const entry = this.store.get('calendar', id);
+    return entry ? this.describe(entry) : null;
+  }
+
+  describe(entry) {
+    return {
+      ...entry,
+      prepare_at: new Date(Date.parse(entry.publish_at) - this.leadHours * 60 * 60 * 1000).toISOString()
+    };
+  }
+
+  reschedule(id, publishAt) {
+    const entry = this.store.get('calendar', id);
+    if (!entry) return null;
+    if (entry.state === 'published') throw new ApiError(409, 'conflict', `Entry already published: ${id}`);
+
+    const publish_at = new Date(publishAt).toISOString();
+    // A ready entry moved to a later date waits for it again
+    if (entry.state === 'ready' && Date.parse(publish_at) > Date.now()) {
+      return this.describe(this.transition(entry, 'rendered', { publish_at }));
+    }
+    return this.describe(this.store.update('calendar', id, { publish_at }));
+  }
+
+  // Record that the rendered video went out (called by the operator or uploader)
+  publish(id, { url } = {}) {
+    const entry = this.store.get('calendar', id);
+    if (!entry) return null;
+    if (entry.state === 'published') throw new ApiError(409, 'conflict', `Entry already published: ${id}`);
+    if (!['rendered', 'ready'].includes(entry.state)) {
+      throw new ApiError(409, 'conflict', `Entry has no rendered video yet: ${id} is ${entry.state}`);
+    }
+
+    const published = this.transition(entry, 'published', {
+      published_at: new Date().toISOString(),
+      published_url: url || null
+    });
+    console.log(`📅 Published "${entry.title}"`);
+    return this.describe(published);
+  }
+
+  transition(entry, state, changes = {}) {
+    return this.store.update('calendar', entry.id, {
+      ...changes,
+      state,
+      last_error: null,
+      next_attempt_at: null,
+      history: [...entry.history, { state, at: new Date().toISOString() }]
+    });
+  }
+
+  isDue(entry, now) {
+    return !entry.next_attempt_at || Date.parse(entry.next_attempt_at) <= now;
+  }
+
+  tick(now = Date.now()) {
+    for (const entry of this.store.find('calendar')) {
+      const prepareAt = Date.parse(entry.publish_at) - this.leadHours * 60 * 60 * 1000;
+
+      if (entry.state === 'planned' && !entry.script_job_id && now >= prepareAt && this.isDue(entry, now)) {
+        this.enqueueScript(entry);
+      } else if (entry.state === 'scripted' && !entry.video_job_id && this.isDue(entry, now)) {
+        this.enqueueVideo(entry);
+      } else if (entry.state === 'rendered' && now >= Date.parse(entry.publish_at)) {
+        this.transition(entry, 'ready');
+        console.log(`📅 "${entry.title}" is ready to publish`);
+      }
+    }
+  }
+
+  enqueueScript(entry) {
+    const job = this.jobs.enqueue('generate-script', {
+      topic: entry.title,
+      ...this.scriptDefaults,
+      calendar_id: entry.id
+    });
+    this.store.update('calendar', entry.id, { script_job_id: job.id });
+    console.log(`📅 Generating script for "${entry.title}" (${job.id})`);
+  }
+
+  enqueueVideo(entry) {
+    const { job, video } = this.createVideo({
+      script_id: entry.script_id,
+      title: entry.title,
+      description: entry.description,
+      calendar_id: entry.id
+    });
+    this.store.update('calendar', entry.id, { video_job_id: job.id, video_id: video.id });
+    console.log(`📅 Rendering video for "${entry.title}" (${job.id})`);
+  }
+
+  findByJob(job) {
+    const calendarId = job.payload && job.payload.calendar_id;
+    return calendarId ? this.store.get('calendar', calendarId) : null;
+  }
+
+  onJobCompleted(job) {
+    const entry = this.findByJob(job);
+    if (!entry) return;
+
+    if (job.type === 'generate-script' && entry.state === 'planned') {
+      this.transition(entry, 'scripted', { script_id: job.result.scriptId });
+      this.enqueueVideo(this.store.get('calendar', entry.id));
+    } else if (job.type === 'create-video' && entry.state === 'scripted') {
+      this.transition(entry, 'rendered', { video_id: job.result.videoId });
+    }
+  }
+
+  // Clear the job so the next due tick tries this step again
+  onJobFailed(job) {
+    const entry = this.findByJob(job);
+    if (!entry) return;
+
+    const jobField = job.type === 'generate-script' ? 'script_job_id' : 'video_job_id';
+    if (entry[jobField] !== job.id) return;
+
+    this.store.update('calendar', entry.id, {
+      [jobField]: null,
+      last_error: job.error || `Job ${job.status}`,
+      next_attempt_at: new Date(Date.now() + this.retryDelayMs).toISOString()
+    });
+    console.error(`❌ Calendar step failed for "${entry.title}":`, job.error || job.status);
+  }
+
+  start() {
+    this.sync();
+    this.tick();
+    this.timer = setInterval(() => this.tick(), this.tickMs);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = { ContentCalendar, CALENDAR_STATES };
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+
+// Deferred changes (e.g. render progress) are written at most this often
+const DEFERRED_SAVE_MS = 1000;
+
+/**
+ * File-backed persistence for the content service.
+ * Records live in named collections inside a single JSON document that is
+ * rewritten atomically (temp file + rename) on every change. Frequent,
+ * low-value changes can be deferred: they apply in memory at once and reach
+ * disk with the next save, at most DEFERRED_SAVE_MS later.
+ */
+class ContentStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.data = { version: 1, collections: {}, counters: {} };
+    this.saveTimer = null;
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    const raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    this.data = {
+      version: raw.version || 1,
+      collections: raw.collections || {},
+      counters: raw.counters || {}
+    };
+  }
+
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  saveSoon() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      try {
+        this.save();
+      } catch (error) {
+        console.error('❌ Failed to save content store:', error.message);
+      }
+    }, DEFERRED_SAVE_MS);
+    this.saveTimer.unref();
+  }
+
+  collection(name) {
+    if (!this.data.collections[name]) this.data.collections[name] = [];
+    return this.data.collections[name];
+  }
+
+  insert(name, record) {
+    const stored = { created_at: new Date().toISOString(), ...record };
+    this.collection(name).push(stored);
+    this.save();
+    return stored;
+  }
+
+  update(name, id, changes, { defer = false } = {}) {
+    const record = this.get(name, id);
+    if (!record) return null;
+
+    Object.assign(record, changes, { updated_at: new Date().toISOString() });
+    if (defer) this.saveSoon();
+    else this.save();
+    return record;
+  }
+
+  remove(name, id) {
+    const records = this.collection(name);
+    const index = records.findIndex(record => record.id === id);
+    if (index === -1) return false;
+
+    records.splice(index, 1);
+    this.save();
+    return true;
+  }
+
+  get(name, id) {
+    return this.collection(name).find(record => record.id === id) || null;
+  }
+
+  find(name, predicate = () => true) {
+    return this.collection(name).filter(predicate);
+  }
+
+  count(name) {
+    return this.collection(name).length;
+  }
+
+  getCounter(name) {
+    return this.data.counters[name] || 0;
+  }
+
+  increment(name, amount = 1) {
+    this.data.counters[name] = this.getCounter(name) + amount;
+    this.save();
+    return this.data.counters[name];
+  }
+}
+
+module.exports = { ContentStore };
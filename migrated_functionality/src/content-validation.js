@@ -0,0 +1,147 @@
+/**
+ * Request validation and the error envelope shared by every content service route:
+ *   { error: { code, message, details?: [{ field, message }] } }
+ */
+
+const STYLES = ['default', 'educational', 'entertaining', 'professional', 'listicle', 'review', 'short-form'];
+
+class ApiError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function notFound(message) {
+  return new ApiError(404, 'not_found', message);
+}
+
+const CODES_BY_STATUS = {
+  400: 'bad_request',
+  404: 'not_found',
+  409: 'conflict',
+  422: 'unprocessable'
+};
+
+function sendError(res, error) {
+  let status = error.status || error.statusCode || 500;
+  // Script validation failures from providers/templates are client errors
+  if (error.name === 'ScriptValidationError') status = 400;
+
+  const body = {
+    code: error instanceof ApiError
+      ? error.code
+      : (CODES_BY_STATUS[status] || (status >= 500 ? 'internal_error' : 'request_error')),
+    message: error.type === 'entity.parse.failed' ? 'Request body is not valid JSON' : error.message
+  };
+  if (error.details) body.details = error.details;
+
+  if (status >= 500) console.error('❌ Request failed:', error.message);
+  res.status(status).json({ error: body });
+}
+
+function checkField(field, rule, value) {
+  const expected = rule.type;
+
+  if (expected === 'string') {
+    if (typeof value !== 'string') return 'must be a string';
+    if (rule.minLength !== undefined && value.trim().length < rule.minLength) {
+      return rule.minLength === 1 ? 'must not be empty' : `must be at least ${rule.minLength} characters`;
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      return `must be at most ${rule.maxLength} characters`;
+    }
+    if (rule.pattern && !rule.pattern.test(value)) return rule.patternMessage || 'has an invalid format';
+  }
+
+  if (expected === 'integer' || expected === 'number') {
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+      return expected === 'integer' ? 'must be an integer' : 'must be a number';
+    }
+    if (expected === 'integer' && !Number.isInteger(value)) return 'must be an integer';
+    if (rule.min !== undefined && value < rule.min) return `must be at least ${rule.min}`;
+    if (rule.max !== undefined && value > rule.max) return `must be at most ${rule.max}`;
+  }
+
+  if (expected === 'boolean' && typeof value !== 'boolean') return 'must be a boolean';
+
+  if (expected === 'array') {
+    if (!Array.isArray(value)) return 'must be an array';
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      return `must have at most ${rule.maxItems} items`;
+    }
+    if (rule.items) {
+      for (let i = 0; i < value.length; i += 1) {
+        const message = checkField(`${field}[${i}]`, rule.items, value[i]);
+        if (message) return `item ${i} ${message}`;
+      }
+    }
+  }
+
+  if (expected === 'object' && (typeof value !== 'object' || value === null || Array.isArray(value))) {
+    return 'must be an object';
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) return `must be one of: ${rule.enum.join(', ')}`;
+  if (rule.check) return rule.check(value) || null;
+  return null;
+}
+
+// Query and path values arrive as strings; coerce the numeric/boolean ones
+function coerce(rule, value) {
+  if (typeof value !== 'string') return value;
+  if ((rule.type === 'integer' || rule.type === 'number') && value.trim() !== '') return Number(value);
+  if (rule.type === 'boolean' && ['true', 'false'].includes(value)) return value === 'true';
+  return value;
+}
+
+/**
+ * Validate `data` against a schema of `{ field: rule }`. Returns the cleaned
+ * object (unknown fields dropped, defaults applied) or throws a 400 ApiError
+ * listing every failing field.
+ */
+function validateInput(schema, data, { coerceStrings = false } = {}) {
+  const source = data && typeof data === 'object' ? data : {};
+  const details = [];
+  const result = {};
+
+  for (const [field, rule] of Object.entries(schema)) {
+    let value = source[field];
+    if (coerceStrings) value = coerce(rule, value);
+
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) details.push({ field, message: 'is required' });
+      else if (rule.default !== undefined) result[field] = rule.default;
+      continue;
+    }
+
+    const message = checkField(field, rule, value);
+    if (message) details.push({ field, message });
+    else result[field] = value;
+  }
+
+  if (details.length) {
+    throw new ApiError(400, 'validation_failed', 'Request validation failed', details);
+  }
+  return result;
+}
+
+// Express middleware validating req.body / req.query / req.params in place
+function validate(schemas) {
+  return (req, res, next) => {
+    try {
+      for (const source of ['params', 'query', 'body']) {
+        if (!schemas[source]) continue;
+        req[source] = validateInput(schemas[source], req[source], { coerceStrings: source !== 'body' });
+      }
+      next();
+    } catch (error) {
+      sendError(res, error);
+    }
+  };
+}
+
+module.exports = { STYLES, ApiError, notFound, sendError, validateInput, validate };
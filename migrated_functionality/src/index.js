@@ -1,26 +1,432 @@
 const express = require('express');
 const axios = require('axios');
-const ffmpeg = require('fluent-ffmpeg');
 const path = require('path');
 const fs = require('fs');
+const { ContentStore } = require('./content-store');
+const { renderScriptVideo, parseScriptSections } = require('./video-renderer');
+const { JobQueue, JOB_STATUSES } = require('./job-queue');
+const { RevenueLedger, REVENUE_SOURCES } = require('./revenue-ledger');
+const { ContentCalendar, CALENDAR_STATES } = require('./content-calendar');
+const { generateMetadata, buildUploadManifest } = require('./video-metadata');
+const { ContentAnalytics } = require('./content-analytics');
+const { PROVIDERS, createScriptProvider, buildPrompt, validateScript } = require('./script-providers');
+const { TemplateRegistry, renderTemplate } = require('./template-registry');
+const { STYLES, ApiError, notFound, sendError, validate, validateInput } = require('./content-validation');
+const { MetricsRegistry, registerProcessMetrics, requestMetrics, metricsHandler } = require('./prometheus-metrics');
 
 const app = express();
 const port = process.env.PORT || 8083;
 
+// Prometheus metrics, served from /metrics
+const metrics = new MetricsRegistry();
+registerProcessMetrics(metrics);
+
 // Middleware
 app.use(express.json());
+app.use(requestMetrics(metrics));
+
+// Ensure content directory exists (CONTENT_DIR moves scripts, videos and the database elsewhere)
+const contentDir = process.env.CONTENT_DIR || path.join(__dirname, 'generated');
+if (!fs.existsSync(contentDir)) fs.mkdirSync(contentDir, { recursive: true });
+
+// Persistent content data (scripts, videos and counters survive restarts)
+const store = new ContentStore(
+  process.env.CONTENT_DB_PATH || path.join(contentDir, 'content-db.json')
+);
+
+// Revenue is reported from ledger entries (manual or imported platform earnings)
+const ledger = new RevenueLedger(store);
+const MONTHLY_TARGET = 50000;
+
+// Daily per-video metrics ingested from the platform; /analytics aggregates them
+const analytics = new ContentAnalytics(store);
+
+function getContentTotals() {
+  const videos_created = store.find('videos', video => video.status === 'rendered').length;
+  const revenue = ledger.total();
+  return {
+    videos_created,
+    scripts_generated: store.count('scripts'),
+    revenue,
+    subscribers: analytics.lifetimeSubscribers(),
+    revenue_per_video: ledger.revenuePerVideo()
+  };
+}
+
+// Versioned script templates; bundled ones are seeded on first start
+const templates = new TemplateRegistry(
+  process.env.SCRIPT_TEMPLATES_DIR || path.join(contentDir, 'templates'),
+  {
+    seedDir: path.join(__dirname, 'script-templates'),
+    validate: content => validateScript(content, { topic: 'Sample', style: 'sample' })
+  }
+);
+
+// Script providers are created once per name and reused across jobs
+const scriptProviders = new Map();
+
+function getScriptProvider(name = process.env.SCRIPT_PROVIDER || 'template') {
+  if (!scriptProviders.has(name)) scriptProviders.set(name, createScriptProvider(name));
+  return scriptProviders.get(name);
+}
+
+async function generateScript(payload, job) {
+  const { topic, length, style, cta, sponsor } = payload;
+  const provider = getScriptProvider(payload.provider);
+  const template = templates.resolve({
+    templateId: payload.template_id,
+    version: payload.template_version,
+    style
+  });
+  const rendered = renderTemplate(template.content, { topic, length, style, cta, sponsor });
+  const prompt = buildPrompt({ topic, length, style, template: rendered });
+  const output = await provider.generate({
+    topic, length, style, prompt, template: rendered, signal: job.signal
+  });
+  const script = validateScript(output, { topic, style });
+
+  const scriptId = `script-${Date.now()}-${Math.random().toString(36).slice(2, 8)}.md`;
+  const scriptPath = path.join(contentDir, scriptId);
+  fs.writeFileSync(scriptPath, script);
+
+  const record = store.insert('scripts', {
+    id: scriptId,
+    title: parseScriptSections(script).title,
+    topic,
+    length,
+    style,
+    provider: provider.name,
+    template_id: template.id,
+    template_version: template.version,
+    file_path: scriptPath
+  });
+
+  return {
+    scriptId,
+    script,
+    provider: provider.name,
+    templateId: template.id,
+    templateVersion: template.version,
+    timestamp: record.created_at
+  };
+}
+
+// Build and store upload metadata (titles, chapters, tags) for a video
+function refreshVideoMetadata(videoId) {
+  const video = store.get('videos', videoId);
+  const scriptRecord = store.get('scripts', video.script_id);
+  const script = scriptRecord && fs.existsSync(scriptRecord.file_path)
+    ? fs.readFileSync(scriptRecord.file_path, 'utf8')
+    : '';
+  const calendarEntry = video.calendar_id ? store.get('calendar', video.calendar_id) : null;
+
+  const metadata = generateMetadata({ video, scriptRecord, script, calendarEntry });
+  store.update('videos', videoId, { metadata });
+  return metadata;
+}
+
+async function renderVideo({ video_id, audio_path }, job) {
+  const video = store.get('videos', video_id);
+  const scriptRecord = store.get('scripts', video.script_id);
+
+  store.update('videos', video.id, { status: 'rendering', job_id: job.id });
+  try {
+    const result = await renderScriptVideo({
+      script: fs.readFileSync(scriptRecord.file_path, 'utf8'),
+      outputPath: video.file_path,
+      audioPath: audio_path,
+      signal: job.signal,
+      onProgress: progress => {
+        store.update('videos', video.id, { progress }, { defer: true });
+        job.progress(progress);
+      }
+    });
+
+    store.update('videos', video.id, {
+      status: 'rendered',
+      progress: 100,
+      duration: result.duration,
+      slides: result.slides,
+      rendered_at: new Date().toISOString()
+    });
+    refreshVideoMetadata(video.id);
+    console.log(`🎬 Rendered ${video.id} (${result.duration.toFixed(1)}s)`);
+
+    return { videoId: video.id, videoPath: video.file_path, duration: result.duration };
+  } catch (error) {
+    const status = job.signal.aborted ? 'cancelled' : 'failed';
+    store.update('videos', video.id, { status, error: error.message });
+    console.error(`❌ Render ${status} for ${video.id} (attempt ${job.attempt}):`, error.message);
+    throw error;
+  }
+}
+
+// Background jobs: script generation and video rendering run outside the request
+const jobs = new JobQueue(store, {
+  concurrency: Number(process.env.JOB_CONCURRENCY) || 2,
+  backoffMs: Number(process.env.JOB_BACKOFF_MS) || 1000
+});
+jobs.register('generate-script', generateScript);
+jobs.register('create-video', renderVideo, { concurrency: 1, maxAttempts: 2 });
+jobs.on('cancelled', job => {
+  if (job.type === 'create-video') {
+    store.update('videos', job.payload.video_id, { status: 'cancelled' });
+  }
+});
+jobs.recover();
+
+metrics.gauge('content_jobs', 'Content jobs by type and status', ['type', 'status'], gauge => {
+  for (const type of jobs.handlers.keys()) {
+    for (const status of JOB_STATUSES) gauge.set({ type, status }, 0);
+  }
+  for (const job of store.find('jobs')) gauge.inc({ type: job.type, status: job.status });
+});
+const jobsFinished = metrics.counter('content_jobs_finished_total', 'Content jobs that reached a final status', ['type', 'status']);
+const jobDuration = metrics.histogram(
+  'content_job_duration_seconds',
+  'Run time of the final attempt of finished content jobs',
+  ['type', 'status'],
+  [1, 5, 15, 30, 60, 120, 300, 600, 1800]
+);
+for (const event of ['completed', 'failed', 'cancelled']) {
+  jobs.on(event, job => {
+    jobsFinished.inc({ type: job.type, status: job.status });
+    if (job.started_at && job.finished_at) {
+      jobDuration.observe({ type: job.type, status: job.status }, (Date.parse(job.finished_at) - Date.parse(job.started_at)) / 1000);
+    }
+  });
+}
+metrics.gauge('content_videos', 'Videos by status', ['status'], gauge => {
+  for (const video of store.find('videos')) gauge.inc({ status: video.status });
+});
+
+// With IZA_MASTER_URL set, job lifecycle events are published to the master
+// server's `jobs` WebSocket topic (IZA_MASTER_API_KEY needs the operator role)
+const PROGRESS_EVENT_INTERVAL_MS = 1000;
+if (process.env.IZA_MASTER_URL) {
+  const lastProgressAt = new Map();
+  const publishJobEvent = (event, job) => {
+    if (event === 'progress') {
+      if (Date.now() - (lastProgressAt.get(job.id) || 0) < PROGRESS_EVENT_INTERVAL_MS) return;
+      lastProgressAt.set(job.id, Date.now());
+    } else if (event !== 'queued' && event !== 'started') {
+      lastProgressAt.delete(job.id);
+    }
+
+    axios.post(`${process.env.IZA_MASTER_URL}/api/events`, {
+      topic: 'jobs',
+      type: `job.${event}`,
+      data: {
+        jobId: job.id,
+        jobType: job.type,
+        status: job.status,
+        progress: job.progress,
+        attempts: job.attempts,
+        error: job.error
+      }
+    }, {
+      headers: { 'X-API-Key': process.env.IZA_MASTER_API_KEY || '' },
+      timeout: 5000
+    }).catch(error => console.warn(`⚠️  Could not publish job.${event} to master server:`, error.message));
+  };
+
+  for (const event of ['queued', 'started', 'progress', 'completed', 'failed', 'cancelled']) {
+    jobs.on(event, job => publishJobEvent(event, job));
+  }
+}
+
+// Insert a video record and enqueue its render
+function createVideo({ script_id, title, description, audio_path, calendar_id }) {
+  const videoId = `video-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  const video = store.insert('videos', {
+    id: videoId,
+    script_id,
+    title,
+    description,
+    calendar_id: calendar_id || null,
+    file_path: path.join(contentDir, `${videoId}.mp4`),
+    status: 'queued',
+    progress: 0
+  });
 
-// Content data
-let contentData = {
-  videos_created: 12,
-  scripts_generated: 25,
-  revenue: 50000,
-  subscribers: 15000
+  const job = jobs.enqueue('create-video', { video_id: videoId, audio_path, calendar_id });
+  store.update('videos', videoId, { job_id: job.id });
+  return { job, video };
+}
+
+// Planned videos from config/calendar.json, scripted and rendered ahead of their publish date
+const calendar = new ContentCalendar(store, jobs, {
+  createVideo,
+  configPath: process.env.CONTENT_CALENDAR_PATH || path.join(__dirname, '..', 'config', 'calendar.json'),
+  startDate: process.env.CALENDAR_START_DATE,
+  cadenceDays: Number(process.env.CALENDAR_CADENCE_DAYS) || 2,
+  leadHours: process.env.CALENDAR_LEAD_HOURS === undefined ? 24 : Number(process.env.CALENDAR_LEAD_HOURS),
+  tickMs: Number(process.env.CALENDAR_TICK_MS) || 60000,
+  scriptDefaults: {
+    length: Number(process.env.CALENDAR_VIDEO_LENGTH) || 10,
+    style: process.env.CALENDAR_VIDEO_STYLE || 'educational'
+  }
+});
+
+metrics.gauge('content_calendar_entries', 'Content calendar entries by state', ['state'], gauge => {
+  for (const state of CALENDAR_STATES) gauge.set({ state }, 0);
+  for (const entry of store.find('calendar')) gauge.inc({ state: entry.state });
+});
+
+function jobAccepted(res, job, extra = {}) {
+  res.status(202).json({
+    jobId: job.id,
+    type: job.type,
+    status: job.status,
+    status_url: `/jobs/${job.id}`,
+    ...extra,
+    timestamp: job.created_at
+  });
+}
+
+// Request schemas
+const templateFields = {
+  name: { type: 'string', minLength: 1, maxLength: 100 },
+  style: { type: 'string', enum: STYLES },
+  variant: { type: 'string', minLength: 1, maxLength: 50 },
+  description: { type: 'string', maxLength: 500 },
+  content: { type: 'string', minLength: 1, maxLength: 20000 }
 };
 
-// Ensure content directory exists
-const contentDir = path.join(__dirname, 'generated');
-if (!fs.existsSync(contentDir)) fs.mkdirSync(contentDir);
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// A YYYY-MM-DD string naming a real day (rejects 2026-13-45 and 2026-02-30)
+const calendarDate = {
+  type: 'string',
+  pattern: DATE_PATTERN,
+  patternMessage: 'must be YYYY-MM-DD',
+  check: value => {
+    const time = Date.parse(value);
+    return Number.isNaN(time) || new Date(time).toISOString().slice(0, 10) !== value ? 'is not a valid date' : null;
+  }
+};
+// A YYYY-MM string naming a real month (rejects 2026-13)
+const calendarMonth = {
+  type: 'string',
+  pattern: /^\d{4}-\d{2}$/,
+  patternMessage: 'must be YYYY-MM',
+  check: value => (Number(value.slice(5)) >= 1 && Number(value.slice(5)) <= 12 ? null : 'is not a valid month')
+};
+
+const schemas = {
+  generateScript: {
+    body: {
+      topic: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+      length: { type: 'integer', required: true, min: 1, max: 60 },
+      style: { type: 'string', required: true, enum: STYLES },
+      provider: { type: 'string', enum: Object.keys(PROVIDERS) },
+      templateId: { type: 'string', minLength: 1, maxLength: 100 },
+      templateVersion: { type: 'integer', min: 1 },
+      cta: { type: 'string', maxLength: 300 },
+      sponsor: { type: 'string', maxLength: 100 }
+    }
+  },
+  createVideo: {
+    body: {
+      script_id: { type: 'string', required: true, minLength: 1 },
+      title: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+      description: { type: 'string', maxLength: 5000 },
+      audio_path: {
+        type: 'string',
+        check: value => (fs.existsSync(value) ? null : 'must point to an existing audio file')
+      }
+    }
+  },
+  listTemplates: {
+    query: { style: { type: 'string', enum: STYLES } }
+  },
+  getTemplate: {
+    query: { version: { type: 'integer', min: 1 } }
+  },
+  createTemplate: {
+    body: {
+      id: { type: 'string', minLength: 1, maxLength: 100 },
+      ...templateFields,
+      content: { ...templateFields.content, required: true }
+    }
+  },
+  updateTemplate: {
+    body: templateFields
+  },
+  revenueSummary: {
+    query: { month: calendarMonth }
+  },
+  listRevenue: {
+    query: {
+      from: calendarDate,
+      to: calendarDate,
+      source: { type: 'string', enum: REVENUE_SOURCES },
+      video_id: { type: 'string', minLength: 1 }
+    }
+  },
+  addRevenue: {
+    body: {
+      source: { type: 'string', required: true, enum: REVENUE_SOURCES },
+      amount: { type: 'number', required: true, min: 0 },
+      date: { ...calendarDate, required: true },
+      video_id: { type: 'string', minLength: 1 },
+      platform: { type: 'string', maxLength: 50 },
+      reference: { type: 'string', maxLength: 200 }
+    }
+  },
+  importRevenue: {
+    format: { type: 'string', required: true, enum: ['csv', 'json'] },
+    data: {
+      required: true,
+      check: value => (typeof value === 'string' || Array.isArray(value) ? null : 'must be CSV text or an array')
+    },
+    source: { type: 'string', enum: REVENUE_SOURCES },
+    platform: { type: 'string', maxLength: 50 }
+  },
+  uploadManifest: {
+    query: {
+      format: { type: 'string', enum: ['json', 'csv'], default: 'json' },
+      status: { type: 'string', enum: ['queued', 'rendering', 'rendered', 'failed', 'cancelled'], default: 'rendered' }
+    }
+  },
+  listCalendar: {
+    query: { state: { type: 'string', enum: CALENDAR_STATES } }
+  },
+  updateCalendar: {
+    body: {
+      publish_at: {
+        type: 'string',
+        required: true,
+        check: value => (Number.isNaN(Date.parse(value)) ? 'must be an ISO 8601 date-time' : null)
+      }
+    }
+  },
+  publishCalendar: {
+    body: { url: { type: 'string', minLength: 1, maxLength: 2000 } }
+  },
+  analyticsReport: {
+    query: {
+      from: calendarDate,
+      to: calendarDate,
+      video_id: { type: 'string', minLength: 1 }
+    }
+  },
+  videoMetric: {
+    video_id: { type: 'string', required: true, minLength: 1 },
+    date: { ...calendarDate, required: true },
+    views: { type: 'integer', min: 0, default: 0 },
+    watch_time_minutes: { type: 'number', min: 0, default: 0 },
+    impressions: { type: 'integer', min: 0, default: 0 },
+    ctr: { type: 'number', min: 0, max: 100 },
+    likes: { type: 'integer', min: 0, default: 0 },
+    subscribers_gained: { type: 'integer', default: 0 }
+  },
+  listJobs: {
+    query: {
+      status: { type: 'string', enum: JOB_STATUSES },
+      type: { type: 'string', enum: ['generate-script', 'create-video'] }
+    }
+  }
+};
 
 // Routes
 app.get('/', (req, res) => {
@@ -31,9 +437,11 @@ app.get('/', (req, res) => {
     target: '$50,000/month',
     capabilities: [
       'ai_script_generation',
+      'script_templates',
       'video_automation',
       'content_optimization',
-      'youtube_monetization'
+      'youtube_monetization',
+      'content_calendar'
     ]
   });
 });
@@ -43,118 +451,376 @@ app.get('/health', async (req, res) => {
     res.json({ 
       status: 'healthy',
       content_generation: 'active',
-      videos_created: contentData.videos_created,
+      videos_created: getContentTotals().videos_created,
       revenue_mode: 'active'
     });
   } catch (error) {
-    res.status(500).json({ status: 'unhealthy', error: error.message });
+    res.status(500).json({
+      status: 'unhealthy',
+      error: { code: 'internal_error', message: error.message }
+    });
   }
 });
 
-app.get('/revenue', async (req, res) => {
+app.get('/metrics', metricsHandler(metrics));
+
+app.get('/revenue', validate(schemas.revenueSummary), async (req, res) => {
   try {
+    const totals = getContentTotals();
+    const summary = ledger.summary({ month: req.query.month });
     res.json({
       revenue_stream: 'content_creation',
-      monthly_revenue: contentData.revenue,
-      videos_created: contentData.videos_created,
-      scripts_generated: contentData.scripts_generated,
-      subscribers: contentData.subscribers,
-      target: 50000,
-      progress: (contentData.revenue / 50000) * 100,
-      revenue_per_video: contentData.revenue / contentData.videos_created
+      month: summary.month,
+      monthly_revenue: summary.monthly_total,
+      lifetime_revenue: summary.lifetime_total,
+      by_source: summary.by_source,
+      by_video: summary.by_video,
+      monthly_history: summary.monthly_history,
+      videos_created: totals.videos_created,
+      scripts_generated: totals.scripts_generated,
+      subscribers: totals.subscribers,
+      target: MONTHLY_TARGET,
+      progress: (summary.monthly_total / MONTHLY_TARGET) * 100,
+      revenue_per_video: summary.revenue_per_video
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
-app.post('/generate-script', async (req, res) => {
+app.get('/revenue/entries', validate(schemas.listRevenue), async (req, res) => {
   try {
-    const { topic, length, style } = req.body;
-    
-    // Simulate AI script generation
-    const script = `# ${topic} - ${style} Style Video Script
+    const entries = ledger.list(req.query);
+    res.json({
+      total: entries.length,
+      amount: ledger.total(req.query),
+      entries
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
-## Introduction (0-30 seconds)
-Welcome to our channel! Today we're diving deep into ${topic}. This is going to be an ${length}-minute exploration that will change how you think about this topic.
+app.post('/revenue/entries', validate(schemas.addRevenue), async (req, res) => {
+  try {
+    res.status(201).json(ledger.add(req.body));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
-## Main Content (30 seconds - ${length-1} minutes)
-Here's what we'll cover:
-1. The fundamentals of ${topic}
-2. Advanced strategies and techniques
-3. Real-world applications
-4. Future trends and opportunities
+// Accepts a JSON body ({ format, data }) or a raw CSV export (Content-Type: text/csv)
+app.post('/revenue/import', express.text({ type: 'text/csv', limit: '10mb' }), async (req, res) => {
+  try {
+    const input = req.is('text/csv')
+      ? { format: 'csv', data: req.body, source: req.query.source, platform: req.query.platform }
+      : req.body;
+    const { format, data, source, platform } = validateInput(schemas.importRevenue, input);
 
-## Conclusion (${length-1} minutes - ${length} minutes)
-That's a wrap on ${topic}! If you found this valuable, don't forget to like, subscribe, and hit the notification bell. See you in the next video!
+    const summary = ledger.import({ format, data, source, platform });
+    res.status(summary.imported ? 201 : 200).json(summary);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
----
-Generated by IZA OS Content Creation AI
-Revenue Target: $50,000/month`;
+app.post('/generate-script', validate(schemas.generateScript), async (req, res) => {
+  try {
+    const { topic, length, style, provider, templateId, templateVersion, cta, sponsor } = req.body;
 
-    const scriptId = `script-${Date.now()}.md`;
-    fs.writeFileSync(path.join(contentDir, scriptId), script);
-    
-    contentData.scripts_generated += 1;
+    if (templateId && !templates.get(templateId, templateVersion)) {
+      return sendError(res, notFound(`Template not found: ${templateId}`));
+    }
 
-    res.json({ 
-      scriptId, 
-      script,
-      revenue_generated: 2000, // $2000 per script
-      timestamp: new Date().toISOString()
+    const job = jobs.enqueue('generate-script', {
+      topic,
+      length,
+      style,
+      provider,
+      template_id: templateId,
+      template_version: templateVersion,
+      cta,
+      sponsor
     });
+    jobAccepted(res, job);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
-app.post('/create-video', async (req, res) => {
+app.post('/create-video', validate(schemas.createVideo), async (req, res) => {
   try {
-    const { script_id, title, description } = req.body;
-    
-    // Simulate video creation
-    const videoId = `video-${Date.now()}`;
-    const videoPath = path.join(contentDir, `${videoId}.mp4`);
-    
-    // Create a placeholder video file
-    fs.writeFileSync(videoPath, `Placeholder video content for: ${title}`);
-    
-    contentData.videos_created += 1;
-    contentData.revenue += 4000; // $4000 per video
-    contentData.subscribers += 100; // 100 new subscribers per video
+    const { script_id } = req.body;
 
-    res.json({
-      videoId,
-      videoPath,
-      title,
-      description,
-      revenue_generated: 4000,
-      new_subscribers: 100,
-      timestamp: new Date().toISOString()
+    if (!store.get('scripts', script_id)) {
+      return sendError(res, notFound(`Script not found: ${script_id}`));
+    }
+
+    const { job, video } = createVideo(req.body);
+    jobAccepted(res, job, {
+      videoId: video.id,
+      videoPath: video.file_path,
+      title: video.title,
+      description: video.description,
+      video_url: `/videos/${video.id}`
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
+  }
+});
+
+app.get('/videos/:id', async (req, res) => {
+  try {
+    const video = store.get('videos', req.params.id);
+    if (!video) {
+      return sendError(res, notFound(`Video not found: ${req.params.id}`));
+    }
+    res.json(video);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/videos/:id/metadata', async (req, res) => {
+  try {
+    const video = store.get('videos', req.params.id);
+    if (!video) {
+      return sendError(res, notFound(`Video not found: ${req.params.id}`));
+    }
+    res.json(video.metadata || refreshVideoMetadata(video.id));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/videos/:id/metadata', async (req, res) => {
+  try {
+    if (!store.get('videos', req.params.id)) {
+      return sendError(res, notFound(`Video not found: ${req.params.id}`));
+    }
+    res.json(refreshVideoMetadata(req.params.id));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/exports/upload-manifest', validate(schemas.uploadManifest), async (req, res) => {
+  try {
+    const { format, status } = req.query;
+    const entries = store.find('videos', video => video.status === status).map(video => ({
+      video,
+      metadata: video.metadata || refreshVideoMetadata(video.id)
+    }));
+    const manifest = buildUploadManifest(entries, format);
+    const filename = `upload-manifest-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.attachment(filename);
+    if (format === 'csv') {
+      res.type('text/csv').send(manifest);
+    } else {
+      res.json(manifest);
+    }
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
-app.get('/analytics', async (req, res) => {
+app.get('/templates', validate(schemas.listTemplates), async (req, res) => {
   try {
+    const list = templates.list({ style: req.query.style });
+    res.json({ total: list.length, templates: list });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/templates/:id', validate(schemas.getTemplate), async (req, res) => {
+  try {
+    const template = templates.get(req.params.id, req.query.version);
+    if (!template) {
+      return sendError(res, notFound(`Template not found: ${req.params.id}`));
+    }
+    res.json(template);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/templates/:id/versions', async (req, res) => {
+  try {
+    const versions = templates.versions(req.params.id);
+    if (!versions) {
+      return sendError(res, notFound(`Template not found: ${req.params.id}`));
+    }
+    res.json({ id: req.params.id, versions });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/templates', validate(schemas.createTemplate), async (req, res) => {
+  try {
+    res.status(201).json(templates.create(req.body));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.put('/templates/:id', validate(schemas.updateTemplate), async (req, res) => {
+  try {
+    res.json(templates.update(req.params.id, req.body));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/calendar', validate(schemas.listCalendar), async (req, res) => {
+  try {
+    const entries = calendar.list({ state: req.query.state });
+    const counts = Object.fromEntries(CALENDAR_STATES.map(state => [state, 0]));
+    for (const entry of calendar.list()) counts[entry.state] += 1;
+
+    res.json({ total: entries.length, states: counts, entries });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/calendar/:id', async (req, res) => {
+  try {
+    const entry = calendar.get(req.params.id);
+    if (!entry) {
+      return sendError(res, notFound(`Calendar entry not found: ${req.params.id}`));
+    }
+    res.json(entry);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.put('/calendar/:id', validate(schemas.updateCalendar), async (req, res) => {
+  try {
+    const entry = calendar.reschedule(req.params.id, req.body.publish_at);
+    if (!entry) {
+      return sendError(res, notFound(`Calendar entry not found: ${req.params.id}`));
+    }
+    res.json(entry);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/calendar/:id/publish', validate(schemas.publishCalendar), async (req, res) => {
+  try {
+    const entry = calendar.publish(req.params.id, req.body);
+    if (!entry) {
+      return sendError(res, notFound(`Calendar entry not found: ${req.params.id}`));
+    }
+    res.json(entry);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/jobs', validate(schemas.listJobs), async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    const list = jobs.list({ status, type });
+    res.json({ total: list.length, jobs: list });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+      return sendError(res, notFound(`Job not found: ${req.params.id}`));
+    }
+    res.json(job);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/jobs/:id/cancel', async (req, res) => {
+  try {
+    const job = jobs.cancel(req.params.id);
+    if (!job) {
+      return sendError(res, notFound(`Job not found: ${req.params.id}`));
+    }
+    res.json(job);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/analytics', validate(schemas.analyticsReport), async (req, res) => {
+  try {
+    // `to` defaults to today, so a future `from` alone is an empty range too
+    const { from, to = new Date().toISOString().slice(0, 10) } = req.query;
+    if (from && from > to) {
+      throw new ApiError(400, 'validation_failed', 'Request validation failed', [
+        { field: 'from', message: req.query.to ? 'must not be after to' : 'must not be after today' }
+      ]);
+    }
+    const totals = getContentTotals();
+    const report = analytics.report(req.query);
     res.json({
-      videos_created: contentData.videos_created,
-      scripts_generated: contentData.scripts_generated,
-      total_revenue: contentData.revenue,
-      subscribers: contentData.subscribers,
-      engagement_rate: 85,
-      average_watch_time: '8:30',
-      revenue_per_video: contentData.revenue / contentData.videos_created,
+      videos_created: totals.videos_created,
+      scripts_generated: totals.scripts_generated,
+      total_revenue: totals.revenue,
+      subscribers: totals.subscribers,
+      engagement_rate: report.totals.engagement_rate,
+      average_watch_time: report.totals.average_watch_time,
+      revenue_per_video: totals.revenue_per_video,
+      ...report,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
-app.listen(port, () => {
-  console.log(`🎬 YouTube Content Creation service running on port ${port}`);
-  console.log(`💰 Revenue target: $50,000/month`);
+// Accepts one daily metrics record or { metrics: [...] } (e.g. a platform export)
+app.post('/analytics/metrics', async (req, res) => {
+  try {
+    const batch = Array.isArray(req.body.metrics) ? req.body.metrics : [req.body];
+    const details = [];
+    const records = batch.map((metric, index) => {
+      try {
+        return validateInput(schemas.videoMetric, metric);
+      } catch (error) {
+        details.push(...error.details.map(detail => ({ ...detail, field: `metrics[${index}].${detail.field}` })));
+        return null;
+      }
+    });
+    if (details.length) {
+      throw new ApiError(400, 'validation_failed', 'Request validation failed', details);
+    }
+
+    const results = records.map(record => analytics.ingest(record));
+    res.status(201).json({
+      ingested: results.length,
+      created: results.filter(result => result.created).length,
+      updated: results.filter(result => !result.created).length,
+      records: results.map(result => result.record)
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
 });
+
+// Anything thrown outside a route's try/catch (e.g. malformed JSON bodies)
+app.use((error, req, res, next) => sendError(res, error));
+
+if (require.main === module) {
+  app.listen(port, () => {
+    calendar.start();
+    console.log(`🎬 YouTube Content Creation service running on port ${port}`);
+    console.log(`💰 Revenue target: $50,000/month`);
+  });
+}
+
+module.exports = { app, store, jobs, calendar, templates };
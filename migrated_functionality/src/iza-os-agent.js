@@ -0,0 +1,84 @@
+/**
+ * IZA OS agent reporting
+ * In agent mode the master server runs discovery and health checks on its
+ * own machine and posts a snapshot of both to the central master
+ * (`POST /api/hosts/:host/report`) on an interval, soon after anything
+ * changes, and once more when it shuts down.
+ */
+
+const REPORT_TIMEOUT_MS = 10000;
+// Changes close together (a round of health transitions) go out as one report
+const REPORT_DEBOUNCE_MS = 1000;
+
+class AgentReporter {
+  constructor({ masterUrl, apiKey, host, intervalMs = 30000, snapshot }) {
+    if (!masterUrl) throw new Error('Agent mode needs IZA_MASTER_URL (the central master server)');
+    this.masterUrl = masterUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.host = host;
+    this.intervalMs = intervalMs;
+    this.snapshot = snapshot;
+    this.timer = null;
+    this.soonTimer = null;
+    this.sending = null;
+    this.failing = false;
+  }
+
+  async report(extra = {}) {
+    try {
+      const response = await fetch(`${this.masterUrl}/api/hosts/${encodeURIComponent(this.host)}/report`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-API-Key': this.apiKey || '' },
+        body: JSON.stringify({ ...this.snapshot(), ...extra }),
+        signal: AbortSignal.timeout(REPORT_TIMEOUT_MS)
+      });
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || `HTTP ${response.status}`);
+      }
+      if (this.failing) console.log(`✅ Reporting to ${this.masterUrl} again`);
+      this.failing = false;
+    } catch (error) {
+      // Log once per outage rather than on every interval
+      if (!this.failing) console.warn(`⚠️  Could not report to master server ${this.masterUrl}:`, error.message);
+      this.failing = true;
+    }
+  }
+
+  // Report shortly, folding in other changes that arrive meanwhile
+  reportSoon() {
+    if (!this.timer || this.soonTimer) return;
+    this.soonTimer = setTimeout(() => {
+      this.soonTimer = null;
+      this.send();
+    }, REPORT_DEBOUNCE_MS);
+  }
+
+  send(extra) {
+    if (!this.sending) {
+      this.sending = this.report(extra).finally(() => {
+        this.sending = null;
+      });
+    }
+    return this.sending;
+  }
+
+  start() {
+    console.log(`🛰️  Agent ${this.host} reporting to ${this.masterUrl} every ${this.intervalMs / 1000}s`);
+    clearInterval(this.timer);
+    this.timer = setInterval(() => this.send(), this.intervalMs);
+    return this.send();
+  }
+
+  // Stop reporting and tell the master this host is going away
+  async stop() {
+    clearInterval(this.timer);
+    clearTimeout(this.soonTimer);
+    this.timer = null;
+    this.soonTimer = null;
+    await this.sending;
+    await this.report({ shuttingDown: true });
+  }
+}
+
+module.exports = { AgentReporter };
@@ -0,0 +1,365 @@
+/**
+ * IZA OS alerting
+ * Evaluates rules against health checks and finished deployments, keeps an
+ * alert history, and sends firing/resolved notifications through pluggable
+ * notifiers (Slack-compatible webhook, generic HTTP, SMTP email). Repeat
+ * alerts for the same rule and subject are deduplicated, and silences
+ * suppress notifications for a time window.
+ *
+ * Rules (config/iza-os-alerts.json or IZA_ALERTS_CONFIG):
+ *   { type: 'service-offline', checks }          failed checks in a row
+ *   { type: 'latency', thresholdMs, checks }     slow successful checks in a row
+ *   { type: 'deployment-failed' }                a deployment or rollback failed,
+ *                                                until the component deploys again
+ * Each rule has a name and severity, and may list the `services` (or
+ * components) it applies to. Notifier settings may reference environment
+ * variables as `${NAME}`; a notifier whose target expands to nothing is off.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'iza-os-alerts.json');
+const RULE_TYPES = ['service-offline', 'latency', 'deployment-failed'];
+const SEVERITIES = ['info', 'warning', 'critical'];
+const HISTORY_LIMIT = 500;
+const NOTIFY_TIMEOUT_MS = 10000;
+// Expired silences stay listed (?expired=true) this long before they are dropped
+const SILENCE_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+class AlertError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'AlertError';
+    this.status = status;
+  }
+}
+
+function expandEnv(value, env) {
+  if (typeof value === 'string') return value.replace(/\$\{(\w+)\}/g, (match, name) => env[name] || '');
+  if (Array.isArray(value)) return value.map(item => expandEnv(item, env));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, expandEnv(item, env)]));
+  }
+  return value;
+}
+
+function loadAlertConfig(configPath = process.env.IZA_ALERTS_CONFIG || DEFAULT_CONFIG_PATH, env = process.env) {
+  if (!fs.existsSync(configPath)) return { rules: [], notifiers: [], dedupWindowMs: 0 };
+  const config = expandEnv(JSON.parse(fs.readFileSync(configPath, 'utf8')), env);
+  for (const rule of config.rules || []) {
+    if (!RULE_TYPES.includes(rule.type)) throw new Error(`Unknown alert rule type: ${rule.type}`);
+  }
+  return { dedupWindowMs: 15 * 60 * 1000, ...config, rules: config.rules || [], notifiers: config.notifiers || [] };
+}
+
+function describe(alert) {
+  const icon = alert.status === 'resolved' ? '✅' : alert.severity === 'critical' ? '🚨' : '⚠️';
+  return `${icon} [${alert.status.toUpperCase()}] ${alert.rule} – ${alert.subject}: ${alert.message}`;
+}
+
+async function post(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(NOTIFY_TIMEOUT_MS)
+  });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+}
+
+// Notifier factories: each returns { name, send(alert) } or null when unconfigured
+const NOTIFIERS = {
+  // Slack and compatible incoming webhooks (Mattermost, Rocket.Chat, Discord /slack)
+  webhook: config => config.url && {
+    send: alert => post(config.url, { text: describe(alert) })
+  },
+
+  http: config => config.url && {
+    send: alert => post(config.url, alert, Object.fromEntries(
+      Object.entries(config.headers || {}).filter(([, value]) => value)
+    ))
+  },
+
+  email: config => config.smtp && config.smtp.host && config.to && {
+    check: () => {
+      // Optional dependency: only needed once an email notifier is configured
+      try {
+        require.resolve('nodemailer');
+      } catch (error) {
+        throw new Error(`Email notifier "${config.name || 'email'}" needs the nodemailer package (npm install nodemailer)`);
+      }
+    },
+    send: alert => {
+      const nodemailer = require('nodemailer');
+      const smtp = { ...config.smtp, auth: config.smtp.auth && config.smtp.auth.user ? config.smtp.auth : undefined };
+      return nodemailer.createTransport(smtp).sendMail({
+        from: config.from,
+        to: config.to,
+        subject: describe(alert),
+        text: `${describe(alert)}\n\n${JSON.stringify(alert.details, null, 2)}\n\nFired at ${alert.firedAt}` +
+          (alert.resolvedAt ? `, resolved at ${alert.resolvedAt}` : '')
+      });
+    }
+  }
+};
+
+function createNotifier(config) {
+  const factory = NOTIFIERS[config.type];
+  if (!factory) throw new Error(`Unknown notifier type: ${config.type}`);
+  const notifier = factory(config);
+  if (notifier && notifier.check) notifier.check();
+  return notifier ? {
+    name: config.name || config.type,
+    minSeverity: config.minSeverity || 'info',
+    rules: config.rules || null,
+    ...notifier
+  } : null;
+}
+
+/**
+ * Emits:
+ *   `fired`    (alert)
+ *   `resolved` (alert)
+ */
+class AlertManager extends EventEmitter {
+  constructor({ config, filePath } = {}) {
+    super();
+    this.config = config || loadAlertConfig();
+    this.filePath = filePath;
+    this.notifiers = this.config.notifiers.map(createNotifier).filter(Boolean);
+    this.active = new Map(); // rule:subject -> firing alert
+    this.slowChecks = new Map(); // rule:service -> slow checks in a row
+    const saved = this.filePath && fs.existsSync(this.filePath)
+      ? JSON.parse(fs.readFileSync(this.filePath, 'utf8'))
+      : {};
+    this.history = saved.alerts || [];
+    this.silences = saved.silences || [];
+    // rule:subject -> ms, for dedup; persisted so a restart doesn't re-announce
+    this.lastNotifiedAt = new Map(Object.entries(saved.lastNotifiedAt || {}));
+    for (const alert of this.history) {
+      if (alert.status === 'firing') this.active.set(alert.key, alert);
+    }
+  }
+
+  save() {
+    if (!this.filePath) return;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    const now = Date.now();
+    this.silences = this.silences.filter(silence => Date.parse(silence.endsAt) + SILENCE_RETENTION_MS > now);
+    fs.writeFileSync(tmpPath, JSON.stringify({
+      alerts: this.history.slice(-HISTORY_LIMIT),
+      silences: this.silences,
+      lastNotifiedAt: Object.fromEntries([...this.lastNotifiedAt]
+        .filter(([key, at]) => now - at < this.config.dedupWindowMs))
+    }, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  rulesFor(type, subject) {
+    return this.config.rules.filter(rule => rule.type === type && (!rule.services || rule.services.includes(subject)));
+  }
+
+  // Called with the states from every health check round
+  evaluateHealth(states) {
+    for (const state of states) {
+      for (const rule of this.rulesFor('service-offline', state.name)) {
+        const checks = rule.checks || 1;
+        if (state.consecutiveFailures >= checks) {
+          this.fire(rule, state.name, `Offline for ${state.consecutiveFailures} checks (${state.reason})`, { ...state });
+        } else if (state.consecutiveFailures === 0) {
+          this.resolve(rule, state.name, 'Responding again');
+        }
+      }
+
+      for (const rule of this.rulesFor('latency', state.name)) {
+        if (state.consecutiveFailures > 0) continue; // the offline rule covers failed checks
+        const key = `${rule.name}:${state.name}`;
+        if (state.latencyMs > rule.thresholdMs) {
+          const slow = (this.slowChecks.get(key) || 0) + 1;
+          this.slowChecks.set(key, slow);
+          if (slow >= (rule.checks || 1)) {
+            this.fire(rule, state.name, `Latency ${state.latencyMs}ms above ${rule.thresholdMs}ms for ${slow} checks`, { ...state });
+          }
+        } else {
+          this.slowChecks.delete(key);
+          this.resolve(rule, state.name, `Latency back to ${state.latencyMs}ms`);
+        }
+      }
+    }
+  }
+
+  // Called with every finished deployment; the next successful one resolves a failure
+  evaluateDeployment(deployment) {
+    for (const rule of this.rulesFor('deployment-failed', deployment.component)) {
+      if (deployment.status === 'failed') {
+        this.fire(rule, deployment.component, `${deployment.kind || 'deploy'} failed: ${deployment.error || 'unknown error'}`, {
+          deploymentId: deployment.id,
+          kind: deployment.kind,
+          triggeredBy: deployment.triggeredBy,
+          exitCode: deployment.exitCode
+        });
+      } else if (deployment.status === 'succeeded') {
+        this.resolve(rule, deployment.component, `${deployment.kind || 'deploy'} ${deployment.id} succeeded`);
+      }
+    }
+  }
+
+  fire(rule, subject, message, details) {
+    const key = `${rule.name}:${subject}`;
+    if (this.active.has(key)) return null;
+
+    const now = Date.now();
+    const lastNotifiedAt = this.lastNotifiedAt.get(key);
+    const alert = {
+      id: `alert-${now}-${crypto.randomBytes(3).toString('hex')}`,
+      key,
+      rule: rule.name,
+      type: rule.type,
+      severity: SEVERITIES.includes(rule.severity) ? rule.severity : 'warning',
+      subject,
+      message,
+      details,
+      status: 'firing',
+      firedAt: new Date(now).toISOString(),
+      resolvedAt: null,
+      silencedBy: this.silenceFor(rule.name, subject),
+      deduplicated: lastNotifiedAt !== undefined && now - lastNotifiedAt < this.config.dedupWindowMs,
+      notified: false,
+      notifications: []
+    };
+    this.active.set(key, alert);
+    this.history.push(alert);
+    if (this.history.length > HISTORY_LIMIT) this.history.shift();
+
+    console.log(`${alert.severity === 'critical' ? '🚨' : '⚠️ '} Alert ${alert.rule} fired for ${subject}: ${message}`);
+    if (!alert.silencedBy && !alert.deduplicated) {
+      this.lastNotifiedAt.set(key, now);
+      alert.notified = true;
+      this.dispatch(alert);
+    }
+    this.save();
+    this.emit('fired', alert);
+    return alert;
+  }
+
+  resolve(rule, subject, message) {
+    const key = `${rule.name}:${subject}`;
+    const alert = this.active.get(key);
+    if (!alert) return;
+    this.active.delete(key);
+    alert.status = 'resolved';
+    alert.resolvedAt = new Date().toISOString();
+    if (message) alert.resolution = message;
+
+    // Only alerts that were announced get a resolved notification
+    if (alert.notified && !this.silenceFor(rule.name, subject)) {
+      console.log(`✅ Alert ${alert.rule} resolved for ${subject}`);
+      this.dispatch({ ...alert, message: message || alert.message });
+    }
+    this.save();
+    this.emit('resolved', alert);
+  }
+
+  // Notify in the background; notifier errors are recorded by notify(), anything else is logged
+  dispatch(alert) {
+    this.notify(alert).catch(error => {
+      console.error(`❌ Alert notification for ${alert.rule} failed:`, error.message);
+    });
+  }
+
+  /**
+   * Send to every notifier that accepts the alert's severity and rule. The
+   * outcome is recorded on the stored alert; notifier failures never throw.
+   */
+  async notify(alert) {
+    const stored = this.history.find(item => item.id === alert.id) || alert;
+    const targets = this.notifiers.filter(notifier =>
+      SEVERITIES.indexOf(alert.severity) >= SEVERITIES.indexOf(notifier.minSeverity) &&
+      (!notifier.rules || notifier.rules.includes(alert.rule)));
+
+    await Promise.all(targets.map(async notifier => {
+      const record = { notifier: notifier.name, status: alert.status, at: new Date().toISOString(), ok: true };
+      try {
+        await notifier.send(alert);
+      } catch (error) {
+        record.ok = false;
+        record.error = error.message;
+        console.error(`❌ Alert notification via ${notifier.name} failed:`, error.message);
+      }
+      stored.notifications.push(record);
+    }));
+    if (targets.length) this.save();
+  }
+
+  list({ status, rule, subject, limit = 100 } = {}) {
+    return this.history
+      .filter(alert => (!status || alert.status === status) &&
+        (!rule || alert.rule === rule) &&
+        (!subject || alert.subject === subject))
+      .slice(-limit)
+      .reverse();
+  }
+
+  get(id) {
+    return this.history.find(alert => alert.id === id) || null;
+  }
+
+  // The active silence covering a rule and subject, if any
+  silenceFor(rule, subject, at = Date.now()) {
+    const silence = this.silences.find(item =>
+      Date.parse(item.startsAt) <= at && at < Date.parse(item.endsAt) &&
+      (!item.rule || item.rule === rule) &&
+      (!item.subject || item.subject === subject));
+    return silence ? silence.id : null;
+  }
+
+  /**
+   * Silence notifications matching `rule` and/or `subject` (omit both to
+   * silence everything) from `startsAt` (default now) until `endsAt`, or for
+   * `durationMinutes`.
+   */
+  addSilence({ rule, subject, startsAt, endsAt, durationMinutes, comment } = {}, createdBy) {
+    const start = startsAt ? Date.parse(startsAt) : Date.now();
+    const end = endsAt ? Date.parse(endsAt) : start + Number(durationMinutes) * 60 * 1000;
+    if (Number.isNaN(start) || Number.isNaN(end)) {
+      throw new AlertError('startsAt and endsAt must be ISO dates, or give durationMinutes', 400);
+    }
+    if (end <= start) throw new AlertError('A silence must end after it starts', 400);
+    if (rule && !this.config.rules.some(item => item.name === rule)) {
+      throw new AlertError(`Unknown alert rule: ${rule}`, 400);
+    }
+
+    const silence = {
+      id: `silence-${crypto.randomBytes(6).toString('hex')}`,
+      rule: rule || null,
+      subject: subject || null,
+      startsAt: new Date(start).toISOString(),
+      endsAt: new Date(end).toISOString(),
+      comment: comment || '',
+      createdBy,
+      createdAt: new Date().toISOString()
+    };
+    this.silences.push(silence);
+    this.save();
+    return silence;
+  }
+
+  listSilences({ includeExpired = false } = {}) {
+    const now = Date.now();
+    return this.silences.filter(silence => includeExpired || Date.parse(silence.endsAt) > now);
+  }
+
+  removeSilence(id) {
+    const index = this.silences.findIndex(silence => silence.id === id);
+    if (index === -1) throw new AlertError(`Silence not found: ${id}`, 404);
+    const [silence] = this.silences.splice(index, 1);
+    this.save();
+    return silence;
+  }
+}
+
+module.exports = { AlertManager, AlertError, loadAlertConfig, createNotifier, RULE_TYPES, SEVERITIES };
@@ -0,0 +1,62 @@
+/**
+ * IZA OS audit log
+ * Append-only JSON-lines record of privileged actions (deployments, registry
+ * changes, logins, key management) with who did them and the outcome.
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+class AuditLog {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  record({ actor = null, role = null, via = null, action, target = null, ip = null, status = null, details = null }) {
+    const entry = { at: new Date().toISOString(), actor, role, via, action, target, ip, status, details };
+    // A full disk or unwritable log is reported, not allowed to take the server down
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`);
+    } catch (error) {
+      console.error(`❌ Could not write audit entry ${action}:`, error.message);
+    }
+    return entry;
+  }
+
+  // Newest first
+  list({ actor, action, limit = 100 } = {}) {
+    if (!fs.existsSync(this.filePath)) return [];
+    return fs.readFileSync(this.filePath, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map(line => JSON.parse(line))
+      .filter(entry => (!actor || entry.actor === actor) && (!action || entry.action === action))
+      .slice(-limit)
+      .reverse();
+  }
+
+  /**
+   * Express middleware recording `action` once the response is sent, with the
+   * authenticated principal (see iza-os-auth.js) and the response status.
+   */
+  middleware(action, target = req => Object.values(req.params).join('/') || null) {
+    return (req, res, next) => {
+      res.on('finish', () => {
+        const principal = req.principal || {};
+        this.record({
+          actor: principal.name || null,
+          role: principal.role || null,
+          via: principal.via || null,
+          action,
+          target: target(req),
+          ip: req.ip,
+          status: res.statusCode
+        });
+      });
+      next();
+    };
+  }
+}
+
+module.exports = { AuditLog };
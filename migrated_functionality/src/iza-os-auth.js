@@ -0,0 +1,260 @@
+/**
+ * IZA OS authentication
+ * Users log in with a password and get a session (cookie or bearer token);
+ * automation uses API keys. Every principal has one role:
+ *
+ *   viewer   - read status, services, deployments
+ *   operator - viewer + deploy, roll back, call services through the proxy
+ *   admin    - operator + manage the service registry, users, API keys, audit log
+ *
+ * Users and API key hashes are persisted; sessions live in memory.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const ROLES = ['viewer', 'operator', 'admin'];
+const SESSION_COOKIE = 'iza_session';
+const API_KEY_PREFIX = 'iza_';
+const USERNAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+const MIN_PASSWORD_LENGTH = 8;
+// API key `lastUsedAt` is persisted at this resolution rather than on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+class AuthError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  return `${salt}:${crypto.scryptSync(password, salt, 64).toString('hex')}`;
+}
+
+function verifyPasswordHash(password, stored) {
+  const [salt, hash] = stored.split(':');
+  const candidate = crypto.scryptSync(password, salt, 64);
+  return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+}
+
+// Checked for unknown usernames so a login takes as long whether or not the user exists
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Cookies whose value isn't valid percent-encoding are skipped, not an error for the request
+function parseCookies(header = '') {
+  const cookies = {};
+  for (const part of header.split(';')) {
+    const separator = part.indexOf('=');
+    const name = part.slice(0, separator).trim();
+    if (separator === -1 || !name) continue;
+    try {
+      cookies[name] = decodeURIComponent(part.slice(separator + 1).trim());
+    } catch (error) {
+      // Malformed value (e.g. a lone "%"): ignore this cookie
+    }
+  }
+  return cookies;
+}
+
+function queryToken(req) {
+  try {
+    return new URL(req.url, 'http://localhost').searchParams.get('token');
+  } catch (error) {
+    return null;
+  }
+}
+
+function hasRole(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+function validateRole(role) {
+  if (!ROLES.includes(role)) throw new AuthError(`role must be one of: ${ROLES.join(', ')}`, 400);
+}
+
+class AuthManager {
+  constructor({ filePath, sessionTtlMs = 12 * 60 * 60 * 1000 } = {}) {
+    this.filePath = filePath;
+    this.sessionTtlMs = sessionTtlMs;
+    this.sessions = new Map();
+    this.data = this.filePath && fs.existsSync(this.filePath)
+      ? JSON.parse(fs.readFileSync(this.filePath, 'utf8'))
+      : { users: [], apiKeys: [] };
+  }
+
+  save() {
+    if (!this.filePath) return;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  /**
+   * Make sure an admin can log in on first start: creates `admin` with
+   * `password`, or a generated one that is returned so it can be shown once.
+   */
+  bootstrap(password) {
+    if (this.data.users.length) return null;
+    const initialPassword = password || crypto.randomBytes(12).toString('base64url');
+    this.createUser({ username: 'admin', password: initialPassword, role: 'admin' });
+    return { username: 'admin', password: password ? null : initialPassword };
+  }
+
+  listUsers() {
+    return this.data.users.map(({ passwordHash, ...user }) => user);
+  }
+
+  createUser({ username, password, role = 'viewer' } = {}) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+      throw new AuthError('username must be 1-64 letters, digits, ".", "-" or "_"', 400);
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new AuthError(`password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+    }
+    validateRole(role);
+    if (this.data.users.some(user => user.username === username)) {
+      throw new AuthError(`User already exists: ${username}`, 409);
+    }
+
+    const user = { username, role, passwordHash: hashPassword(password), createdAt: new Date().toISOString() };
+    this.data.users.push(user);
+    this.save();
+    const { passwordHash, ...publicUser } = user;
+    return publicUser;
+  }
+
+  login(username, password) {
+    const user = this.data.users.find(candidate => candidate.username === username);
+    const valid = verifyPasswordHash(typeof password === 'string' ? password : '', user ? user.passwordHash : DUMMY_PASSWORD_HASH);
+    if (!user || typeof password !== 'string' || !valid) {
+      throw new AuthError('Invalid username or password', 401);
+    }
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = Date.now() + this.sessionTtlMs;
+    this.sessions.set(token, { name: user.username, role: user.role, expiresAt });
+    return { token, expiresAt: new Date(expiresAt).toISOString(), user: { username: user.username, role: user.role } };
+  }
+
+  logout(token) {
+    this.sessions.delete(token);
+  }
+
+  listApiKeys() {
+    return this.data.apiKeys.map(({ keyHash, ...key }) => key);
+  }
+
+  // The key itself is only returned here; only its hash is stored
+  createApiKey({ name, role = 'viewer', createdBy = null } = {}) {
+    if (typeof name !== 'string' || !name.trim()) throw new AuthError('name is required', 400);
+    validateRole(role);
+
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+    const record = {
+      id: `key-${crypto.randomBytes(6).toString('hex')}`,
+      name: name.trim(),
+      role,
+      prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+      keyHash: sha256(key),
+      createdBy,
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null
+    };
+    this.data.apiKeys.push(record);
+    this.save();
+    const { keyHash, ...publicRecord } = record;
+    return { key, apiKey: publicRecord };
+  }
+
+  revokeApiKey(id) {
+    const index = this.data.apiKeys.findIndex(key => key.id === id);
+    if (index === -1) throw new AuthError(`API key not found: ${id}`, 404);
+    const [removed] = this.data.apiKeys.splice(index, 1);
+    this.save();
+    const { keyHash, ...publicRecord } = removed;
+    return publicRecord;
+  }
+
+  /**
+   * Resolve the caller of an HTTP request or WebSocket upgrade. Accepts an
+   * `X-API-Key` header, `Authorization: Bearer <api key | session token>`,
+   * the session cookie, or with `allowQueryToken` (WebSocket upgrades only,
+   * for clients that cannot set headers) a `token` query parameter. Plain
+   * HTTP requests ignore it so credentials stay out of access logs.
+   */
+  authenticate(req, { allowQueryToken = false } = {}) {
+    const bearer = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    const credentials = [
+      req.headers['x-api-key'],
+      bearer && bearer[1],
+      parseCookies(req.headers.cookie)[SESSION_COOKIE],
+      allowQueryToken && queryToken(req)
+    ].filter(Boolean);
+
+    for (const credential of credentials) {
+      const principal = credential.startsWith(API_KEY_PREFIX)
+        ? this.authenticateApiKey(credential)
+        : this.authenticateSession(credential);
+      if (principal) return principal;
+    }
+    return null;
+  }
+
+  authenticateApiKey(key) {
+    const keyHash = sha256(key);
+    const record = this.data.apiKeys.find(candidate => candidate.keyHash === keyHash);
+    if (!record) return null;
+    const now = Date.now();
+    if (!record.lastUsedAt || now - Date.parse(record.lastUsedAt) >= LAST_USED_RESOLUTION_MS) {
+      record.lastUsedAt = new Date(now).toISOString();
+      try {
+        this.save();
+      } catch (error) {
+        console.error('❌ Could not save API key usage:', error.message);
+      }
+    }
+    return { name: record.name, role: record.role, via: 'api-key', keyId: record.id };
+  }
+
+  authenticateSession(token) {
+    const session = this.sessions.get(token);
+    if (!session) return null;
+    if (session.expiresAt <= Date.now()) {
+      this.sessions.delete(token);
+      return null;
+    }
+    return { name: session.name, role: session.role, via: 'session', token };
+  }
+
+  // Express middleware: 401 without valid credentials, 403 below `role`
+  requireRole(role) {
+    return (req, res, next) => {
+      req.principal = req.principal || this.authenticate(req);
+      if (!req.principal) return res.status(401).json({ error: 'Authentication required' });
+      if (!hasRole(req.principal.role, role)) {
+        return res.status(403).json({ error: `Requires ${role} role` });
+      }
+      next();
+    };
+  }
+
+  sessionCookie(token, { secure = false, maxAgeMs = this.sessionTtlMs } = {}) {
+    return [
+      `${SESSION_COOKIE}=${token}`,
+      'Path=/',
+      'HttpOnly',
+      'SameSite=Strict',
+      `Max-Age=${Math.floor(maxAgeMs / 1000)}`,
+      secure ? 'Secure' : null
+    ].filter(Boolean).join('; ');
+  }
+}
+
+module.exports = { AuthManager, AuthError, ROLES, hasRole, parseCookies };
@@ -0,0 +1,468 @@
+/**
+ * IZA OS deployment engine
+ * Maps components to declared steps (shell commands, npm scripts,
+ * docker-compose files), runs them with child_process, streams their output
+ * and keeps a persistent deployment history. Every deployment records the
+ * release (git SHA / package version) of each component before and after it
+ * ran, so a component can be rolled back to its last known-good release.
+ * Rollback checks out a recorded git SHA, so it needs each component to be
+ * the top level of its own repository.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const { git } = require('./iza-os-discovery');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'iza-os-deployments.json');
+const DEFAULT_STEP_TIMEOUT_MS = 10 * 60 * 1000;
+const LOG_TAIL_LINES = 200;
+const HISTORY_LIMIT = 500;
+// A timed-out step gets SIGTERM, then SIGKILL if it is still running this much later
+const KILL_GRACE_MS = 5000;
+// Output still arriving after a step's shell exits (e.g. from a process it left running)
+const OUTPUT_DRAIN_MS = 1000;
+
+function readPackageJson(dir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+function expandHome(dir) {
+  return dir.startsWith('~') ? path.join(os.homedir(), dir.slice(1)) : dir;
+}
+
+function loadDeploymentConfig(configPath = process.env.IZA_DEPLOY_CONFIG || DEFAULT_CONFIG_PATH) {
+  if (!fs.existsSync(configPath)) return { components: {}, source: null };
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  return { composeCommand: 'docker compose', ...config, source: configPath };
+}
+
+/**
+ * Turn a declared step into the shell command that runs it:
+ *   { run: 'make build' }                       -> make build
+ *   { npm: 'build' }                            -> npm run build
+ *   { compose: 'docker-compose.yml', args: '' } -> docker compose -f docker-compose.yml up -d
+ */
+function stepCommand(step, config) {
+  if (step.run) return step.run;
+  if (step.npm) return `npm run ${step.npm}`;
+  if (step.compose) return `${config.composeCommand} -f ${step.compose} ${step.args || 'up -d'}`;
+  throw new Error(`Step has no run, npm or compose command: ${JSON.stringify(step)}`);
+}
+
+// Identity of a release for comparisons; null when nothing identifies it
+function releaseKey(release) {
+  return release.sha || release.version || null;
+}
+
+function sameReleases(a = [], b = []) {
+  const keys = releases => JSON.stringify(releases.map(release => [release.component, releaseKey(release)]).sort());
+  return keys(a) === keys(b);
+}
+
+class DeploymentError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'DeploymentError';
+    this.status = status;
+  }
+}
+
+/**
+ * Emits:
+ *   `started`  (deployment)
+ *   `step`     (deployment, step)         when a step starts or finishes
+ *   `log`      ({ deploymentId, component, step, stream, line })
+ *   `finished` (deployment)               status is `succeeded` or `failed`
+ */
+class DeploymentEngine extends EventEmitter {
+  constructor({ historyPath, config } = {}) {
+    super();
+    this.config = config || loadDeploymentConfig();
+    this.historyPath = historyPath;
+    this.history = this.loadHistory();
+    this.active = new Map(); // deployment id -> leaf components it is deploying
+  }
+
+  loadHistory() {
+    if (!this.historyPath || !fs.existsSync(this.historyPath)) return [];
+    const history = JSON.parse(fs.readFileSync(this.historyPath, 'utf8'));
+    // Deployments cut off by a restart never finished
+    for (const deployment of history) {
+      if (deployment.status === 'running') {
+        deployment.status = 'failed';
+        deployment.error = 'Interrupted by server restart';
+      }
+    }
+    return history;
+  }
+
+  saveHistory() {
+    if (!this.historyPath) return;
+    fs.mkdirSync(path.dirname(this.historyPath), { recursive: true });
+    const tmpPath = `${this.historyPath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.history.slice(-HISTORY_LIMIT), null, 2));
+    fs.renameSync(tmpPath, this.historyPath);
+  }
+
+  components() {
+    return Object.keys(this.config.components);
+  }
+
+  /**
+   * Expand composite components (`{ components: [...] }`) into ordered step
+   * lists. With `releases` (component -> release) the plan redeploys those
+   * releases: it checks out each recorded SHA and leaves out steps marked
+   * `skipOnRollback` (e.g. `git pull`).
+   */
+  resolvePlan(component, { releases } = {}, seen = new Set()) {
+    const definition = this.config.components[component];
+    if (!definition) throw new DeploymentError(`Unknown component: ${component}`, 404);
+    if (seen.has(component)) throw new DeploymentError(`Circular component reference: ${component}`, 400);
+    seen.add(component);
+
+    if (definition.components) {
+      return definition.components.flatMap(child => this.resolvePlan(child, { releases }, new Set(seen)));
+    }
+
+    const baseDir = this.config.source ? path.dirname(this.config.source) : process.cwd();
+    const cwd = path.resolve(baseDir, expandHome(definition.cwd || '.'));
+    const timeoutMs = definition.timeoutMs || DEFAULT_STEP_TIMEOUT_MS;
+    const release = releases && releases[component];
+
+    const plan = (definition.steps || [])
+      .map((step, index) => ({ ...step, name: step.name || `${component} step ${index + 1}` }))
+      .filter(step => !(release && step.skipOnRollback))
+      .map(step => ({
+        component,
+        name: step.name,
+        command: stepCommand(step, this.config),
+        cwd: step.cwd ? path.resolve(cwd, expandHome(step.cwd)) : cwd,
+        env: { ...definition.env, ...step.env },
+        timeoutMs: step.timeoutMs || timeoutMs
+      }));
+
+    let checkout = null;
+    if (release && release.sha) {
+      checkout = { name: `Check out ${release.sha.slice(0, 7)}`, command: `git checkout --detach ${release.sha}` };
+    } else if (!release) {
+      checkout = this.branchToRestore(component);
+    }
+    if (checkout) {
+      plan.unshift({ component, ...checkout, cwd, env: { ...definition.env }, timeoutMs });
+    }
+    return plan;
+  }
+
+  // The components with steps that deploying `component` runs
+  leafComponents(component, seen = new Set()) {
+    const definition = this.config.components[component];
+    if (!definition) throw new DeploymentError(`Unknown component: ${component}`, 404);
+    if (seen.has(component)) throw new DeploymentError(`Circular component reference: ${component}`, 400);
+    seen.add(component);
+    if (!definition.components) return [component];
+    return [...new Set(definition.components.flatMap(child => this.leafComponents(child, new Set(seen))))];
+  }
+
+  // Most recent release recorded for a component, from any deployment that included it
+  lastRelease(component, predicate = () => true) {
+    for (let i = this.history.length - 1; i >= 0; i -= 1) {
+      const release = (this.history[i].releases || []).find(item => item.component === component && predicate(item));
+      if (release) return release;
+    }
+    return null;
+  }
+
+  // A rollback leaves the work tree detached; the next regular deploy returns to its branch first
+  branchToRestore(component) {
+    const current = this.lastRelease(component);
+    if (!current || !current.sha || current.branch) return null;
+    const previous = this.lastRelease(component, release => Boolean(release.branch));
+    return previous && { name: `Return to ${previous.branch}`, command: `git checkout ${previous.branch}` };
+  }
+
+  async captureReleases(plan) {
+    const targets = new Map();
+    for (const step of plan) {
+      if (!targets.has(step.component)) targets.set(step.component, step.cwd);
+    }
+    const releases = [];
+    for (const [component, cwd] of targets) {
+      // Only the top of a component's own work tree has a SHA to go back to: checking out
+      // an enclosing repository would also rewind every other component inside it
+      const exists = fs.existsSync(cwd);
+      const topLevel = exists ? await git(cwd, ['rev-parse', '--show-toplevel']) : null;
+      const ownWorkTree = Boolean(topLevel) && topLevel === fs.realpathSync(cwd);
+      const sha = ownWorkTree ? await git(cwd, ['rev-parse', 'HEAD']) : null;
+      const branch = sha ? await git(cwd, ['rev-parse', '--abbrev-ref', 'HEAD']) : null;
+      const pkg = exists ? readPackageJson(cwd) : null;
+      releases.push({
+        component,
+        sha,
+        branch: branch && branch !== 'HEAD' ? branch : null,
+        version: pkg ? pkg.version || null : null,
+        enclosingRepository: topLevel && !ownWorkTree ? topLevel : null
+      });
+    }
+    return releases;
+  }
+
+  list({ component, status, limit = 50 } = {}) {
+    return this.history
+      .filter(deployment => (!component || deployment.component === component) && (!status || deployment.status === status))
+      .slice(-limit)
+      .reverse();
+  }
+
+  get(id) {
+    return this.history.find(deployment => deployment.id === id) || null;
+  }
+
+  /**
+   * The release to roll back to: the latest succeeded deployment before the
+   * current one that was not itself rolled back and deployed something other
+   * than what is running now.
+   */
+  lastKnownGood(component) {
+    const finished = this.history.filter(deployment => deployment.component === component && deployment.status !== 'running');
+    const current = finished[finished.length - 1];
+    if (!current) return null;
+    return finished.slice(0, -1).reverse().find(deployment =>
+      deployment.status === 'succeeded' &&
+      !deployment.rolledBackBy &&
+      (deployment.releases || []).some(release => releaseKey(release)) &&
+      !sameReleases(deployment.releases, current.releases)
+    ) || null;
+  }
+
+  /**
+   * Start deploying a component and return its history record immediately;
+   * steps run in the background, stopping at the first failure. Composite
+   * components lock each component they include, so two deployments never
+   * run steps for the same one at once.
+   */
+  deploy(component, { triggeredBy = null, rollbackOf = null } = {}) {
+    const leaves = this.leafComponents(component);
+    for (const [id, deploying] of this.active) {
+      const busy = leaves.find(leaf => deploying.includes(leaf));
+      if (busy) throw new DeploymentError(`${busy} is already being deployed (${id})`, 409);
+    }
+    const target = rollbackOf ? this.get(rollbackOf) : null;
+    const releases = target ? Object.fromEntries(target.releases.map(release => [release.component, release])) : null;
+    const plan = this.resolvePlan(component, { releases });
+
+    const deployment = {
+      id: `deploy-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      component,
+      kind: target ? 'rollback' : 'deploy',
+      rollbackOf: target ? target.id : null,
+      triggeredBy,
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      durationMs: null,
+      exitCode: null,
+      error: null,
+      previousReleases: [],
+      releases: [],
+      steps: plan.map(step => ({
+        component: step.component,
+        name: step.name,
+        command: step.command,
+        cwd: step.cwd,
+        status: 'pending',
+        exitCode: null,
+        signal: null,
+        startedAt: null,
+        finishedAt: null,
+        output: []
+      }))
+    };
+
+    this.history.push(deployment);
+    this.active.set(deployment.id, leaves);
+    this.saveHistory();
+    this.emit('started', deployment);
+
+    this.run(deployment, plan).catch(error => {
+      console.error(`❌ Deployment ${deployment.id} crashed:`, error.message);
+    });
+    return deployment;
+  }
+
+  /**
+   * Redeploy a component's last known-good release, or the release of a
+   * specific succeeded deployment of that component.
+   */
+  rollback(component, { deploymentId, triggeredBy = null } = {}) {
+    this.resolvePlan(component);
+    const target = deploymentId ? this.get(deploymentId) : this.lastKnownGood(component);
+    if (deploymentId && (!target || target.component !== component)) {
+      throw new DeploymentError(`Deployment not found for ${component}: ${deploymentId}`, 404);
+    }
+    if (!target) throw new DeploymentError(`No earlier known-good release of ${component} to roll back to`, 409);
+    if (target.status !== 'succeeded') {
+      throw new DeploymentError(`Deployment ${target.id} did not succeed and cannot be rolled back to`, 409);
+    }
+    if (!(target.releases || []).some(release => releaseKey(release))) {
+      throw new DeploymentError(`Deployment ${target.id} has no recorded release to roll back to`, 409);
+    }
+    const unsupported = target.releases.filter(release => !release.sha).map(release => release.component);
+    if (unsupported.length) {
+      throw new DeploymentError(`Rollback is unsupported for ${unsupported.join(', ')}: ` +
+        'only a component at the top level of its own git repository can be checked out at an earlier release', 409);
+    }
+    return this.deploy(component, { triggeredBy, rollbackOf: target.id });
+  }
+
+  // After a successful rollback, deployments made since the restored one are known-bad
+  markRolledBack(deployment) {
+    const targetIndex = this.history.findIndex(item => item.id === deployment.rollbackOf);
+    for (const item of this.history.slice(targetIndex + 1)) {
+      if (item.component === deployment.component && item.id !== deployment.id && !item.rolledBackBy) {
+        item.rolledBackBy = deployment.id;
+      }
+    }
+  }
+
+  async run(deployment, plan) {
+    const started = Date.now();
+    try {
+      deployment.previousReleases = await this.captureReleases(plan);
+      for (let i = 0; i < plan.length; i += 1) {
+        const record = deployment.steps[i];
+        const result = await this.runStep(deployment, plan[i], record);
+        if (result.exitCode !== 0) {
+          deployment.status = 'failed';
+          deployment.exitCode = result.exitCode;
+          deployment.error = result.error || `Step "${record.name}" exited with code ${result.exitCode}`;
+          break;
+        }
+      }
+      if (deployment.status === 'running') {
+        deployment.status = 'succeeded';
+        deployment.exitCode = 0;
+      }
+    } catch (error) {
+      deployment.status = 'failed';
+      deployment.error = error.message;
+    }
+
+    try {
+      deployment.releases = await this.captureReleases(plan);
+    } catch (error) {
+      console.warn(`⚠️  Could not record releases for ${deployment.id}:`, error.message);
+    } finally {
+      for (const step of deployment.steps) {
+        if (step.status === 'pending') step.status = 'skipped';
+      }
+      deployment.finishedAt = new Date().toISOString();
+      deployment.durationMs = Date.now() - started;
+      if (deployment.kind === 'rollback' && deployment.status === 'succeeded') this.markRolledBack(deployment);
+      this.active.delete(deployment.id);
+      this.saveHistory();
+      this.emit('finished', deployment);
+    }
+  }
+
+  runStep(deployment, step, record) {
+    record.status = 'running';
+    record.startedAt = new Date().toISOString();
+    this.emit('step', deployment, record);
+
+    return new Promise(resolve => {
+      let settled = false;
+      let failure = null;
+      const timers = [];
+      const finish = (code, signal) => {
+        if (settled) return;
+        settled = true;
+        timers.forEach(clearTimeout);
+        record.exitCode = code === null ? 1 : code;
+        record.signal = signal;
+        record.status = record.exitCode === 0 ? 'succeeded' : 'failed';
+        record.finishedAt = new Date().toISOString();
+        this.emit('step', deployment, record);
+        resolve({ exitCode: record.exitCode, error: failure });
+      };
+
+      // spawn() reports a missing cwd as the shell itself not being found
+      if (!fs.existsSync(step.cwd) || !fs.statSync(step.cwd).isDirectory()) {
+        failure = `Step "${record.name}": working directory not found: ${step.cwd}`;
+        this.log(deployment, record, 'stderr', failure);
+        finish(1, null);
+        return;
+      }
+
+      // Its own process group, so a timeout stops the command and not just the shell running it
+      const child = spawn(step.command, {
+        cwd: step.cwd,
+        env: { ...process.env, ...step.env },
+        shell: true,
+        detached: true
+      });
+      const killGroup = signal => {
+        try {
+          process.kill(-child.pid, signal);
+        } catch (error) {
+          // The group already exited
+        }
+      };
+
+      timers.push(setTimeout(() => {
+        failure = `Step "${record.name}" timed out after ${step.timeoutMs}ms`;
+        killGroup('SIGTERM');
+        timers.push(setTimeout(() => {
+          killGroup('SIGKILL');
+          finish(null, 'SIGKILL');
+        }, KILL_GRACE_MS));
+      }, step.timeoutMs));
+
+      const pipe = stream => {
+        let buffered = '';
+        child[stream].on('data', chunk => {
+          buffered += chunk.toString();
+          const lines = buffered.split('\n');
+          buffered = lines.pop();
+          lines.forEach(line => this.log(deployment, record, stream, line));
+        });
+        child[stream].on('end', () => {
+          if (buffered) this.log(deployment, record, stream, buffered);
+        });
+      };
+      pipe('stdout');
+      pipe('stderr');
+
+      child.on('error', error => {
+        failure = error.message;
+      });
+
+      // 'close' waits for the output pipes, which a process the step left running keeps open
+      child.on('exit', (code, signal) => {
+        timers.push(setTimeout(() => finish(code, signal), OUTPUT_DRAIN_MS));
+      });
+      child.on('close', finish);
+    });
+  }
+
+  log(deployment, record, stream, line) {
+    record.output.push({ stream, line });
+    if (record.output.length > LOG_TAIL_LINES) record.output.shift();
+    this.emit('log', {
+      deploymentId: deployment.id,
+      component: record.component,
+      step: record.name,
+      stream,
+      line,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = { DeploymentEngine, DeploymentError, loadDeploymentConfig };
@@ -0,0 +1,234 @@
+/**
+ * IZA OS repository discovery
+ * Finds repositories and IZA folders under configurable roots and inspects
+ * each one for package, git and language facts.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'iza-os-discovery.json');
+
+const DEFAULT_CONFIG = {
+  roots: [],
+  include: ['*'],
+  exclude: ['.*', 'node_modules'],
+  nameFilters: ['iza-os', 'genix', 'worldwidebro'],
+  inspectConcurrency: 4
+};
+
+const ROOT_TYPES = ['repository', 'iza-folder'];
+
+// Marker files checked in order; the first match decides the language
+const LANGUAGE_MARKERS = [
+  { file: 'tsconfig.json', language: 'TypeScript' },
+  { file: 'package.json', language: 'JavaScript' },
+  { file: 'pyproject.toml', language: 'Python' },
+  { file: 'requirements.txt', language: 'Python' },
+  { file: 'setup.py', language: 'Python' },
+  { file: 'go.mod', language: 'Go' },
+  { file: 'Cargo.toml', language: 'Rust' },
+  { file: 'pom.xml', language: 'Java' },
+  { file: 'build.gradle', language: 'Java' },
+  { file: 'Gemfile', language: 'Ruby' },
+  { file: 'composer.json', language: 'PHP' }
+];
+
+const EXTENSION_LANGUAGES = {
+  '.js': 'JavaScript', '.mjs': 'JavaScript', '.ts': 'TypeScript', '.tsx': 'TypeScript',
+  '.py': 'Python', '.go': 'Go', '.rs': 'Rust', '.java': 'Java', '.rb': 'Ruby',
+  '.php': 'PHP', '.sh': 'Shell', '.swift': 'Swift', '.c': 'C', '.cpp': 'C++'
+};
+
+function splitList(value, separator = ',') {
+  return value.split(separator).map(item => item.trim()).filter(Boolean);
+}
+
+function expandHome(dir) {
+  return dir.startsWith('~') ? path.join(os.homedir(), dir.slice(1)) : dir;
+}
+
+/**
+ * Convert a glob (`*`, `?`, `**`, `{a,b}`) to a RegExp. Patterns without a
+ * slash match the directory name; patterns with one match the full path.
+ */
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i += 1) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      source += '.*';
+      i += 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      const end = glob.indexOf('}', i);
+      source += `(${glob.slice(i + 1, end).split(',').map(part => part.replace(/[.+^$()|[\]\\]/g, '\\$&')).join('|')})`;
+      i = end;
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function matchesGlob(dirPath, glob) {
+  const target = glob.includes('/') ? dirPath : path.basename(dirPath);
+  return globToRegExp(glob).test(target);
+}
+
+/**
+ * Load discovery settings from the JSON config file, then apply environment
+ * overrides:
+ *   IZA_DISCOVERY_CONFIG        path to the config file
+ *   IZA_DISCOVERY_ROOTS         path-delimited roots, `type=` prefix optional
+ *                               (e.g. `repository=/srv/repos:iza-folder=/srv`);
+ *                               an unknown type is an error
+ *   IZA_DISCOVERY_INCLUDE       comma-separated include globs
+ *   IZA_DISCOVERY_EXCLUDE       comma-separated exclude globs
+ *   IZA_DISCOVERY_NAME_FILTERS  comma-separated name filters for IZA folders
+ */
+function loadDiscoveryConfig(env = process.env) {
+  const configPath = env.IZA_DISCOVERY_CONFIG || DEFAULT_CONFIG_PATH;
+  const fileConfig = fs.existsSync(configPath)
+    ? JSON.parse(fs.readFileSync(configPath, 'utf8'))
+    : {};
+  const config = { ...DEFAULT_CONFIG, ...fileConfig };
+
+  if (env.IZA_DISCOVERY_ROOTS) {
+    config.roots = splitList(env.IZA_DISCOVERY_ROOTS, path.delimiter).map(entry => {
+      const typed = /^([\w-]+)=(.*)$/.exec(entry);
+      return typed ? { path: typed[2], type: typed[1] } : { path: entry, type: 'repository' };
+    });
+  }
+  if (env.IZA_DISCOVERY_INCLUDE) config.include = splitList(env.IZA_DISCOVERY_INCLUDE);
+  if (env.IZA_DISCOVERY_EXCLUDE) config.exclude = splitList(env.IZA_DISCOVERY_EXCLUDE);
+  if (env.IZA_DISCOVERY_NAME_FILTERS) config.nameFilters = splitList(env.IZA_DISCOVERY_NAME_FILTERS);
+
+  config.roots = config.roots.map(root => {
+    const type = root.type || 'repository';
+    if (!ROOT_TYPES.includes(type)) {
+      throw new Error(`Unknown discovery root type "${type}" for ${root.path} (expected ${ROOT_TYPES.join(' or ')})`);
+    }
+    if (typeof root.path !== 'string' || !root.path) throw new Error(`Discovery root of type ${type} has no path`);
+    return { ...root, type, path: path.resolve(expandHome(root.path)) };
+  });
+  config.source = fs.existsSync(configPath) ? configPath : null;
+  return config;
+}
+
+function listCandidates(root, config) {
+  if (!fs.existsSync(root.path)) {
+    console.warn(`⚠️  Discovery root not found: ${root.path}`);
+    return [];
+  }
+
+  const include = root.include || config.include;
+  const exclude = root.exclude || config.exclude;
+  // Roots of IZA folders only take names matching the filters, as before
+  const nameFilters = root.type === 'iza-folder' ? (root.nameFilters || config.nameFilters) : root.nameFilters;
+
+  return fs.readdirSync(root.path, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => path.join(root.path, entry.name))
+    .filter(dir => include.some(glob => matchesGlob(dir, glob)))
+    .filter(dir => !exclude.some(glob => matchesGlob(dir, glob)))
+    .filter(dir => !nameFilters || nameFilters.some(filter => path.basename(dir).includes(filter)));
+}
+
+async function git(dir, args) {
+  try {
+    const { stdout } = await execFileAsync('git', ['-C', dir, ...args], { timeout: 5000 });
+    return stdout.trim() || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function readPackageJson(dir) {
+  const file = path.join(dir, 'package.json');
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+function detectLanguage(dir) {
+  const marker = LANGUAGE_MARKERS.find(({ file }) => fs.existsSync(path.join(dir, file)));
+  if (marker) return marker.language;
+
+  // Fall back to the most common source extension in the top two levels
+  const counts = {};
+  const visit = (current, depth) => {
+    for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+      if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+      if (entry.isDirectory() && depth < 1) visit(path.join(current, entry.name), depth + 1);
+      const language = entry.isFile() && EXTENSION_LANGUAGES[path.extname(entry.name)];
+      if (language) counts[language] = (counts[language] || 0) + 1;
+    }
+  };
+  try {
+    visit(dir, 0);
+  } catch (error) {
+    return null;
+  }
+  const [top] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  return top ? top[0] : null;
+}
+
+async function inspectRepository(dir) {
+  const pkg = readPackageJson(dir);
+  // Only report git facts for the repository's own work tree, not an enclosing one
+  const topLevel = await git(dir, ['rev-parse', '--show-toplevel']);
+  const head = topLevel && topLevel === fs.realpathSync(dir) ? await git(dir, ['rev-parse', 'HEAD']) : null;
+
+  return {
+    package: pkg ? { name: pkg.name || null, version: pkg.version || null, description: pkg.description || null } : null,
+    git: head
+      ? {
+        head,
+        branch: await git(dir, ['rev-parse', '--abbrev-ref', 'HEAD']),
+        lastCommitDate: await git(dir, ['log', '-1', '--format=%cI'])
+      }
+      : null,
+    language: detectLanguage(dir)
+  };
+}
+
+/**
+ * Discover every component under the configured roots. A directory reachable
+ * from several roots is reported once, under the first root listing it.
+ */
+async function discoverComponents(config) {
+  const seen = new Set();
+  const candidates = [];
+
+  for (const root of config.roots) {
+    for (const dir of listCandidates(root, config)) {
+      if (seen.has(dir)) continue;
+      seen.add(dir);
+      candidates.push({ name: path.basename(dir), path: dir, type: root.type, root: root.path });
+    }
+  }
+
+  // 0, negative or missing concurrency would never advance through the batches
+  const concurrency = Math.max(1, Math.floor(config.inspectConcurrency) || 1);
+  const components = [];
+  for (let i = 0; i < candidates.length; i += concurrency) {
+    const batch = candidates.slice(i, i + concurrency);
+    const facts = await Promise.all(batch.map(candidate => inspectRepository(candidate.path)));
+    batch.forEach((candidate, index) => components.push({ ...candidate, ...facts[index] }));
+  }
+  return components;
+}
+
+module.exports = { ROOT_TYPES, loadDiscoveryConfig, discoverComponents, inspectRepository, matchesGlob, git, EXTENSION_LANGUAGES };
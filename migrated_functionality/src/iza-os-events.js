@@ -0,0 +1,169 @@
+/**
+ * IZA OS WebSocket event protocol (version 1)
+ *
+ * Every server message is JSON with `v` (protocol version) and `type`.
+ * Events additionally carry a sequence `id`, a `topic`, `at` and `data`:
+ *
+ *   { v: 1, id: 42, topic: 'health', type: 'service.transition', at, data }
+ *
+ * Topics and their event types:
+ *   health           service.transition
+ *   deployments      deployment.started, deployment.step, deployment.finished
+ *   deployment-logs  deployment.log
+ *   jobs             job.queued, job.started, job.progress, job.completed, job.failed, job.cancelled
+ *   discovery        discovery.completed, discovery.scored
+ *   alerts           alert.fired, alert.resolved
+ *   hosts            host.connected, host.reported
+ *
+ * Control messages (no `id`):
+ *   server -> client  hello { bootId, topics, heartbeatMs, lastEventId }
+ *                     subscribed { topics }, heartbeat { lastEventId }, pong, error { error }
+ *                     replay { from, count, reset, truncated } (sent before replayed events)
+ *   client -> server  subscribe { topics, since?, bootId? }, unsubscribe { topics }, ping
+ *
+ * A reconnecting client subscribes with the last event id (and bootId) it
+ * saw; missed events still in the bounded buffer are replayed in order. If
+ * the server restarted (bootId changed) everything buffered is replayed with
+ * `reset: true`; `truncated: true` means older events were already dropped.
+ * On shutdown the server closes connections with code 1001 (going away).
+ */
+
+const crypto = require('crypto');
+const WebSocket = require('ws');
+
+const PROTOCOL_VERSION = 1;
+
+const TOPICS = ['health', 'deployments', 'deployment-logs', 'jobs', 'discovery', 'alerts', 'hosts'];
+
+class EventHub {
+  constructor({ wss, bufferSize = 1000, heartbeatMs = 30000 } = {}) {
+    this.wss = wss;
+    this.bufferSize = bufferSize;
+    this.heartbeatMs = heartbeatMs;
+    this.bootId = crypto.randomBytes(8).toString('hex');
+    this.buffer = [];
+    this.lastEventId = 0;
+    this.heartbeatTimer = null;
+  }
+
+  send(ws, message) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ v: PROTOCOL_VERSION, ...message }));
+    }
+  }
+
+  publish(topic, type, data = {}) {
+    if (!TOPICS.includes(topic)) throw new Error(`Unknown event topic: ${topic}`);
+    this.lastEventId += 1;
+    const event = { id: this.lastEventId, topic, type, at: new Date().toISOString(), data };
+
+    this.buffer.push(event);
+    if (this.buffer.length > this.bufferSize) this.buffer.shift();
+
+    this.wss.clients.forEach(client => {
+      if (client.subscriptions && client.subscriptions.has(topic)) this.send(client, event);
+    });
+    return event;
+  }
+
+  attach(ws) {
+    ws.subscriptions = new Set();
+    ws.isAlive = true;
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+    ws.on('message', raw => this.handleMessage(ws, raw));
+
+    this.send(ws, {
+      type: 'hello',
+      bootId: this.bootId,
+      topics: TOPICS,
+      heartbeatMs: this.heartbeatMs,
+      lastEventId: this.lastEventId
+    });
+  }
+
+  handleMessage(ws, raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (error) {
+      return this.send(ws, { type: 'error', error: 'Messages must be JSON' });
+    }
+    // null, numbers, strings and arrays parse too, but carry no type
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      return this.send(ws, { type: 'error', error: 'Messages must be JSON objects' });
+    }
+
+    const topics = Array.isArray(message.topics) ? message.topics : [];
+    const unknown = topics.filter(topic => !TOPICS.includes(topic));
+
+    switch (message.type) {
+      case 'subscribe':
+        if (unknown.length) return this.send(ws, { type: 'error', error: `Unknown topics: ${unknown.join(', ')}` });
+        topics.forEach(topic => ws.subscriptions.add(topic));
+        this.send(ws, { type: 'subscribed', topics: [...ws.subscriptions] });
+        if (message.since !== undefined) this.replay(ws, topics, message.since, message.bootId);
+        break;
+      case 'unsubscribe':
+        topics.forEach(topic => ws.subscriptions.delete(topic));
+        this.send(ws, { type: 'subscribed', topics: [...ws.subscriptions] });
+        break;
+      case 'ping':
+        this.send(ws, { type: 'pong', lastEventId: this.lastEventId });
+        break;
+      default:
+        this.send(ws, { type: 'error', error: `Unknown message type: ${message.type}` });
+    }
+  }
+
+  replay(ws, topics, since, bootId) {
+    const reset = Boolean(bootId) && bootId !== this.bootId;
+    const from = reset ? 0 : Number(since) || 0;
+    const oldest = this.buffer.length ? this.buffer[0].id : this.lastEventId + 1;
+    const events = this.buffer.filter(event => event.id > from && topics.includes(event.topic));
+
+    this.send(ws, { type: 'replay', from, count: events.length, reset, truncated: from + 1 < oldest });
+    events.forEach(event => this.send(ws, event));
+  }
+
+  // Protocol-level ping/pong drops dead connections; the heartbeat message
+  // lets browser clients, which cannot see pings, notice a stalled socket
+  startHeartbeat() {
+    this.heartbeatTimer = setInterval(() => {
+      this.wss.clients.forEach(ws => {
+        if (!ws.isAlive) return ws.terminate();
+        ws.isAlive = false;
+        ws.ping();
+        this.send(ws, { type: 'heartbeat', lastEventId: this.lastEventId });
+      });
+    }, this.heartbeatMs);
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Close every client with 1001 (going away) so it reconnects elsewhere or
+   * later, terminating those that have not closed within `timeoutMs`.
+   * Resolves with the number of clients drained.
+   */
+  async drain({ timeoutMs = 5000 } = {}) {
+    this.stopHeartbeat();
+    const clients = [...this.wss.clients];
+    await Promise.all(clients.map(ws => new Promise(resolve => {
+      if (ws.readyState === WebSocket.CLOSED) return resolve();
+      const timer = setTimeout(() => ws.terminate(), timeoutMs);
+      ws.once('close', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      ws.close(1001, 'Server shutting down');
+    })));
+    return clients.length;
+  }
+}
+
+module.exports = { EventHub, TOPICS, PROTOCOL_VERSION };
@@ -0,0 +1,208 @@
+/**
+ * IZA OS service health checks
+ * Polls each service's health endpoint and keeps a per-service model: HTTP
+ * status, latency, the body's own status field, consecutive failures and
+ * when the status last changed.
+ */
+
+const { EventEmitter } = require('events');
+
+const HEALTH_STATUSES = ['unknown', 'healthy', 'degraded', 'unhealthy'];
+
+const DEFAULT_CHECK = {
+  healthPath: '/health',
+  timeoutMs: 5000,
+  // Slower responses than this count as degraded
+  degradedLatencyMs: 1000,
+  // Consecutive failed checks before a service is degraded / unhealthy
+  degradedAfterFailures: 1,
+  unhealthyAfterFailures: 3
+};
+
+// Values of a JSON body's `status` field that report trouble
+const FAILING_BODY_STATUSES = ['error', 'fail', 'failed', 'down', 'unhealthy', 'critical'];
+const DEGRADED_BODY_STATUSES = ['degraded', 'warn', 'warning', 'partial'];
+// Nothing is listening: unhealthy at once rather than after repeated failures
+const DOWN_ERRORS = ['ECONNREFUSED'];
+
+// `CONFIG.services` entries are either a base URL or `{ url, ...check settings }`
+function normalizeService(name, definition) {
+  const settings = typeof definition === 'string' ? { url: definition } : definition;
+  return { name, ...DEFAULT_CHECK, ...settings };
+}
+
+async function probe(service) {
+  const started = Date.now();
+  try {
+    const response = await fetch(`${service.url}${service.healthPath}`, {
+      signal: AbortSignal.timeout(service.timeoutMs)
+    });
+    const text = await response.text();
+    let bodyStatus = null;
+    try {
+      const body = JSON.parse(text);
+      if (body && typeof body.status === 'string') bodyStatus = body.status;
+    } catch (error) {
+      // Plain-text health endpoints are judged by HTTP status alone
+    }
+    return { httpStatus: response.status, latencyMs: Date.now() - started, bodyStatus, error: null };
+  } catch (error) {
+    const timedOut = error.name === 'TimeoutError';
+    return {
+      httpStatus: null,
+      latencyMs: Date.now() - started,
+      bodyStatus: null,
+      error: timedOut ? `Timed out after ${service.timeoutMs}ms` : (error.cause && error.cause.code) || error.message
+    };
+  }
+}
+
+function classify(result) {
+  const bodyStatus = (result.bodyStatus || '').toLowerCase();
+  if (result.error) return { ok: false, down: DOWN_ERRORS.includes(result.error), reason: result.error };
+  if (result.httpStatus < 200 || result.httpStatus >= 300) return { ok: false, reason: `HTTP ${result.httpStatus}` };
+  if (FAILING_BODY_STATUSES.includes(bodyStatus)) return { ok: false, reason: `Reported status "${result.bodyStatus}"` };
+  if (DEGRADED_BODY_STATUSES.includes(bodyStatus)) return { ok: true, degraded: `Reported status "${result.bodyStatus}"` };
+  return { ok: true };
+}
+
+/**
+ * Emits `transition` (state, previousStatus) whenever a service's status
+ * changes, and `checked` (states) after every round. The last `historySize`
+ * checks per service are kept for charts.
+ */
+class ServiceHealthMonitor extends EventEmitter {
+  constructor({ historySize = 120 } = {}) {
+    super();
+    this.states = new Map();
+    this.historySize = historySize;
+    this.samples = new Map();
+    // name -> times forgotten, so checks in flight across forget() are dropped
+    this.forgotten = new Map();
+    this.timer = null;
+    this.round = null;
+  }
+
+  // Resolves to null when the service is forgotten while its check is in flight
+  async check(name, definition) {
+    const service = normalizeService(name, definition);
+    const generation = this.forgotten.get(name) || 0;
+    const result = await probe(service);
+    if ((this.forgotten.get(name) || 0) !== generation) return null;
+    const verdict = classify(result);
+    const now = new Date().toISOString();
+    const previous = this.states.get(name) || {
+      name,
+      status: 'unknown',
+      consecutiveFailures: 0,
+      lastSuccessAt: null,
+      lastChangeAt: now
+    };
+
+    const consecutiveFailures = verdict.ok ? 0 : previous.consecutiveFailures + 1;
+    let status = 'healthy';
+    let reason = verdict.reason || verdict.degraded || null;
+    if (verdict.down || consecutiveFailures >= service.unhealthyAfterFailures) {
+      status = 'unhealthy';
+    } else if (consecutiveFailures >= service.degradedAfterFailures || verdict.degraded) {
+      status = 'degraded';
+    } else if (result.latencyMs > service.degradedLatencyMs) {
+      status = 'degraded';
+      reason = `Slow response (${result.latencyMs}ms > ${service.degradedLatencyMs}ms)`;
+    }
+
+    const state = {
+      name,
+      url: service.url,
+      status,
+      reason,
+      httpStatus: result.httpStatus,
+      latencyMs: result.latencyMs,
+      bodyStatus: result.bodyStatus,
+      consecutiveFailures,
+      lastCheckedAt: now,
+      lastSuccessAt: verdict.ok ? now : previous.lastSuccessAt,
+      lastChangeAt: status === previous.status ? previous.lastChangeAt : now,
+      thresholds: {
+        timeoutMs: service.timeoutMs,
+        degradedLatencyMs: service.degradedLatencyMs,
+        degradedAfterFailures: service.degradedAfterFailures,
+        unhealthyAfterFailures: service.unhealthyAfterFailures
+      }
+    };
+    this.states.set(name, state);
+
+    const samples = this.samples.get(name) || [];
+    samples.push({ at: now, status, latencyMs: result.latencyMs, httpStatus: result.httpStatus });
+    if (samples.length > this.historySize) samples.shift();
+    this.samples.set(name, samples);
+
+    if (status !== previous.status) this.emit('transition', state, previous.status);
+    return state;
+  }
+
+  // Check every service; services no longer configured are forgotten
+  async checkAll(services) {
+    for (const name of this.states.keys()) {
+      if (!Object.hasOwn(services, name)) this.forget(name);
+    }
+    const states = (await Promise.all(
+      Object.entries(services).map(([name, definition]) => this.check(name, definition))
+    )).filter(Boolean);
+    this.emit('checked', states);
+    return states;
+  }
+
+  /**
+   * Check `services()` every `intervalMs` until stop(). A round still running
+   * when the next is due is not overlapped; that tick is skipped.
+   */
+  start(services, intervalMs) {
+    clearInterval(this.timer);
+    this.timer = setInterval(() => {
+      if (this.round) return;
+      this.round = this.checkAll(services())
+        .catch(error => console.error('❌ Health check round failed:', error.message))
+        .finally(() => {
+          this.round = null;
+        });
+    }, intervalMs);
+  }
+
+  // Stop the loop and wait for a round in progress
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.round;
+  }
+
+  get running() {
+    return this.timer !== null;
+  }
+
+  get(name) {
+    return this.states.get(name) || null;
+  }
+
+  forget(name) {
+    this.forgotten.set(name, (this.forgotten.get(name) || 0) + 1);
+    this.states.delete(name);
+    this.samples.delete(name);
+  }
+
+  // name -> recent checks, oldest first
+  history() {
+    return Object.fromEntries(this.samples);
+  }
+
+  // name -> status, for summaries
+  statuses() {
+    return Object.fromEntries([...this.states].map(([name, state]) => [name, state.status]));
+  }
+
+  toJSON() {
+    return Object.fromEntries(this.states);
+  }
+}
+
+module.exports = { ServiceHealthMonitor, HEALTH_STATUSES, normalizeService };
@@ -0,0 +1,127 @@
+/**
+ * IZA OS hosts
+ * The central master keeps the latest snapshot each agent reported: its
+ * discovered repositories and service health. A host is `online` while it
+ * keeps reporting, `stale` once a few reports are missed, and `offline`
+ * after an agent says it is shutting down. Repositories and services come
+ * back tagged with their host for the dashboard's host-grouped views.
+ */
+
+const { EventEmitter } = require('events');
+const { HEALTH_STATUSES } = require('./iza-os-health');
+
+const HOST_NAME_PATTERN = /^[A-Za-z0-9][\w.-]{0,252}$/;
+
+class HostError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'HostError';
+    this.status = status;
+  }
+}
+
+function validateSnapshot(host, snapshot) {
+  if (!HOST_NAME_PATTERN.test(host)) {
+    throw new HostError('Host names may contain letters, digits, ".", "_" and "-"', 400);
+  }
+  if (!snapshot || typeof snapshot !== 'object' || Array.isArray(snapshot)) {
+    throw new HostError('A host report must be a JSON object', 400);
+  }
+  if (!Array.isArray(snapshot.repositories)) throw new HostError('repositories must be an array', 400);
+  if (snapshot.repositories.some(item => !item || typeof item.name !== 'string' || typeof item.path !== 'string')) {
+    throw new HostError('every repository needs a name and a path', 400);
+  }
+  if (!snapshot.services || typeof snapshot.services !== 'object' || Array.isArray(snapshot.services)) {
+    throw new HostError('services must be an object keyed by service name', 400);
+  }
+  for (const [name, state] of Object.entries(snapshot.services)) {
+    if (!state || typeof state !== 'object' || typeof state.name !== 'string' || !HEALTH_STATUSES.includes(state.status)) {
+      throw new HostError(`services.${name} needs a name and a status (${HEALTH_STATUSES.join(', ')})`, 400);
+    }
+  }
+}
+
+// Counts per health status, e.g. { healthy: 3, unhealthy: 1 }
+function summarizeServices(services) {
+  const summary = {};
+  for (const state of Object.values(services)) summary[state.status] = (summary[state.status] || 0) + 1;
+  return summary;
+}
+
+/**
+ * Emits:
+ *   `connected` (host)   first report, or first after being stale/offline
+ *   `reported`  (host)   every report
+ */
+class HostRegistry extends EventEmitter {
+  constructor({ staleAfterMs = 90000 } = {}) {
+    super();
+    this.staleAfterMs = staleAfterMs;
+    this.hosts = new Map();
+  }
+
+  statusOf(entry, now = Date.now()) {
+    if (entry.shuttingDown) return 'offline';
+    return now - Date.parse(entry.lastReportAt) > this.staleAfterMs ? 'stale' : 'online';
+  }
+
+  report(host, snapshot, { reportedBy } = {}) {
+    validateSnapshot(host, snapshot);
+    const previous = this.hosts.get(host);
+    const entry = {
+      ...snapshot,
+      host,
+      reportedBy: reportedBy || null,
+      shuttingDown: Boolean(snapshot.shuttingDown),
+      firstReportAt: previous ? previous.firstReportAt : new Date().toISOString(),
+      lastReportAt: new Date().toISOString()
+    };
+    this.hosts.set(host, entry);
+
+    if (!previous || this.statusOf(previous) !== 'online') this.emit('connected', this.summary(entry));
+    this.emit('reported', this.summary(entry));
+    return entry;
+  }
+
+  summary(entry) {
+    return {
+      host: entry.host,
+      status: this.statusOf(entry),
+      mode: entry.mode || null,
+      lastReportAt: entry.lastReportAt,
+      repositories: entry.repositories.length,
+      services: summarizeServices(entry.services)
+    };
+  }
+
+  list() {
+    return [...this.hosts.values()].map(entry => this.summary(entry));
+  }
+
+  get(host) {
+    const entry = this.hosts.get(host);
+    return entry ? { ...entry, status: this.statusOf(entry) } : null;
+  }
+
+  // Every host's latest report with its current status
+  snapshots() {
+    return [...this.hosts.keys()].map(host => this.get(host));
+  }
+
+  // Every reported repository, tagged with its host and that host's status
+  repositories() {
+    return [...this.hosts.values()].flatMap(entry => {
+      const hostStatus = this.statusOf(entry);
+      return entry.repositories.map(repository => ({ ...repository, host: entry.host, hostStatus }));
+    });
+  }
+
+  forget(host) {
+    const entry = this.hosts.get(host);
+    if (!entry) throw new HostError(`Host not found: ${host}`, 404);
+    this.hosts.delete(host);
+    return this.summary(entry);
+  }
+}
+
+module.exports = { HostRegistry, HostError, summarizeServices };
@@ -9,119 +9,234 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const os = require('os');
 const fs = require('fs');
-const { exec } = require('child_process');
 const WebSocket = require('ws');
 const http = require('http');
+const { loadDiscoveryConfig, discoverComponents } = require('./iza-os-discovery');
+const { DeploymentEngine } = require('./iza-os-deployer');
+const { ServiceHealthMonitor, HEALTH_STATUSES } = require('./iza-os-health');
+const { ServiceRegistry } = require('./iza-os-service-registry');
+const { AuthManager } = require('./iza-os-auth');
+const { AuditLog } = require('./iza-os-audit');
+const { EventHub } = require('./iza-os-events');
+const { loadTopologyConfig, buildTopology } = require('./iza-os-topology');
+const { AlertManager } = require('./iza-os-alerts');
+const { loadScoringConfig, scoreRepository } = require('./iza-os-scoring');
+const { RepositoryIndex } = require('./iza-os-repository-search');
+const { HostRegistry, HostError, summarizeServices } = require('./iza-os-hosts');
+const { AgentReporter } = require('./iza-os-agent');
+const { MetricsRegistry, registerProcessMetrics, requestMetrics, metricsHandler } = require('./prometheus-metrics');
 
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+// Dashboard clients authenticate with their session cookie, automation with ?token=<api key>
+const wss = new WebSocket.Server({
+  server,
+  maxPayload: 64 * 1024,
+  verifyClient: (info, done) => {
+    if (lifecycle.stopping) return done(false, 503, 'Server is shutting down');
+    const principal = auth.authenticate(info.req, { allowQueryToken: true });
+    if (!principal) return done(false, 401, 'Authentication required');
+    info.req.principal = principal;
+    done(true);
+  }
+});
+// Versioned, topic-based event stream for dashboard clients (see iza-os-events.js)
+const events = new EventHub({ wss });
+// Set by stop(); new WebSocket clients are refused and /readyz fails while it runs
+const lifecycle = { stopping: null };
 
 // Configuration
 const CONFIG = {
-  port: 9000,
+  port: Number(process.env.IZA_PORT) || 9000,
+  // `agent` (IZA_MODE=agent or --agent) also reports this machine's repositories
+  // and service health to the central master at IZA_MASTER_URL, using
+  // IZA_MASTER_API_KEY (operator role). Every host needs a distinct IZA_HOST_NAME.
+  mode: process.env.IZA_MODE === 'agent' || process.argv.includes('--agent') ? 'agent' : 'master',
+  hostName: process.env.IZA_HOST_NAME || os.hostname(),
+  masterUrl: process.env.IZA_MASTER_URL,
+  masterApiKey: process.env.IZA_MASTER_API_KEY,
+  agentReportIntervalMs: 30000,
+  // Hosts missing this long are shown as stale
+  hostStaleAfterMs: 90000,
   ecosystemValue: '$45.93B+',
   repositories: 28,
   izaFolders: 781,
+  // Seed for the service registry on first start; afterwards services are
+  // managed through /api/services. A base URL, or { url, healthPath, tags,
+  // owner, timeoutMs, degradedLatencyMs, degradedAfterFailures,
+  // unhealthyAfterFailures } (see iza-os-health.js)
   services: {
     omnara: 'http://localhost:8080',
     agentOrchestra: 'http://localhost:8087',
     fastAgent: 'http://localhost:8002',
-    ollama: 'http://localhost:11434'
-  }
+    // Ollama has no /health; its root answers "Ollama is running"
+    ollama: { url: 'http://localhost:11434', healthPath: '/', degradedLatencyMs: 2000 }
+  },
+  healthCheckIntervalMs: 30000,
+  proxyTimeoutMs: 30000,
+  // How long shutdown waits for WebSocket clients, then for everything else
+  drainTimeoutMs: 5000,
+  shutdownTimeoutMs: 15000,
+  // Runtime state (deployment history, users, audit log, ...) lives here
+  stateDir: process.env.IZA_STATE_DIR || path.join(__dirname, 'state'),
+  // Browser origins allowed to call the API with credentials; same-origin only by default
+  corsOrigins: (process.env.IZA_CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean)
 };
 
+const auth = new AuthManager({ filePath: path.join(CONFIG.stateDir, 'auth.json') });
+const audit = new AuditLog(path.join(CONFIG.stateDir, 'audit.log'));
+
+const initialAdmin = auth.bootstrap(process.env.IZA_ADMIN_PASSWORD);
+if (initialAdmin) {
+  console.log(initialAdmin.password
+    ? `🔑 Created user "admin" with password: ${initialAdmin.password} (shown once - change it or set IZA_ADMIN_PASSWORD)`
+    : '🔑 Created user "admin" with the password from IZA_ADMIN_PASSWORD');
+}
+
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(cors({ origin: CONFIG.corsOrigins.length ? CONFIG.corsOrigins : false, credentials: true }));
+// Agent reports can exceed the default body limit; their route parses them after authentication
+const HOST_REPORT_ROUTE = /^\/api\/hosts\/[^/]+\/report$/;
+const jsonBody = express.json();
+app.use((req, res, next) => (HOST_REPORT_ROUTE.test(req.path) ? next() : jsonBody(req, res, next)));
+// Prometheus metrics, served from /metrics
+const metrics = new MetricsRegistry();
+registerProcessMetrics(metrics);
+app.use(requestMetrics(metrics));
+// The mobile dashboard: public/index.html, dashboard.css, dashboard.js
 app.use(express.static(path.join(__dirname, 'public')));
 
+const serviceRegistry = new ServiceRegistry({
+  filePath: path.join(CONFIG.stateDir, 'services.json'),
+  seed: CONFIG.services
+});
+
+// Ecosystem graph from config/node-edge-architecture.json, mapped via config/iza-os-topology.json
+const topologyConfig = loadTopologyConfig();
+
 // Repository Discovery and Integration
 class IZAEcosystemIntegrator {
   constructor() {
     this.repositories = [];
     this.services = new Map();
     this.agents = new Map();
-    this.healthStatus = new Map();
-    this.init();
+    this.health = new ServiceHealthMonitor();
+    this.state = 'stopped'; // stopped | starting | ready | stopping
+    // Weights and targets from config/iza-os-scoring.json (IZA_SCORING_CONFIG)
+    this.scoringConfig = loadScoringConfig();
+    this.scoreCache = new Map(); // path -> { head, score }
+    this.scoring = null;
+    // Search over repository names, packages and READMEs (see iza-os-repository-search.js)
+    this.repositoryIndex = new RepositoryIndex();
   }
 
-  async init() {
+  // Discover, check every service once, then keep checking on an interval
+  async start() {
+    this.state = 'starting';
     console.log('🚀 Initializing IZA OS Master Integration...');
     await this.discoverRepositories();
+    if (this.state !== 'starting') return; // stopped while discovering
     await this.connectServices();
-    await this.startHealthMonitoring();
+    if (this.state !== 'starting') return;
+    this.startHealthMonitoring();
+    this.state = 'ready';
     console.log(`✅ IZA OS Master Server Ready - $45.93B+ Ecosystem Integrated`);
   }
 
+  async stop() {
+    this.state = 'stopping';
+    await this.health.stop();
+    await this.scoring;
+    this.state = 'stopped';
+  }
+
+  // Ready once discovery and the first round of health checks are done
+  readiness() {
+    return {
+      ready: this.state === 'ready',
+      state: this.state,
+      discoveredAt: this.discoveredAt || null,
+      components: this.repositories.length,
+      healthMonitoring: this.health.running
+    };
+  }
+
   async discoverRepositories() {
-    const repoPath = '/Users/divinejohns/memU/repositories';
-    const memUPath = '/Users/divinejohns/memU';
+    // Roots, globs and name filters come from config/iza-os-discovery.json or IZA_DISCOVERY_* env
+    this.discoveryConfig = loadDiscoveryConfig();
     
     try {
-      // Discover all repositories
-      const repoDirs = fs.readdirSync(repoPath).filter(dir => 
-        fs.statSync(path.join(repoPath, dir)).isDirectory()
-      );
-      
-      // Discover all IZA folders
-      const izaDirs = fs.readdirSync(memUPath).filter(dir => 
-        dir.includes('iza-os') || dir.includes('genix') || dir.includes('worldwidebro')
-      );
-
-      this.repositories = [
-        ...repoDirs.map(dir => ({
-          name: dir,
-          path: path.join(repoPath, dir),
-          type: 'repository',
-          value: this.calculateRepoValue(dir),
-          status: 'active'
-        })),
-        ...izaDirs.map(dir => ({
-          name: dir,
-          path: path.join(memUPath, dir),
-          type: 'iza-folder',
-          value: '$6.4M+',
-          status: 'integrated'
-        }))
-      ];
-
-      console.log(`📊 Discovered ${this.repositories.length} components`);
+      const components = await discoverComponents(this.discoveryConfig);
+
+      this.repositories = components.map(component => ({
+        ...component,
+        host: CONFIG.hostName,
+        status: component.type === 'repository' ? 'active' : 'integrated',
+        score: this.cachedScore(component)
+      }));
+      await this.repositoryIndex.update(this.repositories);
+      this.discoveredAt = new Date().toISOString();
+      events.publish('discovery', 'discovery.completed', {
+        discoveredAt: this.discoveredAt,
+        roots: this.discoveryConfig.roots.map(root => root.path),
+        total: this.repositories.length,
+        repositories: this.repositories.filter(item => item.type === 'repository').length,
+        izaFolders: this.repositories.filter(item => item.type === 'iza-folder').length
+      });
+
+      console.log(`📊 Discovered ${this.repositories.length} components in ${this.discoveryConfig.roots.length} roots`);
+      this.scoring = this.scoreRepositories();
     } catch (error) {
       console.error('❌ Repository discovery failed:', error.message);
     }
   }
 
-  calculateRepoValue(repoName) {
-    const valueMap = {
-      'iza-os-core': '$5.2B+',
-      'iza-os-enterprise': '$3.5B+', 
-      'genix-bank': '$2.1B+',
-      'worldwidebro-platform': '$1.8B+',
-      'fastmcp': '$300M+',
-      'claude-flow': '$200M+',
-      'dify': '$150M+'
-    };
-    return valueMap[repoName] || '$50M+';
+  // A git repository whose HEAD hasn't moved keeps its last score
+  cachedScore(component) {
+    const cached = this.scoreCache.get(component.path);
+    return cached && component.git && cached.head === component.git.head ? cached.score : null;
+  }
+
+  // Scores are computed in the background after discovery; until then a component's score is null
+  async scoreRepositories() {
+    const started = Date.now();
+    const pending = this.repositories.filter(component => !component.score);
+    const concurrency = this.discoveryConfig.inspectConcurrency;
+    for (let i = 0; i < pending.length; i += concurrency) {
+      if (this.state === 'stopping' || this.state === 'stopped') return;
+      await Promise.all(pending.slice(i, i + concurrency).map(async component => {
+        try {
+          component.score = await scoreRepository(component, this.scoringConfig);
+          if (component.git) this.scoreCache.set(component.path, { head: component.git.head, score: component.score });
+        } catch (error) {
+          console.error(`❌ Scoring ${component.name} failed:`, error.message);
+        }
+      }));
+    }
+    this.scoredAt = new Date().toISOString();
+    events.publish('discovery', 'discovery.scored', {
+      scoredAt: this.scoredAt,
+      scored: pending.length,
+      durationMs: Date.now() - started
+    });
+    console.log(`🧮 Scored ${pending.length} components in ${Date.now() - started}ms`);
+    // Agents report right away rather than leaving the master with null scores until the next interval
+    if (reporter) reporter.reportSoon();
   }
 
   async connectServices() {
     console.log('🔌 Connecting to ecosystem services...');
     
-    for (const [name, url] of Object.entries(CONFIG.services)) {
-      try {
-        const response = await fetch(`${url}/health`).catch(() => null);
-        this.healthStatus.set(name, response ? 'online' : 'offline');
-        console.log(`${name}: ${this.healthStatus.get(name)}`);
-      } catch (error) {
-        this.healthStatus.set(name, 'offline');
-      }
+    const states = await this.health.checkAll(serviceRegistry.toHealthConfig());
+    for (const state of states) {
+      console.log(`${state.name}: ${state.status}${state.reason ? ` (${state.reason})` : ''}`);
     }
   }
 
-  async startHealthMonitoring() {
-    setInterval(() => this.connectServices(), 30000); // Check every 30 seconds
+  startHealthMonitoring() {
+    this.health.start(() => serviceRegistry.toHealthConfig(), CONFIG.healthCheckIntervalMs);
   }
 
   getEcosystemStatus() {
@@ -130,7 +245,7 @@ class IZAEcosystemIntegrator {
       repositories: CONFIG.repositories,
       izaFolders: CONFIG.izaFolders,
       components: this.repositories.length,
-      services: Object.fromEntries(this.healthStatus),
+      services: this.health.statuses(),
       uptime: process.uptime(),
       timestamp: new Date().toISOString()
     };
@@ -139,387 +254,593 @@ class IZAEcosystemIntegrator {
 
 const ecosystemIntegrator = new IZAEcosystemIntegrator();
 
+ecosystemIntegrator.health.on('transition', (state, previousStatus) => {
+  console.log(`${state.status === 'healthy' ? '✅' : '⚠️ '} ${state.name}: ${previousStatus} -> ${state.status}`);
+  events.publish('health', 'service.transition', { ...state, previousStatus });
+  if (reporter) reporter.reportSoon();
+});
+
+// Hosts: this machine plus, on a central master, every agent reporting to it
+const hosts = new HostRegistry({ staleAfterMs: CONFIG.hostStaleAfterMs });
+// Set by start() in agent mode
+let reporter = null;
+
+hosts.on('connected', host => {
+  console.log(`🛰️  Host ${host.host} connected (${host.repositories} components)`);
+  events.publish('hosts', 'host.connected', host);
+});
+hosts.on('reported', host => events.publish('hosts', 'host.reported', host));
+
+// What an agent reports, and what the master shows for itself
+function hostSnapshot() {
+  return {
+    host: CONFIG.hostName,
+    mode: CONFIG.mode,
+    startedAt: new Date(Date.now() - process.uptime() * 1000).toISOString(),
+    readiness: ecosystemIntegrator.readiness(),
+    repositories: ecosystemIntegrator.repositories.map(component => ({
+      name: component.name,
+      path: component.path,
+      type: component.type,
+      status: component.status,
+      language: component.language,
+      package: component.package,
+      git: component.git,
+      score: component.score
+    })),
+    services: ecosystemIntegrator.health.toJSON()
+  };
+}
+
+// Deployment engine: runs declared steps and streams their output to dashboard clients
+const deployer = new DeploymentEngine({ historyPath: path.join(CONFIG.stateDir, 'deployments.json') });
+
+deployer.on('started', deployment => events.publish('deployments', 'deployment.started', {
+  deploymentId: deployment.id,
+  component: deployment.component,
+  kind: deployment.kind,
+  rollbackOf: deployment.rollbackOf,
+  triggeredBy: deployment.triggeredBy,
+  steps: deployment.steps.map(step => step.name)
+}));
+
+deployer.on('step', (deployment, step) => events.publish('deployments', 'deployment.step', {
+  deploymentId: deployment.id,
+  component: step.component,
+  step: step.name,
+  status: step.status,
+  exitCode: step.exitCode
+}));
+
+deployer.on('log', entry => events.publish('deployment-logs', 'deployment.log', entry));
+
+deployer.on('finished', deployment => {
+  console.log(`${deployment.status === 'succeeded' ? '✅' : '❌'} Deployment ${deployment.id} ${deployment.status}`);
+  events.publish('deployments', 'deployment.finished', {
+    deploymentId: deployment.id,
+    component: deployment.component,
+    kind: deployment.kind,
+    status: deployment.status,
+    exitCode: deployment.exitCode,
+    durationMs: deployment.durationMs,
+    releases: deployment.releases,
+    error: deployment.error
+  });
+});
+
+// Alerting: rules and notifiers from config/iza-os-alerts.json (IZA_ALERTS_CONFIG)
+const alerts = new AlertManager({ filePath: path.join(CONFIG.stateDir, 'alerts.json') });
+console.log(`🔔 Alerting: ${alerts.config.rules.length} rules, notifiers: ${alerts.notifiers.map(notifier => notifier.name).join(', ') || 'none'}`);
+
+ecosystemIntegrator.health.on('checked', states => alerts.evaluateHealth(states));
+deployer.on('finished', deployment => alerts.evaluateDeployment(deployment));
+
+alerts.on('fired', alert => events.publish('alerts', 'alert.fired', alert));
+alerts.on('resolved', alert => events.publish('alerts', 'alert.resolved', alert));
+
+// Metrics for services, deployments, discovery and dashboard clients
+metrics.gauge('iza_service_up', 'Whether the last health check succeeded', ['service'], gauge => {
+  for (const state of ecosystemIntegrator.health.states.values()) {
+    gauge.set({ service: state.name }, state.consecutiveFailures === 0 ? 1 : 0);
+  }
+});
+metrics.gauge('iza_service_health_status', 'Current health status of each service (1 for the active status)', ['service', 'status'], gauge => {
+  for (const state of ecosystemIntegrator.health.states.values()) {
+    for (const status of HEALTH_STATUSES) gauge.set({ service: state.name, status }, state.status === status ? 1 : 0);
+  }
+});
+metrics.gauge('iza_service_latency_seconds', 'Latency of the last health check', ['service'], gauge => {
+  for (const state of ecosystemIntegrator.health.states.values()) {
+    gauge.set({ service: state.name }, state.latencyMs / 1000);
+  }
+});
+metrics.gauge('iza_service_consecutive_failures', 'Consecutive failed health checks', ['service'], gauge => {
+  for (const state of ecosystemIntegrator.health.states.values()) {
+    gauge.set({ service: state.name }, state.consecutiveFailures);
+  }
+});
+
+const deploymentsFinished = metrics.counter('iza_deployments_total', 'Finished deployments by outcome', ['component', 'kind', 'status']);
+const deploymentDuration = metrics.histogram(
+  'iza_deployment_duration_seconds',
+  'Deployment run time',
+  ['component', 'kind'],
+  [1, 5, 15, 30, 60, 120, 300, 600, 1800]
+);
+deployer.on('finished', deployment => {
+  deploymentsFinished.inc({ component: deployment.component, kind: deployment.kind, status: deployment.status });
+  deploymentDuration.observe({ component: deployment.component, kind: deployment.kind }, deployment.durationMs / 1000);
+});
+metrics.gauge('iza_deployments_running', 'Deployments currently running', [], gauge => {
+  gauge.set({}, deployer.active.size);
+});
+
+metrics.gauge('iza_discovered_components', 'Components found by repository discovery', ['type'], gauge => {
+  for (const type of ['repository', 'iza-folder']) gauge.set({ type }, 0);
+  for (const component of ecosystemIntegrator.repositories) gauge.inc({ type: component.type });
+});
+metrics.gauge('iza_alerts_firing', 'Alerts currently firing', ['rule', 'severity'], gauge => {
+  for (const alert of alerts.active.values()) gauge.inc({ rule: alert.rule, severity: alert.severity });
+});
+metrics.gauge('iza_websocket_clients', 'Connected dashboard WebSocket clients', [], gauge => {
+  gauge.set({}, wss.clients.size);
+});
+
+// Who asked for a deployment: the authenticated user or API key
+function triggeredBy(req) {
+  return `${req.principal.name} (${req.principal.via})`;
+}
+
+// Probes, unauthenticated: liveness only says the process is serving;
+// readiness waits for discovery and the first health checks, and fails again during shutdown
+app.get('/livez', (req, res) => {
+  res.json({ status: 'ok', uptime: process.uptime() });
+});
+
+app.get('/readyz', (req, res) => {
+  const readiness = ecosystemIntegrator.readiness();
+  const ready = readiness.ready && !lifecycle.stopping;
+  res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not ready', shuttingDown: Boolean(lifecycle.stopping), ...readiness });
+});
+
+// Prometheus scrapes with an API key: `authorization: { credentials: <key> }` in its scrape config
+app.get('/metrics', auth.requireRole('viewer'), metricsHandler(metrics));
+
+// Authentication
+app.post('/api/auth/login', (req, res) => {
+  const { username, password } = req.body || {};
+  try {
+    const session = auth.login(username, password);
+    audit.record({ actor: username, role: session.user.role, via: 'session', action: 'login', ip: req.ip, status: 200 });
+    res.setHeader('Set-Cookie', auth.sessionCookie(session.token, { secure: req.secure }));
+    res.json(session);
+  } catch (error) {
+    audit.record({ actor: typeof username === 'string' ? username : null, action: 'login', ip: req.ip, status: error.status || 500 });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Everything else under /api needs at least the viewer role
+app.use('/api', auth.requireRole('viewer'));
+
+app.post('/api/auth/logout', (req, res) => {
+  if (req.principal.token) auth.logout(req.principal.token);
+  res.setHeader('Set-Cookie', auth.sessionCookie('', { secure: req.secure, maxAgeMs: 0 }));
+  res.json({ message: 'Logged out' });
+});
+
+app.get('/api/auth/me', (req, res) => {
+  const { name, role, via } = req.principal;
+  res.json({ name, role, via });
+});
+
+app.get('/api/auth/users', auth.requireRole('admin'), (req, res) => {
+  res.json({ users: auth.listUsers() });
+});
+
+app.post('/api/auth/users', audit.middleware('user.create', req => req.body && req.body.username), auth.requireRole('admin'), (req, res) => {
+  try {
+    res.status(201).json(auth.createUser(req.body));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/auth/keys', auth.requireRole('admin'), (req, res) => {
+  res.json({ apiKeys: auth.listApiKeys() });
+});
+
+app.post('/api/auth/keys', audit.middleware('api-key.create', req => req.body && req.body.name), auth.requireRole('admin'), (req, res) => {
+  try {
+    const { name, role } = req.body || {};
+    res.status(201).json(auth.createApiKey({ name, role, createdBy: req.principal.name }));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/auth/keys/:id', audit.middleware('api-key.revoke'), auth.requireRole('admin'), (req, res) => {
+  try {
+    res.json({ message: 'API key revoked', apiKey: auth.revokeApiKey(req.params.id) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Services publish their own events (e.g. content-service job progress) on the jobs topic
+app.post('/api/events', auth.requireRole('operator'), (req, res) => {
+  const { topic, type, data } = req.body || {};
+  if (topic !== 'jobs' || typeof type !== 'string' || !type.startsWith('job.')) {
+    return res.status(400).json({ error: 'Only job.* events on the "jobs" topic can be published' });
+  }
+  const event = events.publish('jobs', type, { ...data, source: req.principal.name });
+  res.status(202).json({ id: event.id });
+});
+
+app.get('/api/audit', auth.requireRole('admin'), (req, res) => {
+  const { actor, action } = req.query;
+  const limit = Math.min(Number(req.query.limit) || 100, 1000);
+  res.json({ entries: audit.list({ actor, action, limit }) });
+});
+
 // API Routes
 app.get('/api/status', (req, res) => {
   res.json(ecosystemIntegrator.getEcosystemStatus());
 });
 
 app.get('/api/repositories', (req, res) => {
-  res.json({
-    total: ecosystemIntegrator.repositories.length,
-    repositories: ecosystemIntegrator.repositories
-  });
+  const config = ecosystemIntegrator.discoveryConfig;
+  const { q, type, status, host, sort, order, page, pageSize } = req.query;
+  try {
+    res.json({
+      roots: config ? config.roots : [],
+      discoveredAt: ecosystemIntegrator.discoveredAt || null,
+      scoring: {
+        scoredAt: ecosystemIntegrator.scoredAt || null,
+        weights: ecosystemIntegrator.scoringConfig.weights,
+        targets: ecosystemIntegrator.scoringConfig.targets,
+        activityWindowDays: ecosystemIntegrator.scoringConfig.activityWindowDays
+      },
+      // Includes what other hosts report; ?host= narrows to one of them
+      ...ecosystemIntegrator.repositoryIndex.search({ q, type, status, host, sort, order, page, pageSize }, { remote: hosts.repositories() })
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// A name found under several roots needs ?path= to pick one; ?host= looks on another host
+app.get('/api/repositories/:name', async (req, res) => {
+  try {
+    for (const name of ['path', 'host']) {
+      if (req.query[name] !== undefined && typeof req.query[name] !== 'string') {
+        return res.status(400).json({ error: `${name} must be given once, as a single value` });
+      }
+    }
+    const remote = req.query.host && req.query.host !== CONFIG.hostName ? hosts.get(req.query.host) : null;
+    if (req.query.host && req.query.host !== CONFIG.hostName && !remote) {
+      return res.status(404).json({ error: `Host not found: ${req.query.host}` });
+    }
+    const matches = (remote ? remote.repositories : ecosystemIntegrator.repositoryIndex.find(req.params.name))
+      .filter(component => component.name === req.params.name && (!req.query.path || component.path === req.query.path));
+    if (!matches.length) {
+      return res.status(404).json({ error: `Repository not found: ${req.params.name}` });
+    }
+    if (matches.length > 1) {
+      return res.status(409).json({
+        error: `Several components are named ${req.params.name}; choose one with ?path=`,
+        paths: matches.map(component => component.path)
+      });
+    }
+    if (remote) {
+      // Only what the agent reported: its READMEs, scripts and commits stay on that host
+      return res.json({
+        ...matches[0],
+        host: remote.host,
+        hostStatus: remote.status,
+        readme: null,
+        scripts: null,
+        recentCommits: [],
+        services: []
+      });
+    }
+    res.json(await ecosystemIntegrator.repositoryIndex.detail(matches[0], { services: serviceRegistry.list() }));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
 });
 
 app.get('/api/services', (req, res) => {
+  const { tag, owner } = req.query;
   res.json({
-    services: Object.fromEntries(ecosystemIntegrator.healthStatus)
+    services: ecosystemIntegrator.health.toJSON(),
+    registry: serviceRegistry.list({ tag, owner }),
+    // Service states per host, this one first; a stale or offline host's are its last report
+    hosts: [
+      { host: CONFIG.hostName, status: 'online', local: true, services: ecosystemIntegrator.health.toJSON() },
+      ...hosts.snapshots().map(({ host, status, lastReportAt, services }) => ({ host, status, local: false, lastReportAt, services }))
+    ],
+    // ?history=true adds the recent checks behind the dashboard sparklines
+    ...(req.query.history === 'true' ? { history: ecosystemIntegrator.health.history() } : {})
   });
 });
 
-app.post('/api/deploy/:component', (req, res) => {
+app.get('/api/services/:name', (req, res) => {
+  const service = serviceRegistry.get(req.params.name);
+  if (!service) {
+    return res.status(404).json({ error: `Service not found: ${req.params.name}` });
+  }
+  res.json({ ...service, health: ecosystemIntegrator.health.get(service.name) });
+});
+
+app.get('/api/topology', (req, res) => {
+  try {
+    res.json({
+      generatedAt: new Date().toISOString(),
+      ...buildTopology({
+        config: topologyConfig,
+        host: CONFIG.hostName,
+        services: serviceRegistry.list(),
+        health: ecosystemIntegrator.health.toJSON(),
+        repositories: ecosystemIntegrator.repositories,
+        remoteHosts: hosts.snapshots()
+      })
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/services', audit.middleware('service.register', req => req.body && req.body.name), auth.requireRole('admin'), async (req, res) => {
+  try {
+    const service = serviceRegistry.register(req.body);
+    console.log(`➕ Registered service ${service.name} at ${service.url}`);
+    const health = await ecosystemIntegrator.health.check(service.name, service);
+    res.status(201).json({ ...service, health });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.put('/api/services/:name', audit.middleware('service.update'), auth.requireRole('admin'), async (req, res) => {
+  try {
+    const service = serviceRegistry.update(req.params.name, req.body);
+    console.log(`✏️  Updated service ${service.name}`);
+    const health = await ecosystemIntegrator.health.check(service.name, service);
+    res.json({ ...service, health });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/services/:name', audit.middleware('service.remove'), auth.requireRole('admin'), (req, res) => {
+  try {
+    const service = serviceRegistry.remove(req.params.name);
+    ecosystemIntegrator.health.forget(service.name);
+    console.log(`➖ Removed service ${service.name}`);
+    res.json({ message: `Service ${service.name} removed`, service });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/deploy/:component', audit.middleware('deploy'), auth.requireRole('operator'), (req, res) => {
   const { component } = req.params;
-  console.log(`🚀 Deploying component: ${component}`);
   
-  // Simulate deployment
-  setTimeout(() => {
-    wss.clients.forEach(client => {
-      if (client.readyState === WebSocket.OPEN) {
-        client.send(JSON.stringify({
-          type: 'deployment',
-          component,
-          status: 'deployed',
-          timestamp: new Date().toISOString()
-        }));
-      }
+  try {
+    const deployment = deployer.deploy(component, { triggeredBy: triggeredBy(req) });
+    console.log(`🚀 Deploying component: ${component} (${deployment.id}) for ${deployment.triggeredBy}`);
+    res.status(202).json({
+      message: `Deploying ${component}...`,
+      status: 'started',
+      deploymentId: deployment.id,
+      steps: deployment.steps.map(step => step.name)
     });
-  }, 2000);
-  
-  res.json({ message: `Deploying ${component}...`, status: 'started' });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
 });
 
-app.get('/api/agent-orchestra', async (req, res) => {
+app.post('/api/deploy/:component/rollback', audit.middleware('rollback'), auth.requireRole('operator'), (req, res) => {
+  const { component } = req.params;
+
   try {
-    const response = await fetch('http://localhost:8087/api/v1/statistics');
-    const data = await response.json();
-    res.json(data);
+    const deployment = deployer.rollback(component, {
+      deploymentId: req.body && req.body.deploymentId,
+      triggeredBy: triggeredBy(req)
+    });
+    console.log(`↩️  Rolling back ${component} to ${deployment.rollbackOf} (${deployment.id})`);
+    res.status(202).json({
+      message: `Rolling back ${component}...`,
+      status: 'started',
+      deploymentId: deployment.id,
+      rollbackOf: deployment.rollbackOf,
+      steps: deployment.steps.map(step => step.name)
+    });
   } catch (error) {
-    res.status(500).json({ error: 'Agent Orchestra not accessible' });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/deployments', (req, res) => {
+  const { component, status } = req.query;
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+  res.json({
+    components: deployer.components(),
+    deployments: deployer.list({ component, status, limit })
+  });
+});
+
+app.get('/api/deployments/:id', (req, res) => {
+  const deployment = deployer.get(req.params.id);
+  if (!deployment) {
+    return res.status(404).json({ error: `Deployment not found: ${req.params.id}` });
+  }
+  res.json(deployment);
+});
+
+// Hosts
+app.get('/api/hosts', (req, res) => {
+  const local = hostSnapshot();
+  res.json({
+    hosts: [
+      {
+        host: local.host,
+        status: 'online',
+        local: true,
+        mode: local.mode,
+        lastReportAt: new Date().toISOString(),
+        repositories: local.repositories.length,
+        services: summarizeServices(local.services)
+      },
+      ...hosts.list()
+    ]
+  });
+});
+
+app.get('/api/hosts/:host', (req, res) => {
+  if (req.params.host === CONFIG.hostName) {
+    return res.json({ ...hostSnapshot(), status: 'online', local: true });
+  }
+  const host = hosts.get(req.params.host);
+  if (!host) {
+    return res.status(404).json({ error: `Host not found: ${req.params.host}` });
   }
+  res.json(host);
 });
 
-app.get('/api/omnara', async (req, res) => {
+app.post('/api/hosts/:host/report', auth.requireRole('operator'), express.json({ limit: '10mb' }), (req, res) => {
   try {
-    const response = await fetch('http://localhost:8080/health');
-    const data = await response.json();
-    res.json(data);
+    if (req.params.host === CONFIG.hostName) {
+      throw new HostError(`${req.params.host} is this server's own host name; give the agent another IZA_HOST_NAME`, 409);
+    }
+    const host = hosts.report(req.params.host, req.body, { reportedBy: req.principal.name });
+    res.json({ host: host.host, lastReportAt: host.lastReportAt });
   } catch (error) {
-    res.status(500).json({ error: 'Omnara MCP not accessible' });
-  }
-});
-
-// Serve Mobile Dashboard
-app.get('/', (req, res) => {
-  res.send(`
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>IZA OS Mobile Dashboard - $45.93B+ Ecosystem</title>
-    <style>
-        * {
-            margin: 0;
-            padding: 0;
-            box-sizing: border-box;
-        }
-        
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            color: white;
-            min-height: 100vh;
-            padding: 20px;
-        }
-        
-        .container {
-            max-width: 100%;
-            margin: 0 auto;
-        }
-        
-        .header {
-            text-align: center;
-            margin-bottom: 30px;
-        }
-        
-        .ecosystem-value {
-            font-size: 2.5rem;
-            font-weight: bold;
-            color: #10B981;
-            margin-bottom: 10px;
-        }
-        
-        .subtitle {
-            opacity: 0.8;
-            font-size: 1.1rem;
-        }
-        
-        .metrics-grid {
-            display: grid;
-            grid-template-columns: repeat(auto-fit, minmax(150px, 1fr));
-            gap: 15px;
-            margin-bottom: 30px;
-        }
-        
-        .metric-card {
-            background: rgba(255, 255, 255, 0.1);
-            backdrop-filter: blur(10px);
-            border-radius: 15px;
-            padding: 20px;
-            text-align: center;
-            border: 1px solid rgba(255, 255, 255, 0.2);
-        }
-        
-        .metric-value {
-            font-size: 1.8rem;
-            font-weight: bold;
-            margin-bottom: 5px;
-        }
-        
-        .metric-label {
-            opacity: 0.7;
-            font-size: 0.9rem;
-        }
-        
-        .services-section {
-            margin-bottom: 30px;
-        }
-        
-        .section-title {
-            font-size: 1.3rem;
-            margin-bottom: 15px;
-            text-align: center;
-        }
-        
-        .service-item {
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-            background: rgba(255, 255, 255, 0.1);
-            padding: 15px;
-            margin-bottom: 10px;
-            border-radius: 10px;
-            border: 1px solid rgba(255, 255, 255, 0.2);
-        }
-        
-        .service-name {
-            font-weight: 500;
-        }
-        
-        .status-online {
-            color: #10B981;
-            font-weight: bold;
-        }
-        
-        .status-offline {
-            color: #ef4444;
-            font-weight: bold;
-        }
-        
-        .deploy-button {
-            background: #10B981;
-            color: white;
-            border: none;
-            padding: 12px 24px;
-            border-radius: 8px;
-            font-weight: bold;
-            width: 100%;
-            margin: 10px 0;
-            cursor: pointer;
-            font-size: 1rem;
-        }
-        
-        .deploy-button:hover {
-            background: #0d9668;
-        }
-        
-        .realtime-updates {
-            background: rgba(255, 255, 255, 0.1);
-            border-radius: 15px;
-            padding: 20px;
-            margin-top: 20px;
-            max-height: 200px;
-            overflow-y: auto;
-        }
-        
-        .update-item {
-            padding: 8px 0;
-            border-bottom: 1px solid rgba(255, 255, 255, 0.1);
-            font-size: 0.9rem;
-        }
-        
-        .timestamp {
-            opacity: 0.6;
-            font-size: 0.8rem;
-        }
-        
-        .refresh-btn {
-            position: fixed;
-            bottom: 20px;
-            right: 20px;
-            background: #F59E0B;
-            color: white;
-            border: none;
-            width: 60px;
-            height: 60px;
-            border-radius: 50%;
-            font-size: 1.2rem;
-            cursor: pointer;
-            box-shadow: 0 4px 20px rgba(0,0,0,0.3);
-        }
-        
-        @media (max-width: 768px) {
-            .ecosystem-value {
-                font-size: 2rem;
-            }
-            .metrics-grid {
-                grid-template-columns: repeat(2, 1fr);
-            }
-        }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <div class="ecosystem-value" id="ecosystemValue">$45.93B+</div>
-            <div class="subtitle">IZA OS Worldwidebro Ecosystem</div>
-        </div>
-        
-        <div class="metrics-grid" id="metricsGrid">
-            <div class="metric-card">
-                <div class="metric-value" id="repoCount">28</div>
-                <div class="metric-label">Repositories</div>
-            </div>
-            <div class="metric-card">
-                <div class="metric-value" id="izaFolders">781</div>
-                <div class="metric-label">IZA Folders</div>
-            </div>
-            <div class="metric-card">
-                <div class="metric-value" id="servicesOnline">-</div>
-                <div class="metric-label">Services Online</div>
-            </div>
-            <div class="metric-card">
-                <div class="metric-value" id="uptime">-</div>
-                <div class="metric-label">Uptime</div>
-            </div>
-        </div>
-        
-        <div class="services-section">
-            <div class="section-title">🤖 Ecosystem Services</div>
-            <div id="servicesList"></div>
-        </div>
-        
-        <button class="deploy-button" onclick="deployFullEcosystem()">
-            🚀 Deploy Complete Ecosystem
-        </button>
-        
-        <button class="deploy-button" onclick="openAgentOrchestra()" style="background: #1E3A8A;">
-            🎭 Open Agent Orchestra
-        </button>
-        
-        <button class="deploy-button" onclick="openOmnara()" style="background: #7C3AED;">
-            🧠 Open Omnara Dashboard
-        </button>
-        
-        <div class="realtime-updates">
-            <div class="section-title">📊 Real-time Updates</div>
-            <div id="updatesContainer"></div>
-        </div>
-    </div>
-    
-    <button class="refresh-btn" onclick="refreshData()">🔄</button>
-    
-    <script>
-        let ws;
-        
-        function connectWebSocket() {
-            const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-            ws = new WebSocket(\`\${protocol}//\${window.location.host}\`);
-            
-            ws.onmessage = function(event) {
-                const data = JSON.parse(event.data);
-                addUpdate(\`\${data.type}: \${data.component} - \${data.status}\`);
-            };
-        }
-        
-        function addUpdate(message) {
-            const container = document.getElementById('updatesContainer');
-            const updateDiv = document.createElement('div');
-            updateDiv.className = 'update-item';
-            updateDiv.innerHTML = \`
-                <div>\${message}</div>
-                <div class="timestamp">\${new Date().toLocaleTimeString()}</div>
-            \`;
-            container.insertBefore(updateDiv, container.firstChild);
-            
-            if (container.children.length > 10) {
-                container.removeChild(container.lastChild);
-            }
-        }
-        
-        async function refreshData() {
-            try {
-                const response = await fetch('/api/status');
-                const data = await response.json();
-                
-                document.getElementById('repoCount').textContent = data.repositories;
-                document.getElementById('izaFolders').textContent = data.izaFolders;
-                document.getElementById('uptime').textContent = Math.floor(data.uptime / 60) + 'm';
-                
-                const servicesOnline = Object.values(data.services).filter(s => s === 'online').length;
-                document.getElementById('servicesOnline').textContent = servicesOnline + '/' + Object.keys(data.services).length;
-                
-                updateServicesList(data.services);
-                
-            } catch (error) {
-                console.error('Error fetching data:', error);
-            }
-        }
-        
-        function updateServicesList(services) {
-            const container = document.getElementById('servicesList');
-            container.innerHTML = '';
-            
-            for (const [name, status] of Object.entries(services)) {
-                const serviceDiv = document.createElement('div');
-                serviceDiv.className = 'service-item';
-                serviceDiv.innerHTML = \`
-                    <span class="service-name">\${name}</span>
-                    <span class="status-\${status}">\${status.toUpperCase()}</span>
-                \`;
-                container.appendChild(serviceDiv);
-            }
-        }
-        
-        async function deployFullEcosystem() {
-            try {
-                const response = await fetch('/api/deploy/full-ecosystem', {
-                    method: 'POST'
-                });
-                const data = await response.json();
-                addUpdate('Full ecosystem deployment started...');
-            } catch (error) {
-                addUpdate('Deployment error: ' + error.message);
-            }
-        }
-        
-        function openAgentOrchestra() {
-            window.open('http://localhost:8087', '_blank');
-        }
-        
-        function openOmnara() {
-            window.open('http://localhost:8080', '_blank');
-        }
-        
-        // Initialize
-        connectWebSocket();
-        refreshData();
-        setInterval(refreshData, 10000); // Refresh every 10 seconds
-    </script>
-</body>
-</html>
-  `);
+    res.status(error.status || 500).json({ error: error.message });
+  }
 });
 
+app.delete('/api/hosts/:host', audit.middleware('host.forget'), auth.requireRole('admin'), (req, res) => {
+  try {
+    res.json({ message: 'Host removed', host: hosts.forget(req.params.host) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Alerts
+app.get('/api/alerts', (req, res) => {
+  const { status, rule, subject } = req.query;
+  const limit = Math.min(Number(req.query.limit) || 100, 500);
+  res.json({
+    firing: alerts.active.size,
+    rules: alerts.config.rules,
+    notifiers: alerts.notifiers.map(({ name, minSeverity, rules }) => ({ name, minSeverity, rules })),
+    alerts: alerts.list({ status, rule, subject, limit })
+  });
+});
+
+app.get('/api/alerts/silences', (req, res) => {
+  const includeExpired = req.query.expired === 'true' || req.query.includeExpired === 'true';
+  res.json({ silences: alerts.listSilences({ includeExpired }) });
+});
+
+app.post('/api/alerts/silences', audit.middleware('alert.silence', req => req.body && [req.body.rule, req.body.subject].filter(Boolean).join(':')), auth.requireRole('operator'), (req, res) => {
+  try {
+    const silence = alerts.addSilence(req.body, triggeredBy(req));
+    console.log(`🔕 Silenced ${silence.rule || 'all rules'} for ${silence.subject || 'all subjects'} until ${silence.endsAt}`);
+    res.status(201).json(silence);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/alerts/silences/:id', audit.middleware('alert.unsilence'), auth.requireRole('operator'), (req, res) => {
+  try {
+    res.json({ message: 'Silence removed', silence: alerts.removeSilence(req.params.id) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/alerts/:id', (req, res) => {
+  const alert = alerts.get(req.params.id);
+  if (!alert) {
+    return res.status(404).json({ error: `Alert not found: ${req.params.id}` });
+  }
+  res.json(alert);
+});
+
+// Hop-by-hop headers are not forwarded; fetch() also decodes the body, so its
+// original encoding and length no longer apply
+const PROXY_SKIPPED_HEADERS = [
+  'host', 'connection', 'keep-alive', 'transfer-encoding', 'upgrade',
+  'proxy-authorization', 'te', 'trailer', 'content-length', 'content-encoding'
+];
+
+// Master server credentials stay here
+const PROXY_CREDENTIAL_HEADERS = ['authorization', 'cookie', 'x-api-key'];
+
+function proxyHeaders(headers) {
+  return Object.fromEntries(
+    Object.entries(headers).filter(([name]) => ![...PROXY_SKIPPED_HEADERS, ...PROXY_CREDENTIAL_HEADERS].includes(name.toLowerCase()))
+  );
+}
+
+// Reads through the proxy are routine; anything that can change a service is audited,
+// including attempts refused for lack of a role
+const auditProxyWrites = audit.middleware('proxy', req => `${req.params.service}/${req.params[0]}`);
+
+// Forward /api/proxy/<service>/<path> to <service url>/<path> for any registered service
+app.all('/api/proxy/:service/*', (req, res, next) => {
+  if (['GET', 'HEAD'].includes(req.method)) return next();
+  auditProxyWrites(req, res, next);
+}, auth.requireRole('operator'), async (req, res) => {
+  const service = serviceRegistry.get(req.params.service);
+  if (!service) {
+    return res.status(404).json({ error: `Service not found: ${req.params.service}` });
+  }
+
+  const queryIndex = req.originalUrl.indexOf('?');
+  const query = queryIndex === -1 ? '' : req.originalUrl.slice(queryIndex);
+  const target = `${service.url}/${req.params[0]}${query}`;
+
+  const options = {
+    method: req.method,
+    headers: proxyHeaders(req.headers),
+    signal: AbortSignal.timeout(CONFIG.proxyTimeoutMs)
+  };
+  if (!['GET', 'HEAD'].includes(req.method)) {
+    // express.json() has already consumed JSON bodies; anything else is streamed through
+    if (req.is('application/json')) {
+      options.body = JSON.stringify(req.body);
+    } else {
+      options.body = req;
+      options.duplex = 'half';
+    }
+  }
+
+  try {
+    const response = await fetch(target, options);
+    res.status(response.status);
+    response.headers.forEach((value, name) => {
+      if (!PROXY_SKIPPED_HEADERS.includes(name)) res.setHeader(name, value);
+    });
+    res.send(Buffer.from(await response.arrayBuffer()));
+  } catch (error) {
+    const timedOut = error.name === 'TimeoutError';
+    res.status(timedOut ? 504 : 502).json({
+      error: timedOut ? `${service.name} did not respond in time` : `${service.name} not accessible`
+    });
+  }
+});
+
+
 // WebSocket connection handling
-wss.on('connection', (ws) => {
-  console.log('📱 Mobile client connected');
-  
-  ws.send(JSON.stringify({
-    type: 'welcome',
-    message: 'Connected to IZA OS Master Server',
-    ecosystemValue: CONFIG.ecosystemValue
-  }));
+wss.on('connection', (ws, req) => {
+  console.log(`📱 Mobile client connected (${req.principal.name})`);
+  events.attach(ws);
   
   ws.on('close', () => {
     console.log('📱 Mobile client disconnected');
@@ -527,26 +848,92 @@ wss.on('connection', (ws) => {
 });
 
 // Start server
-server.listen(CONFIG.port, '0.0.0.0', () => {
+function listen(port) {
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '0.0.0.0', () => {
+      server.off('error', reject);
+      resolve();
+    });
+  });
+}
+
+// Start serving right away; /readyz reports when the integrator is ready
+async function start({ port = CONFIG.port } = {}) {
+  lifecycle.stopping = null;
+  if (CONFIG.mode === 'agent') {
+    reporter = new AgentReporter({
+      masterUrl: CONFIG.masterUrl,
+      apiKey: CONFIG.masterApiKey,
+      host: CONFIG.hostName,
+      intervalMs: CONFIG.agentReportIntervalMs,
+      snapshot: hostSnapshot
+    });
+  }
+  await listen(port);
+  events.startHeartbeat();
   console.log(`
 🎯 ================================
 🚀 IZA OS MASTER SERVER RUNNING
-🌐 http://localhost:${CONFIG.port}
-📱 Mobile: http://[your-ip]:${CONFIG.port}
+🌐 http://localhost:${port}
+📱 Mobile: http://[your-ip]:${port}
 💰 Ecosystem Value: ${CONFIG.ecosystemValue}
 📊 Repositories: ${CONFIG.repositories}
 🗂️  IZA Folders: ${CONFIG.izaFolders}
+🖥️  Host: ${CONFIG.hostName} (${CONFIG.mode})
 🎯 ================================
   `);
-});
+  await ecosystemIntegrator.start();
+  if (reporter && !lifecycle.stopping) await reporter.start();
+}
+
+/**
+ * Stop accepting connections, drain WebSocket clients, stop health checks
+ * (and, as an agent, tell the master), then wait for in-flight HTTP requests. Running deployments are left to
+ * finish or be marked interrupted on the next start. Safe to call twice.
+ */
+function stop() {
+  if (lifecycle.stopping) return lifecycle.stopping;
+  lifecycle.stopping = (async () => {
+    const closed = new Promise(resolve => server.close(resolve));
+    const drained = await events.drain({ timeoutMs: CONFIG.drainTimeoutMs });
+    if (drained) console.log(`📱 Disconnected ${drained} WebSocket clients`);
+    await ecosystemIntegrator.stop();
+    if (reporter) await reporter.stop();
+    if (deployer.active.size) console.log(`⚠️  ${deployer.active.size} deployments still running`);
+    server.closeIdleConnections();
+    await closed;
+  })();
+  return lifecycle.stopping;
+}
 
-// Handle graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('🛑 Shutting down IZA OS Master Server...');
-  server.close(() => {
+function shutdown(signal) {
+  if (lifecycle.stopping) {
+    console.log(`🛑 ${signal} again, exiting immediately`);
+    process.exit(1);
+  }
+  console.log(`🛑 ${signal} received, shutting down IZA OS Master Server...`);
+  setTimeout(() => {
+    console.error(`❌ Shutdown took longer than ${CONFIG.shutdownTimeoutMs}ms, exiting`);
+    process.exit(1);
+  }, CONFIG.shutdownTimeoutMs).unref();
+  stop().then(() => {
     console.log('✅ Server closed');
     process.exit(0);
+  }, error => {
+    console.error('❌ Shutdown failed:', error.message);
+    process.exit(1);
   });
-});
+}
+
+// Run directly it starts and handles signals; required (e.g. by tests) it waits for start()
+if (require.main === module) {
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  start().catch(error => {
+    console.error('❌ Failed to start IZA OS Master Server:', error.message);
+    process.exit(1);
+  });
+}
 
-module.exports = { app, server, ecosystemIntegrator };
\ No newline at end of file
+module.exports = { app, server, ecosystemIntegrator, start, stop };
@@ -0,0 +1,320 @@
+/**
+ * IZA OS repository search
+ * Full-text search over discovered components (name, package name and
+ * description, README), this host's and those agents report, with
+ * type/status/host filters, sorting and pagination, plus a detail view:
+ * README rendered to HTML, package.json scripts, recent commits and the
+ * registered service the repository backs.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { git } = require('./iza-os-discovery');
+
+const README_PATTERN = /^readme(\.(md|markdown|txt|rst))?$/i;
+// Indexed README text per component; details read the whole file
+const INDEXED_README_BYTES = 32 * 1024;
+const DETAIL_README_BYTES = 512 * 1024;
+const RECENT_COMMITS = 10;
+const INDEX_CONCURRENCY = 16;
+
+// Relevance weight of a query term found in each field
+const FIELD_WEIGHTS = { name: 10, package: 5, description: 5, readme: 1 };
+
+// sort -> [compare ascending, default order]
+const SORTS = {
+  relevance: [(a, b) => a.relevance - b.relevance, 'desc'],
+  name: [(a, b) => a.component.name.localeCompare(b.component.name), 'asc'],
+  score: [(a, b) => scoreOf(a.component) - scoreOf(b.component), 'desc'],
+  lastCommit: [(a, b) => commitTime(a.component) - commitTime(b.component), 'desc']
+};
+
+class RepositorySearchError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'RepositorySearchError';
+    this.status = status;
+  }
+}
+
+function scoreOf(component) {
+  return component.score ? component.score.total : -1;
+}
+
+function commitTime(component) {
+  return component.git && component.git.lastCommitDate ? Date.parse(component.git.lastCommitDate) : 0;
+}
+
+async function findReadme(dir) {
+  try {
+    const entries = await fs.promises.readdir(dir);
+    const name = entries.find(entry => README_PATTERN.test(entry));
+    return name ? path.join(dir, name) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function readStart(file, bytes) {
+  const handle = await fs.promises.open(file, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(bytes), 0, bytes, 0);
+    return buffer.toString('utf8', 0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Links keep relative targets and http(s)/mailto; other schemes (javascript:, data:) are dropped
+function safeHref(href) {
+  const scheme = href.match(/^([a-z][a-z0-9+.-]*):/i);
+  return !scheme || ['http', 'https', 'mailto'].includes(scheme[1].toLowerCase()) ? href : null;
+}
+
+function renderInline(text) {
+  return escapeHtml(text)
+    .replace(/`([^`]+)`/g, '<code>$1</code>')
+    .replace(/!?\[([^\]]*)\]\(([^)\s]+)(?:\s+&quot;[^&]*&quot;)?\)/g, (match, label, href) => {
+      const target = safeHref(href);
+      return target ? `<a href="${target}" rel="noopener noreferrer">${label || target}</a>` : label;
+    })
+    .replace(/\*\*([^*]+)\*\*|__([^_]+)__/g, (match, a, b) => `<strong>${a || b}</strong>`)
+    .replace(/(^|[^*\w])\*([^*\s][^*]*)\*|(^|\W)_([^_\s][^_]*)_(?=\W|$)/g, (match, p1, a, p2, b) => `${p1 || p2 || ''}<em>${a || b}</em>`);
+}
+
+/**
+ * Render the common subset of Markdown READMEs use: headings, paragraphs,
+ * fenced code, lists, block quotes, rules, emphasis, code spans and links.
+ * All text is escaped first, so embedded HTML shows as text; images become
+ * links, since relative image paths don't resolve against the dashboard.
+ */
+function renderMarkdown(markdown) {
+  const html = [];
+  const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+  let paragraph = [];
+  let list = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length) html.push(`<p>${renderInline(paragraph.join(' '))}</p>`);
+    paragraph = [];
+  };
+  const closeList = () => {
+    if (list) html.push(`</${list}>`);
+    list = null;
+  };
+
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i];
+    const fence = line.match(/^\s*(```|~~~)\s*([\w+-]*)/);
+    if (fence) {
+      flushParagraph();
+      closeList();
+      const code = [];
+      for (i += 1; i < lines.length && !lines[i].trim().startsWith(fence[1]); i += 1) code.push(lines[i]);
+      const language = fence[2] ? ` class="language-${fence[2]}"` : '';
+      html.push(`<pre><code${language}>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+    const item = line.match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+    if (heading) {
+      flushParagraph();
+      closeList();
+      html.push(`<h${heading[1].length}>${renderInline(heading[2])}</h${heading[1].length}>`);
+    } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flushParagraph();
+      closeList();
+      html.push('<hr>');
+    } else if (item) {
+      flushParagraph();
+      const type = /\d/.test(item[1]) ? 'ol' : 'ul';
+      if (list !== type) {
+        closeList();
+        html.push(`<${type}>`);
+        list = type;
+      }
+      html.push(`<li>${renderInline(item[2])}</li>`);
+    } else if (line.startsWith('>')) {
+      flushParagraph();
+      closeList();
+      html.push(`<blockquote>${renderInline(line.replace(/^>\s?/, ''))}</blockquote>`);
+    } else if (!line.trim()) {
+      flushParagraph();
+      closeList();
+    } else {
+      closeList();
+      paragraph.push(line.trim());
+    }
+  }
+  flushParagraph();
+  closeList();
+  return html.join('\n');
+}
+
+// Lowercase, alphanumerics only: `agentOrchestra` and `agent-orchestra` compare equal
+function normalizeName(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * The registered services a repository backs: tagged `repo:<name>`, or
+ * named like it (ignoring case and punctuation).
+ */
+function servicesBackedBy(component, services) {
+  return services.filter(service => (service.tags || []).includes(`repo:${component.name}`) ||
+    normalizeName(service.name) === normalizeName(component.name));
+}
+
+function snippet(text, term) {
+  const index = text.toLowerCase().indexOf(term);
+  if (index === -1) return null;
+  const start = Math.max(0, index - 60);
+  const end = Math.min(text.length, index + term.length + 100);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).replace(/\s+/g, ' ').trim()}${end < text.length ? '…' : ''}`;
+}
+
+class RepositoryIndex {
+  constructor() {
+    this.components = [];
+    // component -> start of README text; keyed by object, as another host can have the same path
+    this.readmes = new Map();
+  }
+
+  // Index the components from a discovery run
+  async update(components) {
+    const readmes = new Map();
+    for (let i = 0; i < components.length; i += INDEX_CONCURRENCY) {
+      await Promise.all(components.slice(i, i + INDEX_CONCURRENCY).map(async component => {
+        const file = await findReadme(component.path);
+        if (!file) return;
+        try {
+          readmes.set(component, await readStart(file, INDEXED_README_BYTES));
+        } catch (error) {
+          // Unreadable READMEs are not searchable
+        }
+      }));
+    }
+    this.components = components;
+    this.readmes = readmes;
+  }
+
+  // Relevance of a component for every term, or 0 when a term is missing
+  match(component, terms) {
+    const pkg = component.package || {};
+    const readme = this.readmes.get(component) || '';
+    const fields = {
+      name: component.name.toLowerCase(),
+      package: (pkg.name || '').toLowerCase(),
+      description: (pkg.description || '').toLowerCase(),
+      readme: readme.toLowerCase()
+    };
+    let relevance = 0;
+    const matched = new Set();
+    for (const term of terms) {
+      const found = Object.keys(fields).filter(field => fields[field].includes(term));
+      if (!found.length) return { relevance: 0 };
+      for (const field of found) {
+        matched.add(field);
+        relevance += FIELD_WEIGHTS[field];
+      }
+    }
+    return {
+      relevance,
+      matches: [...matched],
+      snippet: matched.has('readme') && !matched.has('name') ? snippet(readme, terms[0]) : null
+    };
+  }
+
+  /**
+   * Query options (all optional): q (space-separated terms, all required),
+   * type, status, host, sort (relevance, name, score, lastCommit), order
+   * (asc, desc), page (from 1), pageSize (up to 500). `remote` components,
+   * reported by other hosts, are searched by name and package only: their
+   * READMEs are not indexed here.
+   */
+  search(query = {}, { remote = [] } = {}) {
+    // Query strings repeat a parameter as an array (?q=a&q=b); each takes one value
+    for (const [name, value] of Object.entries(query)) {
+      if (value !== undefined && typeof value !== 'string' && typeof value !== 'number') {
+        throw new RepositorySearchError(`${name} must be given once, as a single value`, 400);
+      }
+    }
+    const { q, type, status, host, sort, order, page = 1, pageSize = 50 } = query;
+    const terms = (q || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const sortBy = sort || (terms.length ? 'relevance' : 'name');
+    if (!SORTS[sortBy]) throw new RepositorySearchError(`sort must be one of: ${Object.keys(SORTS).join(', ')}`, 400);
+    if (order && !['asc', 'desc'].includes(order)) throw new RepositorySearchError('order must be asc or desc', 400);
+    const pageNumber = Number(page);
+    const size = Number(pageSize);
+    if (!Number.isInteger(pageNumber) || pageNumber < 1) throw new RepositorySearchError('page must be a positive integer', 400);
+    if (!Number.isInteger(size) || size < 1 || size > 500) throw new RepositorySearchError('pageSize must be between 1 and 500', 400);
+
+    const hits = [];
+    for (const component of [...this.components, ...remote]) {
+      if (host && component.host !== host) continue;
+      if (type && component.type !== type) continue;
+      if (status && component.status !== status) continue;
+      const hit = terms.length ? this.match(component, terms) : { relevance: 0 };
+      if (terms.length && !hit.relevance) continue;
+      hits.push({ component, ...hit });
+    }
+
+    const [compare, defaultOrder] = SORTS[sortBy];
+    const direction = (order || defaultOrder) === 'asc' ? 1 : -1;
+    hits.sort((a, b) => direction * compare(a, b) || a.component.name.localeCompare(b.component.name));
+
+    const start = (pageNumber - 1) * size;
+    return {
+      total: hits.length,
+      page: pageNumber,
+      pageSize: size,
+      pages: Math.ceil(hits.length / size),
+      sort: sortBy,
+      order: order || defaultOrder,
+      repositories: hits.slice(start, start + size).map(({ component, relevance, matches, snippet: excerpt }) => (
+        terms.length ? { ...component, search: { relevance, matches, snippet: excerpt } } : component
+      ))
+    };
+  }
+
+  // Components with this name; the same name can appear under several roots
+  find(name) {
+    return this.components.filter(component => component.name === name);
+  }
+
+  async detail(component, { services = [] } = {}) {
+    const readmeFile = await findReadme(component.path);
+    const readme = readmeFile ? await readStart(readmeFile, DETAIL_README_BYTES) : null;
+    let scripts = null;
+    try {
+      scripts = JSON.parse(await fs.promises.readFile(path.join(component.path, 'package.json'), 'utf8')).scripts || {};
+    } catch (error) {
+      // No package.json, or one we can't parse
+    }
+    const log = component.git
+      ? await git(component.path, ['log', `-${RECENT_COMMITS}`, '--format=%H%x1f%an%x1f%aI%x1f%s'])
+      : null;
+
+    return {
+      ...component,
+      readme: readme === null ? null : {
+        file: path.basename(readmeFile),
+        // Plain-text READMEs are shown preformatted rather than parsed as Markdown
+        html: /\.(md|markdown)$/i.test(readmeFile) ? renderMarkdown(readme) : `<pre>${escapeHtml(readme)}</pre>`
+      },
+      scripts,
+      recentCommits: log ? log.split('\n').map(line => {
+        const [sha, author, date, subject] = line.split('\x1f');
+        return { sha, author, date, subject };
+      }) : [],
+      services: servicesBackedBy(component, services).map(service => ({ name: service.name, url: service.url }))
+    };
+  }
+}
+
+module.exports = { RepositoryIndex, RepositorySearchError, renderMarkdown, servicesBackedBy };
@@ -0,0 +1,209 @@
+/**
+ * IZA OS repository scoring
+ * Derives metrics for a discovered component from its files and git history
+ * (lines of code, commit activity, contributors, tests, dependencies, open
+ * TODOs) and combines them into a 0-100 score with a per-metric breakdown.
+ *
+ * Each metric scores 0-1 against a target from config/iza-os-scoring.json
+ * (or IZA_SCORING_CONFIG): growth metrics on a log scale up to their target,
+ * test coverage as a ratio, dependencies and TODO density as penalties that
+ * reach 0 at their target. Metrics a component can't provide (no git
+ * history, no dependency manifest) are left out and the remaining weights
+ * rescaled, so IZA folders without git are not scored down for it.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { git, EXTENSION_LANGUAGES } = require('./iza-os-discovery');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'iza-os-scoring.json');
+
+const DEFAULT_CONFIG = {
+  weights: { size: 15, activity: 25, contributors: 15, tests: 20, dependencies: 10, todos: 15 },
+  targets: {
+    linesOfCode: 50000,
+    commitsInWindow: 100,
+    contributors: 10,
+    testFileRatio: 0.2,
+    dependencies: 150,
+    todosPerKloc: 10
+  },
+  activityWindowDays: 90,
+  // Bounds on the file walk; larger files are usually generated or minified
+  maxFiles: 20000,
+  maxFileBytes: 1024 * 1024,
+  ignoreDirs: ['node_modules', '.git', 'dist', 'build', 'vendor', 'venv', '.venv', '__pycache__', 'target', 'coverage']
+};
+
+const TEST_DIRS = ['test', 'tests', '__tests__', 'spec', 'specs'];
+const TEST_FILE_PATTERN = /([._](test|spec)\.[^.]+$)|(^test_.*\.py$)|(_test\.go$)/;
+const TODO_PATTERN = /\b(TODO|FIXME|XXX|HACK)\b/g;
+
+function loadScoringConfig(configPath = process.env.IZA_SCORING_CONFIG || DEFAULT_CONFIG_PATH) {
+  const fileConfig = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : {};
+  return {
+    ...DEFAULT_CONFIG,
+    ...fileConfig,
+    weights: { ...DEFAULT_CONFIG.weights, ...fileConfig.weights },
+    targets: { ...DEFAULT_CONFIG.targets, ...fileConfig.targets }
+  };
+}
+
+// Lines, test files and TODO markers across the component's source files
+async function scanSources(dir, config) {
+  const totals = { sourceFiles: 0, testFiles: 0, linesOfCode: 0, todos: 0, filesScanned: 0, truncated: false };
+
+  const visit = async (current, inTestDir) => {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(current, { withFileTypes: true });
+    } catch (error) {
+      return;
+    }
+    for (const entry of entries) {
+      if (totals.filesScanned >= config.maxFiles) {
+        totals.truncated = true;
+        return;
+      }
+      const fullPath = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        if (entry.name.startsWith('.') || config.ignoreDirs.includes(entry.name)) continue;
+        await visit(fullPath, inTestDir || TEST_DIRS.includes(entry.name));
+        continue;
+      }
+      if (!entry.isFile() || !EXTENSION_LANGUAGES[path.extname(entry.name)]) continue;
+
+      totals.filesScanned += 1;
+      let content;
+      try {
+        const stats = await fs.promises.stat(fullPath);
+        if (stats.size > config.maxFileBytes) continue;
+        content = await fs.promises.readFile(fullPath, 'utf8');
+      } catch (error) {
+        continue;
+      }
+      totals.sourceFiles += 1;
+      if (inTestDir || TEST_FILE_PATTERN.test(entry.name)) totals.testFiles += 1;
+      totals.linesOfCode += content.split('\n').filter(line => line.trim()).length;
+      totals.todos += (content.match(TODO_PATTERN) || []).length;
+    }
+  };
+
+  await visit(dir, false);
+  return totals;
+}
+
+// Direct dependencies declared in the manifests we know; null without any manifest
+function countDependencies(dir) {
+  const read = file => {
+    try {
+      return fs.readFileSync(path.join(dir, file), 'utf8');
+    } catch (error) {
+      return null;
+    }
+  };
+  let count = null;
+  const add = amount => {
+    count = (count || 0) + amount;
+  };
+
+  const pkg = read('package.json');
+  if (pkg) {
+    try {
+      const json = JSON.parse(pkg);
+      add(Object.keys(json.dependencies || {}).length + Object.keys(json.devDependencies || {}).length);
+    } catch (error) {
+      // An unreadable manifest declares nothing we can count
+    }
+  }
+  const requirements = read('requirements.txt');
+  if (requirements !== null) {
+    add(requirements.split('\n').filter(line => line.trim() && !/^\s*[#-]/.test(line)).length);
+  }
+  const goMod = read('go.mod');
+  if (goMod !== null) {
+    const block = goMod.match(/require\s*\(([\s\S]*?)\)/);
+    const single = goMod.match(/^require\s+\S+\s+\S+/gm) || [];
+    add((block ? block[1].split('\n').filter(line => line.trim() && !line.trim().startsWith('//')).length : 0) + single.length);
+  }
+  return count;
+}
+
+async function gitActivity(dir, config) {
+  const [commits, commitsInWindow, shortlog] = await Promise.all([
+    git(dir, ['rev-list', '--count', 'HEAD']),
+    git(dir, ['rev-list', '--count', `--since=${config.activityWindowDays}.days`, 'HEAD']),
+    git(dir, ['shortlog', '-sne', 'HEAD'])
+  ]);
+  return {
+    commits: Number(commits) || 0,
+    commitsInWindow: Number(commitsInWindow) || 0,
+    contributors: shortlog ? shortlog.split('\n').length : 0
+  };
+}
+
+const growth = (value, target) => (value > 0 ? Math.min(1, Math.log1p(value) / Math.log1p(target)) : 0);
+const ratio = (value, target) => Math.min(1, value / target);
+const penalty = (value, limit) => Math.max(0, 1 - value / limit);
+
+/**
+ * Score one component. `component.git` (from discovery) decides whether git
+ * metrics are available.
+ */
+async function scoreRepository(component, config) {
+  const sources = await scanSources(component.path, config);
+  const activity = component.git ? await gitActivity(component.path, config) : null;
+  const dependencies = countDependencies(component.path);
+  const todosPerKloc = sources.linesOfCode ? sources.todos / (sources.linesOfCode / 1000) : 0;
+  const testFileRatio = sources.sourceFiles ? sources.testFiles / sources.sourceFiles : 0;
+  const { targets } = config;
+
+  // metric -> [raw value, 0-1 score], or null when unavailable
+  const measured = {
+    size: [sources.linesOfCode, growth(sources.linesOfCode, targets.linesOfCode)],
+    activity: activity && [activity.commitsInWindow, growth(activity.commitsInWindow, targets.commitsInWindow)],
+    contributors: activity && [activity.contributors, growth(activity.contributors, targets.contributors)],
+    tests: sources.sourceFiles ? [Number(testFileRatio.toFixed(3)), ratio(testFileRatio, targets.testFileRatio)] : null,
+    dependencies: dependencies === null ? null : [dependencies, penalty(dependencies, targets.dependencies)],
+    todos: sources.linesOfCode ? [Number(todosPerKloc.toFixed(2)), penalty(todosPerKloc, targets.todosPerKloc)] : null
+  };
+
+  const totalWeight = Object.entries(measured)
+    .filter(([metric, result]) => result)
+    .reduce((sum, [metric]) => sum + (config.weights[metric] || 0), 0);
+
+  const breakdown = {};
+  let total = 0;
+  for (const [metric, result] of Object.entries(measured)) {
+    const weight = config.weights[metric] || 0;
+    if (!result) {
+      breakdown[metric] = { available: false, weight };
+      continue;
+    }
+    const [value, score] = result;
+    const points = totalWeight ? (weight / totalWeight) * score * 100 : 0;
+    total += points;
+    breakdown[metric] = {
+      available: true,
+      value,
+      score: Number(score.toFixed(3)),
+      weight,
+      points: Number(points.toFixed(1))
+    };
+  }
+
+  return {
+    total: Number(total.toFixed(1)),
+    scoredAt: new Date().toISOString(),
+    metrics: {
+      ...sources,
+      dependencies,
+      commits: activity ? activity.commits : null,
+      commitsInWindow: activity ? activity.commitsInWindow : null,
+      contributors: activity ? activity.contributors : null
+    },
+    breakdown
+  };
+}
+
+module.exports = { loadScoringConfig, scoreRepository };
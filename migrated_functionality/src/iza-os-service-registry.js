@@ -0,0 +1,155 @@
+/**
+ * IZA OS service registry
+ * Services the master server monitors and proxies to. Seeded from
+ * `CONFIG.services` on first start, then managed at runtime through the API
+ * and persisted to disk.
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+
+// Health check settings a service may override (see iza-os-health.js), with their minimums
+const CHECK_FIELDS = { timeoutMs: 1, degradedLatencyMs: 0, degradedAfterFailures: 1, unhealthyAfterFailures: 1 };
+
+class ServiceRegistryError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'ServiceRegistryError';
+    this.status = status;
+  }
+}
+
+/**
+ * Validate a service definition and return it with defaults applied.
+ * With `partial`, only the given fields are checked (for updates).
+ */
+function normalizeDefinition(input, { partial = false } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new ServiceRegistryError('Service definition must be a JSON object', 400);
+  }
+  const has = field => input[field] !== undefined;
+  const definition = {};
+
+  if (!partial || has('url')) {
+    let url;
+    try {
+      url = new URL(input.url);
+    } catch (error) {
+      throw new ServiceRegistryError('url must be an absolute http(s) URL', 400);
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new ServiceRegistryError('url must be an absolute http(s) URL', 400);
+    }
+    definition.url = input.url.replace(/\/+$/, '');
+  }
+  if (!partial || has('healthPath')) {
+    const healthPath = has('healthPath') ? input.healthPath : '/health';
+    if (typeof healthPath !== 'string' || !healthPath.startsWith('/')) {
+      throw new ServiceRegistryError('healthPath must start with "/"', 400);
+    }
+    definition.healthPath = healthPath;
+  }
+  if (!partial || has('tags')) {
+    const tags = has('tags') ? input.tags : [];
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string' || !tag.trim())) {
+      throw new ServiceRegistryError('tags must be an array of non-empty strings', 400);
+    }
+    definition.tags = [...new Set(tags.map(tag => tag.trim()))];
+  }
+  if (!partial || has('owner')) {
+    const owner = has('owner') ? input.owner : null;
+    if (owner !== null && typeof owner !== 'string') {
+      throw new ServiceRegistryError('owner must be a string', 400);
+    }
+    definition.owner = owner;
+  }
+  for (const [field, min] of Object.entries(CHECK_FIELDS)) {
+    if (!has(field)) continue;
+    if (!Number.isInteger(input[field]) || input[field] < min) {
+      throw new ServiceRegistryError(`${field} must be an integer of at least ${min}`, 400);
+    }
+    definition[field] = input[field];
+  }
+  return definition;
+}
+
+class ServiceRegistry {
+  constructor({ filePath, seed = {} } = {}) {
+    this.filePath = filePath;
+    this.services = new Map();
+
+    if (this.filePath && fs.existsSync(this.filePath)) {
+      for (const service of JSON.parse(fs.readFileSync(this.filePath, 'utf8'))) {
+        this.services.set(service.name, service);
+      }
+    } else {
+      const now = new Date().toISOString();
+      for (const [name, entry] of Object.entries(seed)) {
+        const input = typeof entry === 'string' ? { url: entry } : entry;
+        this.services.set(name, { name, ...normalizeDefinition(input), createdAt: now, updatedAt: now });
+      }
+      this.save();
+    }
+  }
+
+  save() {
+    if (!this.filePath) return;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.list(), null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  list({ tag, owner } = {}) {
+    return [...this.services.values()]
+      .filter(service => (!tag || service.tags.includes(tag)) && (!owner || service.owner === owner));
+  }
+
+  get(name) {
+    return this.services.get(name) || null;
+  }
+
+  register(input) {
+    const name = input && input.name;
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+      throw new ServiceRegistryError('name must be 1-64 letters, digits, "-" or "_"', 400);
+    }
+    if (this.services.has(name)) throw new ServiceRegistryError(`Service already registered: ${name}`, 409);
+
+    const now = new Date().toISOString();
+    const service = { name, ...normalizeDefinition(input), createdAt: now, updatedAt: now };
+    this.services.set(name, service);
+    this.save();
+    return service;
+  }
+
+  update(name, changes) {
+    const existing = this.get(name);
+    if (!existing) throw new ServiceRegistryError(`Service not found: ${name}`, 404);
+    if (changes && changes.name !== undefined && changes.name !== name) {
+      throw new ServiceRegistryError('Services cannot be renamed; register a new one instead', 400);
+    }
+
+    const service = { ...existing, ...normalizeDefinition(changes, { partial: true }), updatedAt: new Date().toISOString() };
+    this.services.set(name, service);
+    this.save();
+    return service;
+  }
+
+  remove(name) {
+    const existing = this.get(name);
+    if (!existing) throw new ServiceRegistryError(`Service not found: ${name}`, 404);
+    this.services.delete(name);
+    this.save();
+    return existing;
+  }
+
+  // name -> definition, the shape ServiceHealthMonitor.checkAll() takes
+  toHealthConfig() {
+    return Object.fromEntries([...this.services].map(([name, service]) => [name, service]));
+  }
+}
+
+module.exports = { ServiceRegistry, ServiceRegistryError };
@@ -0,0 +1,160 @@
+/**
+ * IZA OS ecosystem topology
+ * Loads the node/edge graph from config/node-edge-architecture.json, attaches
+ * services (by config/iza-os-topology.json or a `node:<id>` registry tag) and
+ * discovered repositories to its nodes, and works out which nodes are
+ * downstream (directly or through other nodes) of an unhealthy one.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { matchesGlob } = require('./iza-os-discovery');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'iza-os-topology.json');
+
+// The architecture file's edges refer to every repository through this node
+const ALL_REPOSITORIES = 'all-repositories';
+
+// Worst status wins when a node has several services
+const STATUS_SEVERITY = ['healthy', 'unknown', 'degraded', 'unhealthy'];
+
+function loadTopologyConfig(configPath = process.env.IZA_TOPOLOGY_CONFIG || DEFAULT_CONFIG_PATH) {
+  const config = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : {};
+  const architecturePath = path.resolve(path.dirname(configPath), config.architecture || 'node-edge-architecture.json');
+  return {
+    services: config.services || {},
+    repositories: config.repositories || [],
+    architecturePath,
+    architecture: JSON.parse(fs.readFileSync(architecturePath, 'utf8'))
+  };
+}
+
+function worstStatus(statuses) {
+  return statuses.reduce((worst, status) =>
+    (STATUS_SEVERITY.indexOf(status) > STATUS_SEVERITY.indexOf(worst) ? status : worst), 'healthy');
+}
+
+/**
+ * Edges come from each node's `connections` and from the named flows under
+ * `edges`, where a flow [a, b, c] links a -> b -> c.
+ */
+function buildEdges(architecture) {
+  const edges = [];
+  for (const [id, node] of Object.entries(architecture.nodes)) {
+    for (const target of node.connections || []) edges.push({ from: id, to: target, kind: 'connection' });
+  }
+  for (const [kind, chain] of Object.entries(architecture.edges || {})) {
+    for (let i = 0; i < chain.length - 1; i += 1) edges.push({ from: chain[i], to: chain[i + 1], kind });
+  }
+  return edges;
+}
+
+// Nodes fed directly by `id`
+function dependentsOf(id, edges) {
+  return [...new Set(edges.filter(edge => edge.from === id && edge.to !== id).map(edge => edge.to))];
+}
+
+/**
+ * Every node reachable from `id` along edges, nearest first. Connections run
+ * in both directions and form cycles, so each node is visited once.
+ */
+function downstreamOf(id, edges) {
+  const visited = new Set([id]);
+  const queue = [id];
+  while (queue.length) {
+    for (const next of dependentsOf(queue.shift(), edges)) {
+      if (visited.has(next)) continue;
+      visited.add(next);
+      queue.push(next);
+    }
+  }
+  visited.delete(id);
+  return [...visited];
+}
+
+function nodeForService(service, config) {
+  const tag = (service.tags || []).find(item => item.startsWith('node:'));
+  return tag ? tag.slice('node:'.length) : config.services[service.name] || null;
+}
+
+function nodeForRepository(repository, config) {
+  const rule = config.repositories.find(item => matchesGlob(repository.path, item.match));
+  return rule ? rule.node : ALL_REPOSITORIES;
+}
+
+/**
+ * The graph with live state, across this host (`host`, its registered
+ * `services`, their `health` and its `repositories`) and the `remoteHosts`
+ * reporting to it ({ host, status, services, repositories }):
+ *   nodes  id, type, value, status (worst of its services, `unmonitored`
+ *          without any), services ({ name, host, status, reason }),
+ *          repositories ({ name, host }), dependents (nodes it feeds
+ *          directly), downstream (every node it feeds, through any number
+ *          of others), impactedBy (unhealthy nodes upstream of it)
+ *   edges  { from, to, kind }
+ */
+function buildTopology({ config, host = null, services = [], health = {}, repositories = [], remoteHosts = [] }) {
+  const { architecture } = config;
+  const edges = buildEdges(architecture);
+  const ids = new Set([...Object.keys(architecture.nodes), ...edges.flatMap(edge => [edge.from, edge.to])]);
+
+  const nodes = new Map([...ids].map(id => {
+    const definition = architecture.nodes[id] || {};
+    return [id, {
+      id,
+      type: definition.type || (id === ALL_REPOSITORIES ? 'repositories' : 'unknown'),
+      value: definition.value || null,
+      virtual: !architecture.nodes[id],
+      status: 'unmonitored',
+      services: [],
+      repositories: [],
+      dependents: [],
+      downstream: [],
+      impactedBy: []
+    }];
+  }));
+
+  for (const service of services) {
+    const node = nodes.get(nodeForService(service, config));
+    const state = health[service.name];
+    if (node) node.services.push({ name: service.name, host, status: state ? state.status : 'unknown', reason: state ? state.reason : null });
+  }
+  const addRepository = (repository, repositoryHost) => {
+    const node = nodes.get(nodeForRepository(repository, config)) || nodes.get(ALL_REPOSITORIES);
+    if (node) node.repositories.push({ name: repository.name, host: repositoryHost });
+  };
+  for (const repository of repositories) addRepository(repository, host);
+
+  // Agents report health but not registry tags, so their services map by name only
+  for (const remote of remoteHosts) {
+    for (const [name, state] of Object.entries(remote.services)) {
+      const node = nodes.get(nodeForService({ name }, config));
+      // A host that stopped reporting can't vouch for its last states
+      const current = remote.status === 'online';
+      if (node) node.services.push({ name, host: remote.host, status: current ? state.status : 'unknown', reason: current ? state.reason || null : `host ${remote.status}` });
+    }
+    for (const repository of remote.repositories) addRepository(repository, remote.host);
+  }
+
+  for (const node of nodes.values()) {
+    if (node.services.length) node.status = worstStatus(node.services.map(service => service.status));
+    node.dependents = dependentsOf(node.id, edges);
+    node.downstream = downstreamOf(node.id, edges);
+  }
+  for (const node of nodes.values()) {
+    if (node.status !== 'unhealthy') continue;
+    for (const id of node.downstream) nodes.get(id).impactedBy.push(node.id);
+  }
+
+  return {
+    source: config.architecturePath,
+    totalValue: architecture['total-value'] || null,
+    consolidationRatio: architecture['consolidation-ratio'] || null,
+    efficiencyGain: architecture['efficiency-gain'] || null,
+    repositoryCount: repositories.length + remoteHosts.reduce((sum, remote) => sum + remote.repositories.length, 0),
+    nodes: [...nodes.values()],
+    edges
+  };
+}
+
+module.exports = { loadTopologyConfig, buildTopology, ALL_REPOSITORIES };
@@ -0,0 +1,210 @@
+const { EventEmitter } = require('events');
+const { ApiError } = require('./content-validation');
+
+const ACTIVE_STATUSES = ['queued', 'running', 'retrying'];
+const JOB_STATUSES = [...ACTIVE_STATUSES, 'completed', 'failed', 'cancelled'];
+
+/**
+ * Background job runner for the content service.
+ * Jobs are persisted in the `jobs` collection of a ContentStore so their
+ * status can be polled (and survives restarts). Each job type has its own
+ * handler and optional concurrency cap on top of the queue-wide limit.
+ *
+ * Handlers are called as `handler(payload, context)` where context exposes
+ * `{ id, attempt, signal, progress(percent) }`. Throwing fails the attempt;
+ * it is retried with exponential backoff until `maxAttempts` is reached.
+ *
+ * Emits `queued`, `started`, `progress`, `completed`, `failed` and
+ * `cancelled` with the job record.
+ */
+class JobQueue extends EventEmitter {
+  constructor(store, options = {}) {
+    super();
+    this.store = store;
+    this.concurrency = options.concurrency || 2;
+    this.maxAttempts = options.maxAttempts || 3;
+    this.backoffMs = options.backoffMs || 1000;
+    this.handlers = new Map();
+    this.pending = [];
+    this.running = new Map();
+    this.retryTimers = new Map();
+  }
+
+  register(type, handler, options = {}) {
+    this.handlers.set(type, {
+      handler,
+      concurrency: options.concurrency || Infinity,
+      maxAttempts: options.maxAttempts || this.maxAttempts
+    });
+  }
+
+  enqueue(type, payload, options = {}) {
+    const definition = this.handlers.get(type);
+    if (!definition) throw new Error(`Unknown job type: ${type}`);
+
+    const job = this.store.insert('jobs', {
+      id: `job-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      type,
+      payload,
+      status: 'queued',
+      progress: 0,
+      attempts: 0,
+      max_attempts: options.maxAttempts || definition.maxAttempts,
+      error: null,
+      result: null
+    });
+
+    this.pending.push(job.id);
+    this.emit('queued', job);
+    setImmediate(() => this.drain());
+    return job;
+  }
+
+  get(id) {
+    return this.store.get('jobs', id);
+  }
+
+  list({ status, type } = {}) {
+    return this.store.find('jobs', job =>
+      (!status || job.status === status) && (!type || job.type === type)
+    );
+  }
+
+  /**
+   * Re-queue jobs left active by a previous process. Running jobs restart
+   * from the beginning; their attempt count is kept.
+   */
+  recover() {
+    for (const job of this.store.find('jobs', job => ACTIVE_STATUSES.includes(job.status))) {
+      if (!this.handlers.has(job.type)) continue;
+      this.store.update('jobs', job.id, { status: 'queued', next_run_at: null });
+      this.pending.push(job.id);
+    }
+    setImmediate(() => this.drain());
+  }
+
+  // Returns null for unknown jobs; jobs that already finished can't be cancelled
+  cancel(id) {
+    const job = this.get(id);
+    if (!job) return null;
+    if (!ACTIVE_STATUSES.includes(job.status)) {
+      throw new ApiError(409, 'conflict', `Job already ${job.status}: ${id}`);
+    }
+
+    this.pending = this.pending.filter(pendingId => pendingId !== id);
+    if (this.retryTimers.has(id)) {
+      clearTimeout(this.retryTimers.get(id));
+      this.retryTimers.delete(id);
+    }
+    if (this.running.has(id)) {
+      this.running.get(id).controller.abort();
+    }
+
+    const cancelled = this.store.update('jobs', id, {
+      status: 'cancelled',
+      finished_at: new Date().toISOString()
+    });
+    this.emit('cancelled', cancelled);
+    return cancelled;
+  }
+
+  runningCount(type) {
+    let count = 0;
+    for (const entry of this.running.values()) {
+      if (entry.type === type) count += 1;
+    }
+    return count;
+  }
+
+  drain() {
+    for (let i = 0; i < this.pending.length && this.running.size < this.concurrency;) {
+      const job = this.get(this.pending[i]);
+      const definition = job && this.handlers.get(job.type);
+
+      if (!definition || job.status !== 'queued') {
+        this.pending.splice(i, 1);
+      } else if (this.runningCount(job.type) >= definition.concurrency) {
+        i += 1;
+      } else {
+        this.pending.splice(i, 1);
+        this.run(job, definition);
+      }
+    }
+  }
+
+  async run(job, definition) {
+    const controller = new AbortController();
+    const attempt = job.attempts + 1;
+    this.running.set(job.id, { type: job.type, controller });
+
+    const started = this.store.update('jobs', job.id, {
+      status: 'running',
+      attempts: attempt,
+      started_at: new Date().toISOString()
+    });
+    this.emit('started', started);
+
+    const context = {
+      id: job.id,
+      attempt,
+      signal: controller.signal,
+      progress: percent => {
+        if (controller.signal.aborted) return;
+        // Progress ticks are frequent; they reach disk with the next save
+        const updated = this.store.update('jobs', job.id, { progress: percent }, { defer: true });
+        this.emit('progress', updated);
+      }
+    };
+
+    try {
+      const result = await definition.handler(job.payload, context);
+      if (controller.signal.aborted) return;
+
+      const completed = this.store.update('jobs', job.id, {
+        status: 'completed',
+        progress: 100,
+        result,
+        error: null,
+        finished_at: new Date().toISOString()
+      });
+      this.emit('completed', completed);
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      this.handleFailure(job.id, attempt, error);
+    } finally {
+      this.running.delete(job.id);
+      this.drain();
+    }
+  }
+
+  handleFailure(id, attempt, error) {
+    const job = this.get(id);
+
+    if (attempt >= job.max_attempts) {
+      const failed = this.store.update('jobs', id, {
+        status: 'failed',
+        error: error.message,
+        finished_at: new Date().toISOString()
+      });
+      this.emit('failed', failed);
+      return;
+    }
+
+    const delay = this.backoffMs * (2 ** (attempt - 1));
+    this.store.update('jobs', id, {
+      status: 'retrying',
+      error: error.message,
+      next_run_at: new Date(Date.now() + delay).toISOString()
+    });
+
+    this.retryTimers.set(id, setTimeout(() => {
+      this.retryTimers.delete(id);
+      if (this.get(id).status !== 'retrying') return;
+      this.store.update('jobs', id, { status: 'queued', next_run_at: null });
+      this.pending.push(id);
+      this.drain();
+    }, delay));
+  }
+}
+
+module.exports = { JobQueue, JOB_STATUSES };
@@ -0,0 +1,191 @@
+/**
+ * Minimal Prometheus instrumentation shared by the content service and the
+ * master server: counters, gauges and histograms with labels, rendered in
+ * the text exposition format (version 0.0.4) for a `/metrics` route.
+ */
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  key(labels) {
+    return JSON.stringify(this.labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+  }
+
+  labelsFor(labels) {
+    return Object.fromEntries(this.labelNames.map(name => [name, labels[name] === undefined ? '' : labels[name]]));
+  }
+
+  reset() {
+    this.series.clear();
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = this.key(labels);
+    const series = this.series.get(key) || { labels: this.labelsFor(labels), value: 0 };
+    series.value += amount;
+    this.series.set(key, series);
+  }
+
+  lines() {
+    return [...this.series.values()].map(series => `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+  }
+}
+
+// A gauge may take a `collect` callback that sets its values right before each scrape
+class Gauge extends Counter {
+  constructor(name, help, labelNames, collect) {
+    super(name, help, labelNames);
+    this.type = 'gauge';
+    this.collect = collect;
+  }
+
+  set(labels, value) {
+    this.series.set(this.key(labels), { labels: this.labelsFor(labels), value });
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const key = this.key(labels);
+    const series = this.series.get(key) || {
+      labels: this.labelsFor(labels),
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    };
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index] += 1;
+    });
+    series.sum += value;
+    series.count += 1;
+    this.series.set(key, series);
+  }
+
+  lines() {
+    const lines = [];
+    for (const series of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) throw new Error(`Metric already registered: ${metric.name}`);
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames, collect) {
+    return this.register(new Gauge(name, help, labelNames, collect));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  render() {
+    const output = [];
+    for (const metric of this.metrics.values()) {
+      if (metric.collect) {
+        metric.reset();
+        metric.collect(metric);
+      }
+      output.push(`# HELP ${metric.name} ${metric.help}`);
+      output.push(`# TYPE ${metric.name} ${metric.type}`);
+      output.push(...metric.lines());
+    }
+    return `${output.join('\n')}\n`;
+  }
+}
+
+// Process uptime and memory, present on every exporter
+function registerProcessMetrics(registry) {
+  registry.gauge('process_uptime_seconds', 'Seconds since the process started', [], gauge => {
+    gauge.set({}, Math.round(process.uptime()));
+  });
+  registry.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', [], gauge => {
+    gauge.set({}, process.memoryUsage().rss);
+  });
+  registry.gauge('nodejs_heap_used_bytes', 'V8 heap used in bytes', [], gauge => {
+    gauge.set({}, process.memoryUsage().heapUsed);
+  });
+}
+
+/**
+ * Express middleware counting requests and timing them per route. Routes are
+ * labelled by their pattern (e.g. `/videos/:id`) to keep cardinality bounded;
+ * requests no route handled are labelled `(unmatched)`.
+ */
+function requestMetrics(registry) {
+  const requests = registry.counter('http_requests_total', 'HTTP requests handled', ['method', 'route', 'status']);
+  const duration = registry.histogram('http_request_duration_seconds', 'HTTP request latency in seconds', ['method', 'route']);
+
+  return (req, res, next) => {
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : '(unmatched)';
+      requests.inc({ method: req.method, route, status: res.statusCode });
+      duration.observe({ method: req.method, route }, Number(process.hrtime.bigint() - started) / 1e9);
+    });
+    next();
+  };
+}
+
+function metricsHandler(registry) {
+  return (req, res) => {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(registry.render());
+  };
+}
+
+module.exports = { MetricsRegistry, registerProcessMetrics, requestMetrics, metricsHandler, DEFAULT_BUCKETS };
@@ -0,0 +1,696 @@
+/**
+ * IZA OS mobile dashboard
+ * Service health with sparklines, hosts reporting to this master, the
+ * ecosystem dependency graph, a streaming deployment log viewer and a
+ * repository browser, kept live over the WebSocket event protocol (see
+ * iza-os-events.js on the server). Services, repositories and topology
+ * details are grouped by the host they run on.
+ */
+
+const TOPICS = ['health', 'deployments', 'deployment-logs', 'jobs', 'discovery', 'alerts', 'hosts'];
+const STATUS_COLORS = { healthy: '#10B981', degraded: '#F59E0B', unhealthy: '#ef4444', unknown: '#9CA3AF' };
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const MAX_LOG_LINES = 2000;
+const MAX_REPOSITORIES_SHOWN = 200;
+
+let ws;
+let signedOut = false;
+let reconnectDelay = 1000;
+let staleTimer;
+let reconnectTimer;
+let refreshTimer;
+// Resume point for replaying missed events after a reconnect
+const stream = { bootId: null, lastEventId: null };
+
+let deployments = [];
+let selectedDeploymentId = null;
+let topology = null;
+let selectedNodeId = null;
+// This server's host name, for putting its group first in host-grouped lists
+let localHost = null;
+// Registered services by name, for the buttons that open a service's own UI
+let registeredServices = new Map();
+
+function svgElement(tag, attributes = {}) {
+  const node = document.createElementNS(SVG_NS, tag);
+  for (const [name, value] of Object.entries(attributes)) node.setAttribute(name, value);
+  return node;
+}
+
+function element(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+function setActionStatus(message) {
+  document.getElementById('actionStatus').textContent = message;
+}
+
+// Items split by their `host`, keeping their order within each; this server first
+function groupByHost(items) {
+  const groups = new Map();
+  for (const item of items) {
+    if (!groups.has(item.host)) groups.set(item.host, []);
+    groups.get(item.host).push(item);
+  }
+  return [...groups].sort(([a], [b]) => (b === localHost) - (a === localHost));
+}
+
+function hostHeading(host, status) {
+  const heading = element('div', 'host-group', host);
+  heading.appendChild(element('span', `badge host-${status}`, host === localHost ? 'this server' : status));
+  return heading;
+}
+
+// ---- WebSocket ----
+
+const eventHandlers = {
+  'service.transition': () => {
+    refreshData();
+    loadTopology();
+  },
+  'deployment.started': data => {
+    loadDeployments().then(() => {
+      if (document.getElementById('followDeployments').checked) selectDeployment(data.deploymentId);
+    });
+  },
+  'deployment.step': data => {
+    if (data.deploymentId !== selectedDeploymentId) return;
+    appendLogLine(`▶ ${data.step}: ${data.status}${data.exitCode !== null ? ` (exit ${data.exitCode})` : ''}`, 'step-line');
+  },
+  'deployment.log': data => {
+    if (data.deploymentId === selectedDeploymentId) appendLogLine(data.line, data.stream);
+  },
+  'deployment.finished': data => {
+    loadDeployments();
+    if (data.deploymentId === selectedDeploymentId) renderDeploymentSummary(data);
+    setActionStatus(`${data.kind} of ${data.component} ${data.status}${data.error ? `: ${data.error}` : ''}`);
+  },
+  'alert.fired': alert => setActionStatus(`${alert.severity === 'critical' ? '🚨' : '⚠️'} ${alert.rule}: ${alert.subject} – ${alert.message}`),
+  'alert.resolved': alert => setActionStatus(`✅ Resolved ${alert.rule}: ${alert.subject}`),
+  'discovery.completed': () => {
+    loadRepositories();
+    loadTopology();
+  },
+  'discovery.scored': () => loadRepositories(),
+  'host.connected': data => {
+    setActionStatus(`🛰️ Host ${data.host} connected`);
+    loadHosts();
+    loadRepositories();
+    loadTopology();
+  },
+  'host.reported': () => {
+    loadHosts();
+    loadRepositories();
+    loadTopology();
+  }
+};
+
+// No heartbeat for two intervals means the connection is stalled
+function watchHeartbeat(heartbeatMs) {
+  clearTimeout(staleTimer);
+  staleTimer = setTimeout(() => ws.close(), heartbeatMs * 2);
+}
+
+function setConnectionState(live) {
+  const state = document.getElementById('connectionState');
+  state.textContent = live ? '● live' : 'reconnecting…';
+  state.classList.toggle('live', live);
+}
+
+function connectWebSocket() {
+  signedOut = false;
+  // One socket at a time: signing in again replaces the old one without it reconnecting
+  clearTimeout(reconnectTimer);
+  clearTimeout(staleTimer);
+  if (ws) {
+    ws.onmessage = null;
+    ws.onclose = null;
+    ws.close();
+  }
+  const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+  ws = new WebSocket(`${protocol}//${window.location.host}`);
+  let heartbeatMs = 30000;
+
+  ws.onmessage = function(message) {
+    const data = JSON.parse(message.data);
+    watchHeartbeat(heartbeatMs);
+    if (data.type === 'hello') {
+      reconnectDelay = 1000;
+      heartbeatMs = data.heartbeatMs;
+      setConnectionState(true);
+      const resuming = stream.lastEventId !== null;
+      ws.send(JSON.stringify({
+        type: 'subscribe',
+        topics: TOPICS,
+        ...(resuming ? { since: stream.lastEventId, bootId: stream.bootId } : {})
+      }));
+      // A restarted server numbers events from 1 again and replays its whole buffer
+      if (!resuming) {
+        stream.lastEventId = data.lastEventId;
+      } else if (stream.bootId !== data.bootId) {
+        stream.lastEventId = 0;
+      }
+      stream.bootId = data.bootId;
+    } else if (data.type === 'replay' && data.truncated) {
+      setActionStatus('Some updates were missed while disconnected');
+      loadDeployments();
+    } else if (data.type === 'error') {
+      setActionStatus(`Live updates: ${data.error}`);
+    } else if (data.id !== undefined) {
+      stream.lastEventId = data.id;
+      const handler = eventHandlers[data.type];
+      if (handler) handler(data.data);
+    }
+  };
+
+  ws.onclose = function() {
+    clearTimeout(staleTimer);
+    setConnectionState(false);
+    if (signedOut) return;
+    reconnectTimer = setTimeout(connectWebSocket, reconnectDelay);
+    reconnectDelay = Math.min(reconnectDelay * 2, 30000);
+  };
+}
+
+// ---- Status and services ----
+
+async function refreshData() {
+  try {
+    const [statusResponse, servicesResponse] = await Promise.all([
+      fetch('/api/status'),
+      fetch('/api/services?history=true')
+    ]);
+    if (statusResponse.status === 401) {
+      clearInterval(refreshTimer);
+      return showLogin('Your session has expired');
+    }
+    const data = await statusResponse.json();
+    const health = await servicesResponse.json();
+
+    document.getElementById('repoCount').textContent = data.repositories;
+    document.getElementById('izaFolders').textContent = data.izaFolders;
+    document.getElementById('uptime').textContent = Math.floor(data.uptime / 60) + 'm';
+
+    const servicesOnline = Object.values(data.services).filter(status => status === 'healthy').length;
+    document.getElementById('servicesOnline').textContent = servicesOnline + '/' + Object.keys(data.services).length;
+
+    registeredServices = new Map(health.registry.map(service => [service.name, service]));
+    updateServicesList(health.hosts, health.history || {});
+  } catch (error) {
+    setActionStatus(`Could not refresh status: ${error.message}`);
+  }
+}
+
+// Latency over the recent checks, one dot per check coloured by its status
+function sparkline(samples) {
+  const width = 120;
+  const height = 28;
+  const svg = svgElement('svg');
+  svg.setAttribute('class', 'sparkline');
+  svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  if (!samples.length) return svg;
+
+  const max = Math.max(...samples.map(sample => sample.latencyMs), 1);
+  const step = samples.length > 1 ? width / (samples.length - 1) : 0;
+  const points = samples.map((sample, index) => [
+    samples.length > 1 ? index * step : width / 2,
+    height - 3 - (sample.latencyMs / max) * (height - 6)
+  ]);
+
+  const line = svgElement('polyline');
+  line.setAttribute('points', points.map(point => point.join(',')).join(' '));
+  line.setAttribute('fill', 'none');
+  line.setAttribute('stroke', 'rgba(255, 255, 255, 0.6)');
+  line.setAttribute('stroke-width', '1.5');
+  svg.appendChild(line);
+
+  points.forEach(([x, y], index) => {
+    const dot = svgElement('circle');
+    dot.setAttribute('cx', x);
+    dot.setAttribute('cy', y);
+    dot.setAttribute('r', '1.8');
+    dot.setAttribute('fill', STATUS_COLORS[samples[index].status] || STATUS_COLORS.unknown);
+    svg.appendChild(dot);
+  });
+
+  const last = samples[samples.length - 1];
+  const title = svgElement('title');
+  title.textContent = `${samples.length} checks, last ${last.latencyMs}ms at ${new Date(last.at).toLocaleTimeString()}`;
+  svg.appendChild(title);
+  return svg;
+}
+
+// Grouped by host once agents report; check history (the sparklines) is kept for this server only
+function updateServicesList(hosts, history) {
+  const container = document.getElementById('servicesList');
+  container.replaceChildren();
+  localHost = hosts.find(host => host.local).host;
+
+  for (const host of hosts) {
+    if (hosts.length > 1) container.appendChild(hostHeading(host.host, host.status));
+    for (const [name, service] of Object.entries(host.services)) {
+      const serviceDiv = element('div', 'service-item');
+      const statusSpan = element('span', 'status-' + service.status,
+        service.status.toUpperCase() + (service.httpStatus ? ` · ${service.latencyMs}ms` : ''));
+      statusSpan.title = service.reason || '';
+
+      const healthDiv = element('div', 'service-health');
+      healthDiv.append(sparkline(host.local ? history[name] || [] : []), statusSpan);
+      serviceDiv.append(element('span', 'service-name', name), healthDiv);
+      container.appendChild(serviceDiv);
+    }
+  }
+}
+
+// ---- Deployments ----
+
+async function loadDeployments() {
+  const response = await fetch('/api/deployments?limit=20');
+  if (!response.ok) return;
+  deployments = (await response.json()).deployments;
+
+  const select = document.getElementById('deploymentSelect');
+  select.replaceChildren(...deployments.map(deployment => {
+    const started = new Date(deployment.startedAt).toLocaleString();
+    const option = element('option', null, `${deployment.kind === 'rollback' ? '↩️' : '🚀'} ${deployment.component} · ${deployment.status} · ${started}`);
+    option.value = deployment.id;
+    return option;
+  }));
+
+  if (!selectedDeploymentId && deployments.length) {
+    selectDeployment(deployments[0].id);
+  } else {
+    select.value = selectedDeploymentId;
+  }
+}
+
+function renderDeploymentSummary(deployment) {
+  const parts = [
+    `${deployment.kind || 'deploy'} of ${deployment.component}`,
+    deployment.status,
+    deployment.triggeredBy ? `by ${deployment.triggeredBy}` : null,
+    deployment.durationMs !== null && deployment.durationMs !== undefined ? `${(deployment.durationMs / 1000).toFixed(1)}s` : null,
+    deployment.error
+  ];
+  document.getElementById('deploymentSummary').textContent = parts.filter(Boolean).join(' · ');
+}
+
+function appendLogLine(text, className) {
+  const log = document.getElementById('deploymentLog');
+  const following = log.scrollTop + log.clientHeight >= log.scrollHeight - 20;
+  log.appendChild(element('div', className, text));
+  while (log.childElementCount > MAX_LOG_LINES) log.removeChild(log.firstChild);
+  if (following) log.scrollTop = log.scrollHeight;
+}
+
+async function selectDeployment(id) {
+  selectedDeploymentId = id;
+  document.getElementById('deploymentSelect').value = id;
+  const log = document.getElementById('deploymentLog');
+  log.replaceChildren();
+
+  const response = await fetch(`/api/deployments/${encodeURIComponent(id)}`);
+  if (!response.ok) return;
+  const deployment = await response.json();
+  // Another deployment may have been selected while this one loaded
+  if (selectedDeploymentId !== id) return;
+
+  renderDeploymentSummary(deployment);
+  for (const step of deployment.steps) {
+    appendLogLine(`▶ ${step.name}: ${step.status}${step.exitCode !== null ? ` (exit ${step.exitCode})` : ''}`, 'step-line');
+    step.output.forEach(entry => appendLogLine(entry.line, entry.stream));
+  }
+}
+
+async function requestDeployment(url, describe) {
+  try {
+    const response = await fetch(url, { method: 'POST' });
+    const data = await response.json();
+    setActionStatus(response.ok ? describe(data) : 'Refused: ' + data.error);
+  } catch (error) {
+    setActionStatus('Deployment error: ' + error.message);
+  }
+}
+
+function deployFullEcosystem() {
+  requestDeployment('/api/deploy/full-ecosystem', () => 'Full ecosystem deployment started...');
+}
+
+function rollbackFullEcosystem() {
+  if (!confirm('Roll the ecosystem back to its last known-good release?')) return;
+  requestDeployment('/api/deploy/full-ecosystem/rollback', data => `Rolling back to ${data.rollbackOf}...`);
+}
+
+function openService(name, label) {
+  const service = registeredServices.get(name);
+  if (!service) return setActionStatus(`${label} is not in the service registry`);
+  window.open(service.url, '_blank');
+}
+
+function openAgentOrchestra() {
+  openService('agentOrchestra', 'Agent Orchestra');
+}
+
+function openOmnara() {
+  openService('omnara', 'Omnara');
+}
+
+// ---- Hosts ----
+
+const openHosts = new Set();
+
+async function loadHosts() {
+  const response = await fetch('/api/hosts');
+  if (!response.ok) return;
+  const { hosts } = await response.json();
+  localHost = hosts.find(host => host.local).host;
+  document.getElementById('hostList').replaceChildren(...hosts.map(renderHost));
+
+  // The repository browser's host filter, keeping the current choice while that host is known
+  const select = document.getElementById('repositoryHost');
+  const selected = select.value;
+  select.replaceChildren(element('option', null, 'All hosts'), ...hosts.map(host => element('option', null, host.host)));
+  select.options[0].value = '';
+  select.value = hosts.some(host => host.host === selected) ? selected : '';
+}
+
+function renderHost(host) {
+  const card = element('details', 'host-card');
+  card.open = openHosts.has(host.host);
+  const summary = element('summary', 'repository-name', host.host);
+  summary.appendChild(element('span', `badge host-${host.status}`, host.local ? 'this server' : host.status));
+  const healthy = host.services.healthy || 0;
+  const total = Object.values(host.services).reduce((sum, count) => sum + count, 0);
+  summary.appendChild(element('span', 'repository-meta',
+    ` ${healthy}/${total} services healthy · ${host.repositories} components` +
+    (host.local ? '' : ` · reported ${new Date(host.lastReportAt).toLocaleTimeString()}`)));
+  const body = element('div', 'host-detail');
+  card.append(summary, body);
+
+  card.addEventListener('toggle', () => {
+    if (card.open) {
+      openHosts.add(host.host);
+      loadHostDetail(host.host, body);
+    } else {
+      openHosts.delete(host.host);
+    }
+  });
+  // Opening it (here or by the user) fires `toggle`, which loads the detail
+  return card;
+}
+
+async function loadHostDetail(name, container) {
+  const response = await fetch(`/api/hosts/${encodeURIComponent(name)}`);
+  if (!response.ok) return;
+  const host = await response.json();
+
+  const services = Object.values(host.services).map(service => {
+    const row = element('div', 'service-item');
+    const status = element('span', 'status-' + service.status, service.status.toUpperCase());
+    status.title = service.reason || '';
+    row.append(element('span', 'service-name', service.name), status);
+    return row;
+  });
+  const repositories = element('div', 'repository-meta', host.repositories
+    .map(repository => repository.name + (repository.score ? ` (${repository.score.total})` : ''))
+    .join(', ') || 'No components discovered');
+  container.replaceChildren(...services, repositories);
+}
+
+// ---- Topology ----
+
+async function loadTopology() {
+  const response = await fetch('/api/topology');
+  if (!response.ok) return;
+  topology = await response.json();
+  renderTopology();
+}
+
+// Nodes on a circle in architecture order; the virtual all-repositories hub sits in the middle
+function layoutTopology(nodes, width, height) {
+  const ring = nodes.filter(node => !node.virtual);
+  const radius = Math.min(width, height) / 2 - 40;
+  const positions = {};
+  ring.forEach((node, index) => {
+    const angle = (index / ring.length) * 2 * Math.PI - Math.PI / 2;
+    positions[node.id] = [width / 2 + radius * Math.cos(angle), height / 2 + radius * Math.sin(angle)];
+  });
+  nodes.filter(node => node.virtual).forEach((node, index) => {
+    positions[node.id] = [width / 2, height / 2 + index * 40];
+  });
+  return positions;
+}
+
+function renderTopology() {
+  const width = 360;
+  const height = 300;
+  const selected = topology.nodes.find(node => node.id === selectedNodeId);
+  const highlighted = new Set(selected ? selected.downstream : []);
+  const positions = layoutTopology(topology.nodes, width, height);
+
+  const svg = svgElement('svg', { class: 'topology-graph', viewBox: `0 0 ${width} ${height}` });
+  const marker = svgElement('marker', { id: 'arrow', viewBox: '0 0 10 10', refX: '30', refY: '5', markerWidth: '8', markerHeight: '8', markerUnits: 'userSpaceOnUse', orient: 'auto' });
+  marker.appendChild(svgElement('path', { d: 'M0,0 L10,5 L0,10 z', fill: 'rgba(255, 255, 255, 0.5)' }));
+  const defs = svgElement('defs');
+  defs.appendChild(marker);
+  svg.appendChild(defs);
+
+  // Parallel edges of different kinds are drawn once
+  const drawn = new Set();
+  for (const edge of topology.edges) {
+    const key = `${edge.from}>${edge.to}`;
+    if (drawn.has(key)) continue;
+    drawn.add(key);
+    const [x1, y1] = positions[edge.from];
+    const [x2, y2] = positions[edge.to];
+    const active = selected && (edge.from === selected.id || highlighted.has(edge.from)) && highlighted.has(edge.to);
+    svg.appendChild(svgElement('line', {
+      x1, y1, x2, y2,
+      class: active ? 'topology-edge active' : 'topology-edge',
+      'marker-end': 'url(#arrow)'
+    }));
+  }
+
+  for (const node of topology.nodes) {
+    const [x, y] = positions[node.id];
+    const classes = ['topology-node'];
+    if (node.impactedBy.length) classes.push('impacted');
+    if (highlighted.has(node.id)) classes.push('downstream');
+    if (node.id === selectedNodeId) classes.push('selected');
+
+    const group = svgElement('g', { class: classes.join(' '), transform: `translate(${x}, ${y})` });
+    group.appendChild(svgElement('circle', { r: '16', fill: STATUS_COLORS[node.status] || 'rgba(255, 255, 255, 0.2)' }));
+    const label = svgElement('text', { y: '30', 'text-anchor': 'middle' });
+    label.textContent = node.id;
+    const title = svgElement('title');
+    title.textContent = `${node.id}: ${node.status}` +
+      (node.impactedBy.length ? ` (impacted by ${node.impactedBy.join(', ')})` : '');
+    group.append(label, title);
+    group.addEventListener('click', () => {
+      selectedNodeId = selectedNodeId === node.id ? null : node.id;
+      renderTopology();
+    });
+    svg.appendChild(group);
+  }
+
+  document.getElementById('topologyGraph').replaceChildren(svg);
+  renderTopologyDetails(selected);
+}
+
+function renderTopologyDetails(node) {
+  const container = document.getElementById('topologyDetails');
+  const impacted = topology.nodes.filter(item => item.impactedBy.length);
+  if (!node) {
+    container.replaceChildren(element('div', 'topology-hint', impacted.length
+      ? `⚠️ Impacted by an outage: ${impacted.map(item => item.id).join(', ')}`
+      : 'Select a node to see its services, repositories and downstream dependents'));
+    return;
+  }
+
+  const title = element('div', 'repository-name', node.id);
+  title.appendChild(element('span', 'badge', node.type));
+  if (node.value) title.appendChild(element('span', 'badge', node.value));
+
+  const names = items => items.slice(0, 20).map(item => item.name).join(', ') + (items.length > 20 ? ` and ${items.length - 20} more` : '');
+  const lines = [`Status: ${node.status}`];
+  for (const [host, services] of groupByHost(node.services)) {
+    lines.push(`Services on ${host}: ${services.map(service => `${service.name} (${service.status})`).join(', ')}`);
+  }
+  if (!node.services.length) lines.push('Services: none');
+  for (const [host, repositories] of groupByHost(node.repositories)) lines.push(`Repositories on ${host}: ${names(repositories)}`);
+  if (!node.repositories.length) lines.push('Repositories: none');
+  lines.push(`Downstream: ${node.downstream.join(', ') || 'none'}`);
+  if (node.impactedBy.length) lines.push(`⚠️ Impacted by ${node.impactedBy.join(', ')}`);
+  container.replaceChildren(title, ...lines.map(line => element('div', 'repository-meta', line)));
+}
+
+// ---- Repositories ----
+
+let repositorySearchTimer;
+
+// Search, filter and sort happen on the server (see iza-os-repository-search.js)
+async function loadRepositories() {
+  const params = new URLSearchParams({ pageSize: MAX_REPOSITORIES_SHOWN });
+  const query = document.getElementById('repositorySearch').value.trim();
+  const type = document.getElementById('repositoryType').value;
+  const host = document.getElementById('repositoryHost').value;
+  const sort = document.getElementById('repositorySort').value;
+  if (query) params.set('q', query);
+  if (type) params.set('type', type);
+  if (host) params.set('host', host);
+  if (sort) params.set('sort', sort);
+  const response = await fetch(`/api/repositories?${params}`);
+  if (!response.ok) return;
+  renderRepositories(await response.json());
+}
+
+function searchRepositories() {
+  clearTimeout(repositorySearchTimer);
+  repositorySearchTimer = setTimeout(loadRepositories, 300);
+}
+
+// One line per metric: points earned, and the measured value behind them
+function scoreBreakdown(score) {
+  return Object.entries(score.breakdown).map(([metric, result]) => (result.available
+    ? `${metric}: ${result.points} pts (${result.value})`
+    : `${metric}: n/a`)).join('\n');
+}
+
+function renderRepositories(result) {
+  const shown = result.repositories;
+  document.getElementById('repositoryCount').textContent = result.total > shown.length
+    ? `Showing ${shown.length} of ${result.total} matches`
+    : `${result.total} components`;
+
+  // Sorted across hosts, then grouped by host once the results span several
+  const groups = groupByHost(shown);
+  document.getElementById('repositoryList').replaceChildren(...groups.flatMap(([host, repositories]) => [
+    ...(groups.length > 1 ? [hostHeading(host, repositories[0].hostStatus || 'online')] : []),
+    ...repositories.map(renderRepository)
+  ]));
+}
+
+function renderRepository(repository) {
+  const item = element('div', 'repository-item');
+  const name = element('div', 'repository-name', repository.name);
+  name.appendChild(element('span', 'badge', repository.type === 'iza-folder' ? 'IZA folder' : 'repository'));
+  if (repository.language) name.appendChild(element('span', 'badge', repository.language));
+  if (repository.score) {
+    const score = element('span', 'badge score', `score ${repository.score.total}`);
+    score.title = scoreBreakdown(repository.score);
+    name.appendChild(score);
+  }
+
+  const meta = [
+    repository.package && repository.package.version ? `v${repository.package.version}` : null,
+    repository.git ? `${repository.git.branch} @ ${repository.git.head.slice(0, 7)}` : null,
+    repository.git && repository.git.lastCommitDate ? `last commit ${new Date(repository.git.lastCommitDate).toLocaleDateString()}` : null,
+    repository.score ? `${repository.score.metrics.linesOfCode} LOC` : 'scoring...'
+  ].filter(Boolean).join(' · ');
+
+  item.append(name, element('div', 'repository-meta', meta));
+  if (repository.search && repository.search.snippet) {
+    item.appendChild(element('div', 'repository-meta', repository.search.snippet));
+  }
+  item.title = repository.path;
+  item.addEventListener('click', () => showRepository(repository));
+  return item;
+}
+
+async function showRepository(repository) {
+  const params = new URLSearchParams({ path: repository.path, host: repository.host });
+  const response = await fetch(`/api/repositories/${encodeURIComponent(repository.name)}?${params}`);
+  const container = document.getElementById('repositoryDetail');
+  if (!response.ok) {
+    container.replaceChildren(element('div', 'repository-meta', (await response.json()).error));
+    return;
+  }
+  const detail = await response.json();
+
+  const title = element('div', 'repository-name', detail.name);
+  const close = element('button', 'detail-close', '✕');
+  close.addEventListener('click', () => container.replaceChildren());
+  title.appendChild(close);
+
+  // Another host's repository shows what its agent reported; README, scripts and commits stay there
+  const facts = [
+    `Host: ${detail.host}${detail.hostStatus ? ` (${detail.hostStatus})` : ''}`,
+    `Path: ${detail.path}`,
+    ...(detail.hostStatus ? ['README, scripts and commits are only available on that host'] : [
+      `Backs service: ${detail.services.map(service => `${service.name} (${service.url})`).join(', ') || 'none'}`,
+      `Scripts: ${detail.scripts ? Object.keys(detail.scripts).join(', ') || 'none' : 'no package.json'}`
+    ])
+  ].map(line => element('div', 'repository-meta', line));
+
+  const commits = element('ul', 'commit-list');
+  for (const commit of detail.recentCommits) {
+    const item = element('li', null, `${commit.sha.slice(0, 7)} ${commit.subject}`);
+    item.appendChild(element('span', 'timestamp', ` ${commit.author}, ${new Date(commit.date).toLocaleDateString()}`));
+    commits.appendChild(item);
+  }
+
+  // Rendered on the server from escaped text; raw HTML in READMEs never reaches the page
+  const readme = element('div', 'readme');
+  if (detail.readme) readme.innerHTML = detail.readme.html;
+
+  container.replaceChildren(title, ...facts, commits, readme);
+  container.scrollIntoView({ behavior: 'smooth' });
+}
+
+// ---- Session ----
+
+function showLogin(message) {
+  document.getElementById('loginError').textContent = message || '';
+  document.getElementById('loginScreen').classList.add('visible');
+}
+
+document.getElementById('loginForm').addEventListener('submit', async function(event) {
+  event.preventDefault();
+  const response = await fetch('/api/auth/login', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      username: document.getElementById('loginUsername').value,
+      password: document.getElementById('loginPassword').value
+    })
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    return showLogin(data.error);
+  }
+  document.getElementById('loginPassword').value = '';
+  document.getElementById('loginScreen').classList.remove('visible');
+  start();
+});
+
+async function logout() {
+  await fetch('/api/auth/logout', { method: 'POST' });
+  signedOut = true;
+  clearInterval(refreshTimer);
+  clearTimeout(reconnectTimer);
+  if (ws) ws.close();
+  showLogin();
+}
+
+// Initialize once signed in
+async function start() {
+  const response = await fetch('/api/auth/me');
+  if (response.status === 401) {
+    return showLogin();
+  }
+  const me = await response.json();
+  document.getElementById('sessionUser').textContent = `👤 ${me.name} (${me.role})`;
+  connectWebSocket();
+  refreshData();
+  loadDeployments();
+  loadRepositories();
+  loadHosts();
+  loadTopology();
+  clearInterval(refreshTimer);
+  refreshTimer = setInterval(refreshData, 10000); // Refresh every 10 seconds
+}
+
+start();
@@ -0,0 +1,231 @@
+const REVENUE_SOURCES = ['ad_revenue', 'sponsorship', 'affiliate'];
+
+// Header names used by common platform earnings exports, lower-cased
+const COLUMN_ALIASES = {
+  date: ['date', 'day', 'transaction date', 'payment date'],
+  amount: ['amount', 'revenue', 'earnings', 'estimated revenue', 'estimated revenue (usd)', 'your estimated revenue (usd)'],
+  source: ['source', 'type', 'revenue type', 'revenue source'],
+  video_id: ['video_id', 'video id', 'video', 'content'],
+  reference: ['reference', 'transaction id', 'description', 'note']
+};
+
+const SOURCE_ALIASES = [
+  { pattern: /^(ad|ads|ad[ _-]?revenue|youtube ads|adsense)$/i, source: 'ad_revenue' },
+  { pattern: /^sponsor/i, source: 'sponsorship' },
+  { pattern: /^affiliate/i, source: 'affiliate' }
+];
+
+/**
+ * Minimal RFC 4180 CSV parser: quoted fields, escaped quotes ("") and
+ * newlines inside quotes. Returns one object per row keyed by header.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...body] = rows.filter(cells => cells.some(cell => cell.trim()));
+  return body.map(cells => Object.fromEntries(header.map((name, i) => [name.trim(), (cells[i] || '').trim()])));
+}
+
+function pickColumn(record, field) {
+  const aliases = COLUMN_ALIASES[field];
+  const key = Object.keys(record).find(name => aliases.includes(name.trim().toLowerCase()));
+  return key === undefined ? undefined : record[key];
+}
+
+function normalizeSource(value) {
+  if (REVENUE_SOURCES.includes(value)) return value;
+  const match = SOURCE_ALIASES.find(alias => alias.pattern.test(String(value || '').trim()));
+  return match ? match.source : null;
+}
+
+function parseAmount(value) {
+  if (typeof value === 'number') return value;
+  const amount = Number(String(value || '').replace(/[$,\s]/g, ''));
+  return Number.isFinite(amount) ? amount : NaN;
+}
+
+// Any parseable date as YYYY-MM-DD; a YYYY-MM-DD value must name a real day (not 2026-13-45)
+function parseDate(value) {
+  const text = String(value || '').trim();
+  const date = new Date(text);
+  if (Number.isNaN(date.getTime())) return null;
+  const day = date.toISOString().slice(0, 10);
+  return /^\d{4}-\d{2}-\d{2}$/.test(text) && day !== text ? null : day;
+}
+
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Revenue entries by source, video and date, stored in the `revenue`
+ * collection of a ContentStore. All report figures are computed from
+ * the entries; nothing is kept as a running counter.
+ */
+class RevenueLedger {
+  constructor(store) {
+    this.store = store;
+  }
+
+  entryKey(entry) {
+    return [entry.date, entry.source, entry.video_id || '', entry.amount, entry.reference || ''].join('|');
+  }
+
+  // Turn a raw record (API body or import row) into an entry, or throw
+  normalize(record, defaults = {}) {
+    const source = normalizeSource(pickColumn(record, 'source') || defaults.source);
+    const amount = parseAmount(pickColumn(record, 'amount'));
+    const date = parseDate(pickColumn(record, 'date') || defaults.date);
+
+    if (!source) throw new Error(`source must be one of: ${REVENUE_SOURCES.join(', ')}`);
+    if (Number.isNaN(amount)) throw new Error('amount must be a number');
+    if (!date) throw new Error('date must be a valid date');
+
+    return {
+      source,
+      amount: roundMoney(amount),
+      date,
+      video_id: pickColumn(record, 'video_id') || defaults.video_id || null,
+      reference: pickColumn(record, 'reference') || null,
+      platform: record.platform || defaults.platform || null
+    };
+  }
+
+  add(record, defaults = {}) {
+    const entry = this.normalize(record, defaults);
+    return this.store.insert('revenue', {
+      id: `rev-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      ...entry,
+      import_id: defaults.import_id || null
+    });
+  }
+
+  /**
+   * Import platform earnings rows (CSV text or an array of objects).
+   * Rows identical to an existing entry are skipped, so re-importing the
+   * same export is safe.
+   */
+  import({ format, data, source, platform }) {
+    const rows = format === 'csv' ? parseCsv(String(data)) : data;
+    if (!Array.isArray(rows)) throw new Error('JSON imports must be an array of records');
+
+    const importId = `import-${Date.now()}`;
+    const existing = new Set(this.store.find('revenue').map(entry => this.entryKey(entry)));
+    const summary = { import_id: importId, rows: rows.length, imported: 0, skipped_duplicates: 0, errors: [] };
+
+    rows.forEach((row, index) => {
+      try {
+        const entry = this.normalize(row, { source, platform });
+        const key = this.entryKey(entry);
+        if (existing.has(key)) {
+          summary.skipped_duplicates += 1;
+          return;
+        }
+        existing.add(key);
+        this.store.collection('revenue').push({
+          id: `rev-${Date.now()}-${index}`,
+          created_at: new Date().toISOString(),
+          ...entry,
+          import_id: importId
+        });
+        summary.imported += 1;
+      } catch (error) {
+        summary.errors.push({ row: index + 1, message: error.message });
+      }
+    });
+
+    this.store.save();
+    return summary;
+  }
+
+  list({ from, to, source, video_id } = {}) {
+    return this.store.find('revenue', entry =>
+      (!from || entry.date >= from) &&
+      (!to || entry.date <= to) &&
+      (!source || entry.source === source) &&
+      (!video_id || entry.video_id === video_id)
+    ).sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  total(filter) {
+    return roundMoney(this.list(filter).reduce((sum, entry) => sum + entry.amount, 0));
+  }
+
+  groupTotals(entries, keyFn) {
+    const totals = {};
+    for (const entry of entries) {
+      const key = keyFn(entry);
+      totals[key] = roundMoney((totals[key] || 0) + entry.amount);
+    }
+    return totals;
+  }
+
+  // Average revenue of the videos that earned anything in the filtered range
+  revenuePerVideo(filter) {
+    const byVideo = this.groupTotals(this.list(filter).filter(entry => entry.video_id), entry => entry.video_id);
+    const videos = Object.keys(byVideo);
+    if (!videos.length) return 0;
+    return roundMoney(videos.reduce((sum, video) => sum + byVideo[video], 0) / videos.length);
+  }
+
+  // Totals per YYYY-MM, oldest first
+  monthlyTotals(filter) {
+    const totals = this.groupTotals(this.list(filter), entry => entry.date.slice(0, 7));
+    return Object.keys(totals).sort().map(month => ({ month, total: totals[month] }));
+  }
+
+  summary({ month = new Date().toISOString().slice(0, 7) } = {}) {
+    const range = { from: `${month}-01`, to: `${month}-31` };
+    const monthEntries = this.list(range);
+    const allEntries = this.list();
+
+    return {
+      month,
+      monthly_total: roundMoney(monthEntries.reduce((sum, entry) => sum + entry.amount, 0)),
+      lifetime_total: roundMoney(allEntries.reduce((sum, entry) => sum + entry.amount, 0)),
+      by_source: {
+        ...Object.fromEntries(REVENUE_SOURCES.map(source => [source, 0])),
+        ...this.groupTotals(monthEntries, entry => entry.source)
+      },
+      by_video: this.groupTotals(monthEntries.filter(entry => entry.video_id), entry => entry.video_id),
+      revenue_per_video: this.revenuePerVideo(range),
+      monthly_history: this.monthlyTotals()
+    };
+  }
+}
+
+module.exports = { RevenueLedger, REVENUE_SOURCES, parseCsv };
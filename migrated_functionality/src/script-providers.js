@@ -0,0 +1,151 @@
+const axios = require('axios');
+const fs = require('fs');
+const { parseScriptSections } = require('./video-renderer');
+
+// Section structure every provider's output must follow, in order
+const REQUIRED_SECTIONS = [
+  { key: 'introduction', pattern: /^introduction\b/i },
+  { key: 'main', pattern: /^main content\b/i },
+  { key: 'conclusion', pattern: /^conclusion\b/i }
+];
+
+const DEFAULT_STYLE_PROMPTS = {
+  default: 'Write an engaging YouTube video script about "{topic}" in a {style} style, about {length} minutes long.',
+  educational: 'Write a clear, well-structured educational YouTube script that teaches "{topic}" step by step. Target length: {length} minutes.',
+  entertaining: 'Write a lively, entertaining YouTube script about "{topic}" with humour and strong hooks. Target length: {length} minutes.',
+  professional: 'Write a concise, professional YouTube script about "{topic}" for a business audience. Target length: {length} minutes.'
+};
+
+const STRUCTURE_INSTRUCTIONS = `Format the script as Markdown with exactly this structure:
+# <video title>
+## Introduction (0-30 seconds)
+## Main Content (30 seconds - {main_end} minutes)
+## Conclusion ({main_end} minutes - {length} minutes)
+Do not add any other headings.`;
+
+class ScriptValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScriptValidationError';
+  }
+}
+
+function fillPlaceholders(text, values) {
+  return text.replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match));
+}
+
+/**
+ * Style prompts, with optional overrides from the JSON file at
+ * SCRIPT_PROMPTS_PATH (`{ "<style>": "<prompt with {topic} placeholders>" }`).
+ */
+function loadStylePrompts(filePath = process.env.SCRIPT_PROMPTS_PATH) {
+  if (!filePath || !fs.existsSync(filePath)) return { ...DEFAULT_STYLE_PROMPTS };
+  return { ...DEFAULT_STYLE_PROMPTS, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+}
+
+function buildPrompt({ topic, length, style, template }, stylePrompts = loadStylePrompts()) {
+  const values = { topic, length, style, main_end: length - 1 };
+  const stylePrompt = stylePrompts[String(style).toLowerCase()] || stylePrompts.default;
+  const outline = template ? `\n\nUse this outline as a starting point:\n${template}` : '';
+  return `${fillPlaceholders(stylePrompt, values)}\n\n${fillPlaceholders(STRUCTURE_INSTRUCTIONS, values)}${outline}`;
+}
+
+/**
+ * Check that generated Markdown has the intro/main/conclusion sections in
+ * order, and return it normalised (trimmed, with a title heading).
+ */
+function validateScript(markdown, { topic, style }) {
+  const text = String(markdown || '').trim();
+  if (!text) throw new ScriptValidationError('Provider returned an empty script');
+
+  const parsed = parseScriptSections(text);
+  let cursor = 0;
+  for (const required of REQUIRED_SECTIONS) {
+    const index = parsed.sections.findIndex((section, i) => i >= cursor && required.pattern.test(section.heading));
+    if (index === -1) {
+      throw new ScriptValidationError(`Script is missing the "${required.key}" section`);
+    }
+    if (!parsed.sections[index].body) {
+      throw new ScriptValidationError(`Script section "${parsed.sections[index].heading}" is empty`);
+    }
+    cursor = index + 1;
+  }
+
+  return parsed.title ? text : `# ${topic} - ${style} Style Video Script\n\n${text}`;
+}
+
+// Default provider: returns the script rendered from the template registry
+class TemplateProvider {
+  constructor() {
+    this.name = 'template';
+  }
+
+  async generate({ template }) {
+    if (!template) throw new Error('Template provider requires a rendered template');
+    return template;
+  }
+}
+
+// Ollama-compatible HTTP provider (POST /api/generate, non-streaming)
+class OllamaProvider {
+  constructor(options = {}) {
+    this.name = 'ollama';
+    this.baseUrl = options.baseUrl || process.env.OLLAMA_URL || 'http://localhost:11434';
+    this.model = options.model || process.env.OLLAMA_MODEL || 'llama3';
+    this.timeout = options.timeout || Number(process.env.OLLAMA_TIMEOUT_MS) || 120000;
+  }
+
+  async generate({ prompt, signal }) {
+    const response = await axios.post(`${this.baseUrl}/api/generate`, {
+      model: this.model,
+      prompt,
+      stream: false
+    }, { timeout: this.timeout, signal });
+
+    return response.data.response;
+  }
+}
+
+// Deterministic provider for tests: output depends only on the inputs
+class MockProvider {
+  constructor() {
+    this.name = 'mock';
+  }
+
+  async generate({ topic, length, style }) {
+    return `# ${topic} (${style})
+
+## Introduction (0-30 seconds)
+Mock introduction for ${topic}.
+
+## Main Content (30 seconds - ${length-1} minutes)
+Mock main content for ${topic} in ${style} style.
+
+## Conclusion (${length-1} minutes - ${length} minutes)
+Mock conclusion for ${topic}.`;
+  }
+}
+
+const PROVIDERS = {
+  template: TemplateProvider,
+  ollama: OllamaProvider,
+  mock: MockProvider
+};
+
+function createScriptProvider(name = process.env.SCRIPT_PROVIDER || 'template', options = {}) {
+  const Provider = PROVIDERS[name];
+  if (!Provider) throw new Error(`Unknown script provider: ${name}`);
+  return new Provider(options);
+}
+
+module.exports = {
+  PROVIDERS,
+  ScriptValidationError,
+  TemplateProvider,
+  OllamaProvider,
+  MockProvider,
+  createScriptProvider,
+  loadStylePrompts,
+  buildPrompt,
+  validateScript
+};
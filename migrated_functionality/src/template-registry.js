@@ -0,0 +1,211 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CTA = "If you found this valuable, don't forget to like, subscribe, and hit the notification bell.";
+const PLACEHOLDERS = ['topic', 'length', 'style', 'cta', 'sponsor', 'main_end'];
+// What slugify() produces; ids from requests must match before touching the disk
+const TEMPLATE_ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+class TemplateError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TemplateError';
+    this.status = status;
+  }
+}
+
+/**
+ * Parse a seed template: `key: value` frontmatter between `---` lines,
+ * followed by the Markdown body.
+ */
+function parseTemplateFile(text) {
+  const match = text.match(/^---\n([\s\S]*?)\n---\n([\s\S]*)$/);
+  if (!match) return { meta: {}, content: text };
+
+  const meta = {};
+  for (const line of match[1].split('\n')) {
+    const separator = line.indexOf(':');
+    if (separator > 0) meta[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+  }
+  return { meta, content: match[2] };
+}
+
+/**
+ * Fill `{{name}}` placeholders. `{{#name}}...{{/name}}` blocks are kept only
+ * when the value is non-empty (used for optional sponsor segments).
+ */
+function renderTemplate(content, { topic, length, style, cta, sponsor }) {
+  const values = {
+    topic,
+    length,
+    style,
+    cta: cta || DEFAULT_CTA,
+    sponsor: sponsor || '',
+    main_end: length - 1
+  };
+
+  return content
+    .replace(/\{\{#(\w+)\}\}\n?([\s\S]*?)\{\{\/\1\}\}\n?/g, (match, key, block) => (values[key] ? block : ''))
+    .replace(/\{\{(\w+)\}\}/g, (match, key) => (key in values ? String(values[key]) : match));
+}
+
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Versioned script templates stored on disk:
+ *   <dir>/<id>/meta.json   name, style, variant, description, version list
+ *   <dir>/<id>/v<N>.md     content of version N
+ * Updating a template's content adds a version; old versions stay readable so
+ * scripts can record exactly which one produced them.
+ */
+class TemplateRegistry {
+  constructor(dir, { seedDir, validate } = {}) {
+    this.dir = dir;
+    this.validate = validate || (() => {});
+    fs.mkdirSync(dir, { recursive: true });
+    if (seedDir) this.seed(seedDir);
+  }
+
+  // Install bundled templates that are not in the registry yet
+  seed(seedDir) {
+    for (const file of fs.readdirSync(seedDir).filter(name => name.endsWith('.md'))) {
+      const id = path.basename(file, '.md');
+      if (this.has(id)) continue;
+
+      const { meta, content } = parseTemplateFile(fs.readFileSync(path.join(seedDir, file), 'utf8'));
+      this.create({ id, ...meta, content });
+    }
+  }
+
+  metaPath(id) {
+    return path.join(this.dir, id, 'meta.json');
+  }
+
+  // Ids that slugify() could not have produced (e.g. `../..`) name no template
+  has(id) {
+    return typeof id === 'string' && TEMPLATE_ID_PATTERN.test(id) && fs.existsSync(this.metaPath(id));
+  }
+
+  readMeta(id) {
+    if (!this.has(id)) return null;
+    return JSON.parse(fs.readFileSync(this.metaPath(id), 'utf8'));
+  }
+
+  writeMeta(meta) {
+    fs.mkdirSync(path.join(this.dir, meta.id), { recursive: true });
+    fs.writeFileSync(this.metaPath(meta.id), JSON.stringify(meta, null, 2));
+  }
+
+  summarize(meta) {
+    const { versions, ...rest } = meta;
+    return { ...rest, version: versions[versions.length - 1].version, versions: versions.length };
+  }
+
+  list({ style } = {}) {
+    return fs.readdirSync(this.dir)
+      .filter(id => this.has(id))
+      .map(id => this.readMeta(id))
+      .filter(meta => !style || meta.style === style)
+      .map(meta => this.summarize(meta));
+  }
+
+  versions(id) {
+    const meta = this.readMeta(id);
+    return meta ? meta.versions : null;
+  }
+
+  get(id, version) {
+    const meta = this.readMeta(id);
+    if (!meta) return null;
+
+    const entry = version
+      ? meta.versions.find(v => v.version === Number(version))
+      : meta.versions[meta.versions.length - 1];
+    if (!entry) return null;
+
+    return {
+      ...this.summarize(meta),
+      version: entry.version,
+      version_created_at: entry.created_at,
+      content: fs.readFileSync(path.join(this.dir, id, entry.file), 'utf8')
+    };
+  }
+
+  /**
+   * Pick the template for a script: an explicit id wins, otherwise the
+   * `standard` variant for the style, any variant for it, then `default`.
+   */
+  resolve({ templateId, version, style }) {
+    if (templateId) {
+      const template = this.get(templateId, version);
+      if (!template) throw new TemplateError(`Template not found: ${templateId}${version ? ` v${version}` : ''}`, 404);
+      return template;
+    }
+
+    const candidates = this.list({ style });
+    const match = candidates.find(t => t.variant === 'standard') || candidates[0];
+    return this.get(match ? match.id : 'default');
+  }
+
+  checkContent(content) {
+    if (!content || typeof content !== 'string') {
+      throw new TemplateError('Template content is required');
+    }
+    const unknown = [...content.matchAll(/\{\{[#/]?(\w+)\}\}/g)]
+      .map(match => match[1])
+      .filter(name => !PLACEHOLDERS.includes(name));
+    if (unknown.length) {
+      throw new TemplateError(`Unknown placeholders: ${[...new Set(unknown)].join(', ')}`);
+    }
+    // Render with sample values so structural problems surface at save time
+    this.validate(renderTemplate(content, { topic: 'Sample', length: 5, style: 'sample' }));
+  }
+
+  addVersion(meta, content) {
+    const version = meta.versions.length ? meta.versions[meta.versions.length - 1].version + 1 : 1;
+    const file = `v${version}.md`;
+    fs.mkdirSync(path.join(this.dir, meta.id), { recursive: true });
+    fs.writeFileSync(path.join(this.dir, meta.id, file), content);
+    meta.versions.push({ version, file, created_at: new Date().toISOString() });
+  }
+
+  create({ id, name, style, variant, description, content }) {
+    const templateId = slugify(id || name || '');
+    if (!templateId) throw new TemplateError('Template id or name is required');
+    if (this.has(templateId)) throw new TemplateError(`Template already exists: ${templateId}`, 409);
+    this.checkContent(content);
+
+    const meta = {
+      id: templateId,
+      name: name || templateId,
+      style: style || 'default',
+      variant: variant || 'standard',
+      description: description || '',
+      created_at: new Date().toISOString(),
+      versions: []
+    };
+    this.addVersion(meta, content);
+    this.writeMeta(meta);
+    return this.get(templateId);
+  }
+
+  update(id, { name, style, variant, description, content }) {
+    const meta = this.readMeta(id);
+    if (!meta) throw new TemplateError(`Template not found: ${id}`, 404);
+
+    if (content !== undefined && content !== this.get(id).content) {
+      this.checkContent(content);
+      this.addVersion(meta, content);
+    }
+    Object.assign(meta, Object.fromEntries(
+      Object.entries({ name, style, variant, description }).filter(([, value]) => value !== undefined)
+    ), { updated_at: new Date().toISOString() });
+
+    this.writeMeta(meta);
+    return this.get(id);
+  }
+}
+
+module.exports = { TemplateRegistry, TemplateError, renderTemplate, parseTemplateFile };
@@ -0,0 +1,206 @@
+const { parseScriptSections } = require('./video-renderer');
+
+// YouTube limits
+const MAX_TITLE_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 5000;
+const MAX_TAGS_LENGTH = 500;
+const MIN_CHAPTERS = 3;
+const MIN_CHAPTER_SECONDS = 10;
+
+const CATEGORIES = {
+  education: { id: '27', name: 'Education' },
+  science_technology: { id: '28', name: 'Science & Technology' },
+  howto: { id: '26', name: 'Howto & Style' },
+  entertainment: { id: '24', name: 'Entertainment' },
+  people_blogs: { id: '22', name: 'People & Blogs' }
+};
+
+const TECH_KEYWORDS = /\b(ai|tech|software|agent|automation|code|data|cloud|api|crypto|bank|finance)\b/i;
+
+const MANIFEST_COLUMNS = [
+  'video_id', 'file_path', 'title', 'description', 'tags',
+  'category_id', 'thumbnail_text', 'privacy_status', 'publish_at'
+];
+
+function truncate(text, max) {
+  return text.length <= max ? text : `${text.slice(0, max - 1).trimEnd()}…`;
+}
+
+function formatTimestamp(totalSeconds) {
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = Math.floor(totalSeconds % 60);
+  const mm = hours ? String(minutes).padStart(2, '0') : String(minutes);
+  return `${hours ? `${hours}:` : ''}${mm}:${String(seconds).padStart(2, '0')}`;
+}
+
+function toSeconds(value, unit) {
+  return /^min/i.test(unit || '') ? value * 60 : value;
+}
+
+/**
+ * Read the start time from a heading like "Main Content (30 seconds - 4 minutes)".
+ * A bare start number ("0-30 seconds") takes the unit of the end time.
+ */
+function parseHeadingStart(heading) {
+  const match = heading.match(/\(\s*([\d.]+)\s*([a-z]*)\s*-\s*[\d.]+\s*([a-z]*)\s*\)/i);
+  if (!match) return null;
+  return toSeconds(Number(match[1]), match[2] || match[3]);
+}
+
+function chapterLabel(heading) {
+  return heading.replace(/\s*\([^)]*\)\s*$/, '').trim();
+}
+
+/**
+ * Chapters from the rendered slide timeline, so they match the MP4; before a
+ * render, from the script's section timestamps. Chapters past `duration` are
+ * dropped. YouTube needs the first chapter at 0:00, at least three, and each
+ * at least ten seconds long; with fewer there are none.
+ */
+function buildChapters(script, slides = [], duration = null) {
+  let chapters = slides
+    .filter(slide => slide.kind === 'section')
+    .map(slide => ({ start: slide.start, title: chapterLabel(slide.heading) }));
+
+  if (!chapters.length) {
+    const { sections } = parseScriptSections(script || '');
+    chapters = sections
+      .map(section => ({ start: parseHeadingStart(section.heading), title: chapterLabel(section.heading) }))
+      .filter(chapter => chapter.start !== null);
+    if (chapters.length !== sections.length) return [];
+  }
+
+  chapters = chapters
+    .filter(chapter => duration === null || chapter.start < duration)
+    .sort((a, b) => a.start - b.start);
+  if (!chapters.length) return [];
+  chapters[0].start = 0;
+
+  // A chapter too short for YouTube is folded into the one before it
+  const kept = [];
+  const videoEnd = duration === null ? Infinity : duration;
+  chapters.forEach((chapter, index) => {
+    const end = index + 1 < chapters.length ? chapters[index + 1].start : videoEnd;
+    const previous = kept[kept.length - 1];
+    if (previous && (chapter.start - previous.start < MIN_CHAPTER_SECONDS || end - chapter.start < MIN_CHAPTER_SECONDS)) return;
+    kept.push(chapter);
+  });
+  return kept.length >= MIN_CHAPTERS ? kept : [];
+}
+
+function buildTitleVariants(title, topic) {
+  const year = new Date().getFullYear();
+  const subject = topic || title;
+  const variants = [
+    title,
+    `${subject}: Everything You Need to Know (${year})`,
+    `${subject} Explained in Plain English`,
+    /^how\b/i.test(subject) ? `${subject} - A Complete Guide` : `How ${subject} Works - A Complete Guide`,
+    `${title} | IZA OS`
+  ];
+  return [...new Set(variants.map(variant => truncate(variant, MAX_TITLE_LENGTH)))];
+}
+
+// Calendar tags first, then topic keywords and style; deduped, within YouTube's 500 chars
+function buildTags({ calendarTags = [], topic, style }) {
+  const candidates = [
+    ...calendarTags,
+    topic,
+    ...String(topic || '').split(/[^A-Za-z0-9]+/).filter(word => word.length > 3),
+    style
+  ].filter(Boolean).map(tag => String(tag).trim());
+
+  const tags = [];
+  const seen = new Set();
+  let length = 0;
+  for (const tag of candidates) {
+    const key = tag.toLowerCase();
+    if (seen.has(key) || length + tag.length + 1 > MAX_TAGS_LENGTH) continue;
+    seen.add(key);
+    tags.push(tag);
+    length += tag.length + 1;
+  }
+  return tags;
+}
+
+function buildThumbnailText(title) {
+  const words = title.replace(/[^\w\s$%-]/g, ' ').split(/\s+/).filter(Boolean);
+  const important = words.filter(word => word.length > 3 || /\d|\$/.test(word));
+  return (important.length >= 2 ? important : words).slice(0, 4).join(' ').toUpperCase();
+}
+
+function pickCategory({ style, topic, title }) {
+  if (style === 'educational') return CATEGORIES.education;
+  if (style === 'entertaining' || style === 'short-form') return CATEGORIES.entertainment;
+  if (TECH_KEYWORDS.test(`${topic} ${title}`)) return CATEGORIES.science_technology;
+  if (style === 'review' || style === 'listicle') return CATEGORIES.howto;
+  return CATEGORIES.people_blogs;
+}
+
+function buildDescription(base, chapters, tags) {
+  const parts = [base || ''];
+  if (chapters.length) {
+    parts.push(['Chapters:', ...chapters.map(chapter => `${formatTimestamp(chapter.start)} ${chapter.title}`)].join('\n'));
+  }
+  const hashtags = tags.slice(0, 3).map(tag => `#${tag.replace(/[^A-Za-z0-9]/g, '')}`).filter(tag => tag.length > 1);
+  if (hashtags.length) parts.push(hashtags.join(' '));
+  return truncate(parts.filter(Boolean).join('\n\n'), MAX_DESCRIPTION_LENGTH);
+}
+
+/**
+ * Upload metadata for one video, from its record, script and (when it was
+ * scheduled from the content calendar) the calendar entry's tags.
+ */
+function generateMetadata({ video, scriptRecord, script, calendarEntry }) {
+  const topic = (scriptRecord && scriptRecord.topic) || (calendarEntry && calendarEntry.title) || video.title;
+  const style = scriptRecord && scriptRecord.style;
+  const chapters = buildChapters(script, video.slides, typeof video.duration === 'number' ? video.duration : null);
+  const tags = buildTags({ calendarTags: calendarEntry ? calendarEntry.tags : [], topic, style });
+  const titleVariants = buildTitleVariants(video.title, topic);
+
+  return {
+    video_id: video.id,
+    title: titleVariants[0],
+    title_variants: titleVariants,
+    description: buildDescription(video.description || (calendarEntry && calendarEntry.description), chapters, tags),
+    chapters: chapters.map(chapter => ({ ...chapter, timestamp: formatTimestamp(chapter.start) })),
+    tags,
+    thumbnail_text: buildThumbnailText(video.title),
+    category: pickCategory({ style, topic, title: video.title }),
+    privacy_status: 'private',
+    publish_at: calendarEntry ? calendarEntry.publish_at : null,
+    generated_at: new Date().toISOString()
+  };
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Upload manifest for offline uploader tooling, as JSON or CSV
+function buildUploadManifest(entries, format = 'json') {
+  const rows = entries.map(({ video, metadata }) => ({
+    video_id: video.id,
+    file_path: video.file_path,
+    title: metadata.title,
+    description: metadata.description,
+    tags: metadata.tags,
+    category_id: metadata.category.id,
+    thumbnail_text: metadata.thumbnail_text,
+    privacy_status: metadata.privacy_status,
+    publish_at: metadata.publish_at
+  }));
+
+  if (format === 'csv') {
+    const lines = rows.map(row => MANIFEST_COLUMNS
+      .map(column => csvCell(Array.isArray(row[column]) ? row[column].join('|') : row[column]))
+      .join(','));
+    return [MANIFEST_COLUMNS.join(','), ...lines].join('\n') + '\n';
+  }
+
+  return { generated_at: new Date().toISOString(), total: rows.length, videos: rows };
+}
+
+module.exports = { CATEGORIES, generateMetadata, buildChapters, buildUploadManifest };
@@ -0,0 +1,204 @@
+const ffmpeg = require('fluent-ffmpeg');
+const path = require('path');
+const fs = require('fs');
+
+const DEFAULT_OPTIONS = {
+  width: 1280,
+  height: 720,
+  fps: 30,
+  background: '0x1E3A8A',
+  fontColor: 'white',
+  fontFile: process.env.VIDEO_FONT_FILE || null,
+  titleDuration: 4,
+  minSlideDuration: 5,
+  maxSlideDuration: 20,
+  wordsPerSecond: 2.5
+};
+
+/**
+ * Split a generated Markdown script into a title and per-heading sections.
+ * `# ` is the video title; every `## ` heading starts a new slide.
+ */
+function parseScriptSections(markdown) {
+  const lines = markdown.split('\n');
+  let title = '';
+  const sections = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (line.startsWith('## ')) {
+      current = { heading: line.slice(3).trim(), body: [] };
+      sections.push(current);
+    } else if (line.startsWith('# ') && !title) {
+      title = line.slice(2).trim();
+    } else if (line.trim() === '---') {
+      current = null; // footer metadata is not part of the video
+    } else if (current && line.trim()) {
+      current.body.push(line.trim());
+    }
+  }
+
+  return {
+    title,
+    sections: sections.map(section => ({
+      heading: section.heading,
+      body: section.body.join('\n')
+    }))
+  };
+}
+
+function wrapText(text, maxChars) {
+  const wrapped = [];
+  for (const paragraph of text.split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      if (line && (line.length + word.length + 1) > maxChars) {
+        wrapped.push(line);
+        line = word;
+      } else {
+        line = line ? `${line} ${word}` : word;
+      }
+    }
+    if (line) wrapped.push(line);
+  }
+  return wrapped.join('\n');
+}
+
+/**
+ * Lay out the title card and section slides on a timeline.
+ * Section length follows its word count so longer sections stay on screen longer.
+ */
+function buildSlides(parsed, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const slides = [{ kind: 'title', heading: parsed.title, body: '', duration: opts.titleDuration }];
+
+  for (const section of parsed.sections) {
+    const words = `${section.heading} ${section.body}`.split(/\s+/).filter(Boolean).length;
+    const duration = Math.min(
+      opts.maxSlideDuration,
+      Math.max(opts.minSlideDuration, Math.ceil(words / opts.wordsPerSecond))
+    );
+    slides.push({ kind: 'section', heading: section.heading, body: section.body, duration });
+  }
+
+  let start = 0;
+  for (const slide of slides) {
+    slide.start = start;
+    start += slide.duration;
+  }
+
+  return { slides, duration: start };
+}
+
+function escapeFilterPath(filePath) {
+  return filePath.replace(/\\/g, '/').replace(/:/g, '\\:').replace(/'/g, "\\'");
+}
+
+function drawTextFilter(textFile, { x, y, size, start, end }, opts) {
+  const parts = [
+    `textfile='${escapeFilterPath(textFile)}'`,
+    `fontcolor=${opts.fontColor}`,
+    `fontsize=${size}`,
+    `line_spacing=12`,
+    `x=${x}`,
+    `y=${y}`,
+    `enable='between(t,${start},${end})'`
+  ];
+  if (opts.fontFile) parts.unshift(`fontfile='${escapeFilterPath(opts.fontFile)}'`);
+  return `drawtext=${parts.join(':')}`;
+}
+
+/**
+ * Render a Markdown script to an MP4: a title card followed by one slide per
+ * section, with optional background audio. Text is passed to ffmpeg through
+ * temp files so script content never needs filter escaping. Aborting
+ * `signal` kills the ffmpeg process; if it is already aborted, ffmpeg is
+ * never started.
+ */
+function renderScriptVideo({ script, outputPath, audioPath, onProgress, signal, options = {} }) {
+  if (signal && signal.aborted) return Promise.reject(new Error('Render aborted before it started'));
+
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const parsed = parseScriptSections(script);
+  const { slides, duration } = buildSlides(parsed, opts);
+
+  const workDir = fs.mkdtempSync(path.join(path.dirname(outputPath), '.render-'));
+  const filters = [];
+
+  slides.forEach((slide, index) => {
+    const end = slide.start + slide.duration;
+    const headingFile = path.join(workDir, `slide-${index}-heading.txt`);
+    fs.writeFileSync(headingFile, wrapText(slide.heading, slide.kind === 'title' ? 28 : 40));
+
+    if (slide.kind === 'title') {
+      filters.push(drawTextFilter(headingFile, {
+        x: '(w-text_w)/2', y: '(h-text_h)/2', size: 64, start: slide.start, end
+      }, opts));
+      return;
+    }
+
+    filters.push(drawTextFilter(headingFile, {
+      x: 80, y: 80, size: 48, start: slide.start, end
+    }, opts));
+
+    if (slide.body) {
+      const bodyFile = path.join(workDir, `slide-${index}-body.txt`);
+      fs.writeFileSync(bodyFile, wrapText(slide.body, 60));
+      filters.push(drawTextFilter(bodyFile, {
+        x: 80, y: 200, size: 32, start: slide.start, end
+      }, opts));
+    }
+  });
+
+  const cleanup = () => fs.rmSync(workDir, { recursive: true, force: true });
+
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg()
+      .input(`color=c=${opts.background}:s=${opts.width}x${opts.height}:r=${opts.fps}:d=${duration}`)
+      .inputFormat('lavfi');
+
+    if (audioPath) {
+      command.input(audioPath).inputOptions(['-stream_loop', '-1']);
+    }
+
+    command
+      .videoFilters(filters)
+      .outputOptions([
+        '-c:v', 'libx264',
+        '-pix_fmt', 'yuv420p',
+        '-movflags', '+faststart',
+        '-t', String(duration),
+        ...(audioPath ? ['-c:a', 'aac', '-map', '0:v', '-map', '1:a'] : [])
+      ])
+      .on('progress', progress => {
+        if (!onProgress || !progress.timemark) return;
+        const [h, m, s] = progress.timemark.split(':').map(Number);
+        const seconds = (h * 3600) + (m * 60) + s;
+        onProgress(Math.min(99, Math.round((seconds / duration) * 100)));
+      })
+      .on('error', error => {
+        cleanup();
+        reject(error);
+      })
+      .on('end', () => {
+        cleanup();
+        ffmpeg.ffprobe(outputPath, (error, metadata) => {
+          if (error) return reject(error);
+          resolve({
+            outputPath,
+            duration: Number(metadata.format.duration),
+            slides: slides.map(({ kind, heading, start, duration: slideDuration }) => ({
+              kind, heading, start, duration: slideDuration
+            }))
+          });
+        });
+      })
+      .save(outputPath);
+
+    if (signal) {
+      signal.addEventListener('abort', () => command.kill('SIGKILL'), { once: true });
+    }
+  });
+}
+
+module.exports = { parseScriptSections, buildSlides, renderScriptVideo };
@@ -0,0 +1,60 @@
+// Run with: node --test migrated_functionality/test
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ContentStore } = require('../src/content-store');
+const { ContentAnalytics } = require('../src/content-analytics');
+
+function createAnalytics(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iza-analytics-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new ContentAnalytics(new ContentStore(path.join(dir, 'content.json')));
+}
+
+test('ingesting the same video and day replaces the record', t => {
+  const analytics = createAnalytics(t);
+  assert.strictEqual(analytics.ingest({ video_id: 'v1', date: '2026-03-01', views: 10 }).created, true);
+  const { record, created } = analytics.ingest({ video_id: 'v1', date: '2026-03-01', views: 25, ctr: 4 });
+
+  assert.strictEqual(created, false);
+  assert.deepStrictEqual([record.id, record.views, record.likes, record.ctr], ['v1:2026-03-01', 25, 0, 4]);
+  assert.strictEqual(analytics.list().length, 1);
+});
+
+test('aggregates with impression-weighted CTR, engagement and average watch time', t => {
+  const analytics = createAnalytics(t);
+  const totals = analytics.aggregate([
+    { views: 100, watch_time_minutes: 250, impressions: 1000, ctr: 10, likes: 8, subscribers_gained: 2 },
+    { views: 60, watch_time_minutes: 110, impressions: 3000, ctr: 2, likes: 4, subscribers_gained: 1 }
+  ]);
+
+  assert.strictEqual(totals.ctr, 4);
+  assert.strictEqual(totals.engagement_rate, 7.5);
+  assert.strictEqual(totals.average_view_duration_minutes, 2.25);
+  assert.strictEqual(totals.average_watch_time, '2:15');
+  // Without impressions the reported CTRs are averaged
+  assert.strictEqual(analytics.aggregate([{ ctr: 3 }, { ctr: 5 }, { ctr: null }]).ctr, 4);
+  assert.deepStrictEqual([analytics.aggregate([]).ctr, analytics.aggregate([]).engagement_rate], [null, 0]);
+});
+
+test('reports a range against the preceding one of the same length', t => {
+  const analytics = createAnalytics(t);
+  analytics.ingest({ video_id: 'v1', date: '2026-03-01', views: 50, likes: 5 });
+  analytics.ingest({ video_id: 'v1', date: '2026-03-08', views: 100, likes: 10, subscribers_gained: 3 });
+  analytics.ingest({ video_id: 'v2', date: '2026-03-09', views: 300, likes: 6 });
+  analytics.ingest({ video_id: 'v2', date: '2026-03-20', views: 999 });
+
+  const report = analytics.report({ from: '2026-03-08', to: '2026-03-14' });
+  assert.deepStrictEqual(report.range, { from: '2026-03-08', to: '2026-03-14', days: 7 });
+  assert.deepStrictEqual(report.previous_range, { from: '2026-03-01', to: '2026-03-07' });
+  assert.strictEqual(report.totals.views, 400);
+  assert.deepStrictEqual(report.deltas.views, { current: 400, previous: 50, change: 350, change_percent: 700 });
+  assert.deepStrictEqual(report.deltas.subscribers_gained, { current: 3, previous: 0, change: 3, change_percent: null });
+  assert.deepStrictEqual(report.daily.map(day => [day.date, day.views]), [['2026-03-08', 100], ['2026-03-09', 300]]);
+  assert.deepStrictEqual(report.per_video.map(video => [video.video_id, video.views]), [['v2', 300], ['v1', 100]]);
+
+  assert.strictEqual(analytics.report({ from: '2026-03-01', to: '2026-03-31', video_id: 'v1' }).totals.views, 150);
+  assert.strictEqual(analytics.lifetimeSubscribers(), 3);
+});
@@ -0,0 +1,115 @@
+// Run with: node --test migrated_functionality/test
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { ContentStore } = require('../src/content-store');
+const { ContentCalendar } = require('../src/content-calendar');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// A job queue that only records what was enqueued; tests emit its events
+class FakeJobs extends EventEmitter {
+  constructor() {
+    super();
+    this.enqueued = [];
+  }
+
+  enqueue(type, payload) {
+    const job = { id: `job-${this.enqueued.length + 1}`, type, payload, status: 'queued' };
+    this.enqueued.push(job);
+    return job;
+  }
+}
+
+function createCalendar(t, items, options = {}) {
+  test.mock.method(console, 'log', () => {});
+  test.mock.method(console, 'warn', () => {});
+  test.mock.method(console, 'error', () => {});
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iza-calendar-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const configPath = path.join(dir, 'calendar.json');
+  fs.writeFileSync(configPath, JSON.stringify(items));
+
+  const store = new ContentStore(path.join(dir, 'content.json'));
+  const jobs = new FakeJobs();
+  const calendar = new ContentCalendar(store, jobs, {
+    configPath,
+    startDate: '2026-11-01',
+    cadenceDays: 2,
+    leadHours: 24,
+    createVideo: ({ calendar_id }) => ({ job: jobs.enqueue('create-video', { calendar_id }), video: { id: `video-${calendar_id}` } }),
+    ...options
+  });
+  return { calendar, jobs, store };
+}
+
+test('rejects a start date that is not a date when it is configured', () => {
+  assert.throws(() => new ContentCalendar(null, new FakeJobs(), { startDate: 'next tuesday' }), /Invalid calendar start date "next tuesday"/);
+  assert.throws(() => new ContentCalendar(null, new FakeJobs(), { startDate: '2026-13-45' }), /expected a date/);
+});
+
+test('schedules entries on the cadence, keeps ids unique, and never moves them on re-sync', t => {
+  const { calendar } = createCalendar(t, [{ title: 'AI Agents!' }, { title: 'ai agents' }, { title: 'AI Agents!' }, { title: 'Vector DBs' }]);
+
+  assert.strictEqual(calendar.sync(), 3);
+  assert.deepStrictEqual(calendar.list().map(entry => [entry.id, entry.publish_at, entry.prepare_at]), [
+    ['ai-agents', '2026-11-01T15:00:00.000Z', '2026-10-31T15:00:00.000Z'],
+    ['ai-agents-2', '2026-11-03T15:00:00.000Z', '2026-11-02T15:00:00.000Z'],
+    ['vector-dbs', '2026-11-05T15:00:00.000Z', '2026-11-04T15:00:00.000Z']
+  ]);
+  assert.strictEqual(calendar.sync(), 0);
+  assert.deepStrictEqual(calendar.entryId('ai agents'), { id: 'ai-agents-2', existing: calendar.store.get('calendar', 'ai-agents-2') });
+});
+
+test('moves planned -> scripted -> rendered -> ready -> published as jobs finish and dates pass', t => {
+  const { calendar, jobs } = createCalendar(t, [{ title: 'Launch' }]);
+  calendar.sync();
+  const publishAt = Date.parse('2026-11-01T15:00:00.000Z');
+
+  calendar.tick(publishAt - 25 * HOUR_MS);
+  assert.strictEqual(jobs.enqueued.length, 0, 'nothing happens before the lead time');
+  calendar.tick(publishAt - 24 * HOUR_MS);
+  const [scriptJob] = jobs.enqueued;
+  assert.deepStrictEqual(scriptJob.payload, { topic: 'Launch', length: 10, style: 'educational', calendar_id: 'launch' });
+
+  jobs.emit('completed', { ...scriptJob, status: 'completed', result: { scriptId: 'script-1.md' } });
+  assert.strictEqual(calendar.get('launch').state, 'scripted');
+  const videoJob = jobs.enqueued[1];
+  assert.strictEqual(videoJob.type, 'create-video');
+
+  jobs.emit('completed', { ...videoJob, status: 'completed', result: { videoId: 'video-launch' } });
+  assert.strictEqual(calendar.get('launch').state, 'rendered');
+  assert.strictEqual(calendar.publish('missing'), null);
+
+  calendar.tick(publishAt - 1);
+  assert.strictEqual(calendar.get('launch').state, 'rendered');
+  calendar.tick(publishAt);
+  assert.strictEqual(calendar.get('launch').state, 'ready');
+
+  const published = calendar.publish('launch', { url: 'https://youtu.be/abc' });
+  assert.strictEqual(published.published_url, 'https://youtu.be/abc');
+  assert.deepStrictEqual(published.history.map(step => step.state), ['planned', 'scripted', 'rendered', 'ready', 'published']);
+  assert.throws(() => calendar.publish('launch'), error => error.status === 409);
+  assert.throws(() => calendar.reschedule('launch', '2026-12-01T15:00:00Z'), error => error.status === 409);
+});
+
+test('a failed step is retried after the delay, and only a rendered entry can be published', t => {
+  // Already past its lead time, so each due tick enqueues; retries are timed from the real clock
+  const { calendar, jobs } = createCalendar(t, [{ title: 'Retry me' }], { startDate: '2026-01-01', retryDelayMs: HOUR_MS });
+  calendar.sync();
+
+  calendar.tick();
+  jobs.emit('failed', { ...jobs.enqueued[0], status: 'failed', error: 'provider timeout' });
+  const failed = calendar.get('retry-me');
+  assert.strictEqual(failed.last_error, 'provider timeout');
+  assert.strictEqual(failed.script_job_id, null);
+  assert.throws(() => calendar.publish('retry-me'), error => error.status === 409 && /no rendered video/.test(error.message));
+
+  calendar.tick(Date.parse(failed.next_attempt_at) - 1);
+  assert.strictEqual(jobs.enqueued.length, 1);
+  calendar.tick(Date.parse(failed.next_attempt_at));
+  assert.strictEqual(jobs.enqueued.length, 2);
+});
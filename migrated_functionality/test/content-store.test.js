@@ -0,0 +1,75 @@
+// Run with: node --test migrated_functionality/test
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ContentStore } = require('../src/content-store');
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iza-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'nested', 'content.json');
+}
+
+const onDisk = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+test('starts empty without a file, and creates its directory on the first save', t => {
+  const file = tempFile(t);
+  const store = new ContentStore(file);
+  assert.strictEqual(store.count('scripts'), 0);
+  assert.strictEqual(store.getCounter('scripts_created'), 0);
+  assert.strictEqual(fs.existsSync(file), false);
+
+  store.insert('scripts', { id: 'a', title: 'First' });
+  assert.strictEqual(onDisk(file).collections.scripts[0].title, 'First');
+  assert.strictEqual(fs.existsSync(`${file}.tmp`), false);
+});
+
+test('records and counters survive a reload', t => {
+  const file = tempFile(t);
+  const store = new ContentStore(file);
+  const stored = store.insert('scripts', { id: 'a', title: 'First' });
+  store.insert('scripts', { id: 'b', title: 'Second' });
+  store.increment('scripts_created');
+  store.increment('revenue_cents', 250);
+
+  const reloaded = new ContentStore(file);
+  assert.deepStrictEqual(reloaded.get('scripts', 'a'), stored);
+  assert.ok(stored.created_at);
+  assert.strictEqual(reloaded.count('scripts'), 2);
+  assert.strictEqual(reloaded.getCounter('scripts_created'), 1);
+  assert.strictEqual(reloaded.getCounter('revenue_cents'), 250);
+});
+
+test('updates, finds and removes records by id', t => {
+  const file = tempFile(t);
+  const store = new ContentStore(file);
+  store.insert('videos', { id: 'v1', status: 'queued' });
+  store.insert('videos', { id: 'v2', status: 'queued' });
+
+  const updated = store.update('videos', 'v1', { status: 'rendered' });
+  assert.strictEqual(updated.status, 'rendered');
+  assert.ok(updated.updated_at);
+  assert.strictEqual(store.update('videos', 'missing', { status: 'rendered' }), null);
+  assert.deepStrictEqual(store.find('videos', video => video.status === 'queued').map(video => video.id), ['v2']);
+
+  assert.strictEqual(store.remove('videos', 'v2'), true);
+  assert.strictEqual(store.remove('videos', 'v2'), false);
+  assert.deepStrictEqual(new ContentStore(file).find('videos').map(video => [video.id, video.status]), [['v1', 'rendered']]);
+});
+
+test('deferred updates apply in memory at once and reach disk with the next save', t => {
+  const file = tempFile(t);
+  const store = new ContentStore(file);
+  store.insert('jobs', { id: 'j1', progress: 0 });
+
+  store.update('jobs', 'j1', { progress: 50 }, { defer: true });
+  assert.strictEqual(store.get('jobs', 'j1').progress, 50);
+  assert.strictEqual(onDisk(file).collections.jobs[0].progress, 0);
+  assert.ok(store.saveTimer);
+
+  store.increment('renders');
+  assert.strictEqual(onDisk(file).collections.jobs[0].progress, 50);
+  assert.strictEqual(store.saveTimer, null);
+});
@@ -0,0 +1,114 @@
+// Run with: node --test migrated_functionality/test
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { ApiError, validateInput } = require('../src/content-validation');
+const { JOB_STATUSES } = require('../src/job-queue');
+
+// The content service writes its database, templates and scripts under CONTENT_DIR
+const contentDir = fs.mkdtempSync(path.join(os.tmpdir(), 'iza-content-'));
+process.env.CONTENT_DIR = contentDir;
+delete process.env.IZA_MASTER_URL;
+const { app } = require('../src/index');
+
+let server;
+let baseUrl;
+test.before(async () => {
+  server = app.listen(0);
+  await once(server, 'listening');
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+test.after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(contentDir, { recursive: true, force: true });
+});
+
+async function request(method, url, body) {
+  const options = { method, headers: {} };
+  if (body !== undefined) {
+    options.headers['Content-Type'] = 'application/json';
+    options.body = typeof body === 'string' ? body : JSON.stringify(body);
+  }
+  const response = await fetch(baseUrl + url, options);
+  return { status: response.status, body: await response.json() };
+}
+
+test('validateInput drops unknown fields, applies defaults and lists every failure', () => {
+  const schema = {
+    name: { type: 'string', required: true, minLength: 1 },
+    count: { type: 'integer', min: 1, default: 1 },
+    kind: { type: 'string', enum: ['a', 'b'] }
+  };
+  assert.deepStrictEqual(validateInput(schema, { name: 'x', extra: true }), { name: 'x', count: 1 });
+  assert.deepStrictEqual(validateInput(schema, { name: 'x', count: '3' }, { coerceStrings: true }), { name: 'x', count: 3 });
+
+  assert.throws(() => validateInput(schema, { name: '  ', count: 1.5, kind: 'c' }), error => {
+    assert.ok(error instanceof ApiError);
+    assert.strictEqual(error.status, 400);
+    assert.strictEqual(error.code, 'validation_failed');
+    assert.deepStrictEqual(error.details, [
+      { field: 'name', message: 'must not be empty' },
+      { field: 'count', message: 'must be an integer' },
+      { field: 'kind', message: 'must be one of: a, b' }
+    ]);
+    return true;
+  });
+});
+
+test('routes answer invalid input with the validation_failed envelope', async () => {
+  const { status, body } = await request('POST', '/generate-script', { topic: '', length: 90 });
+  assert.strictEqual(status, 400);
+  assert.strictEqual(body.error.code, 'validation_failed');
+  assert.strictEqual(body.error.message, 'Request validation failed');
+  assert.deepStrictEqual(body.error.details.map(detail => detail.field), ['topic', 'length', 'style']);
+
+  const query = await request('GET', '/jobs?status=sleeping');
+  assert.strictEqual(query.status, 400);
+  assert.deepStrictEqual(query.body.error.details, [{ field: 'status', message: `must be one of: ${JOB_STATUSES.join(', ')}` }]);
+});
+
+test('malformed JSON bodies and unknown records get the same envelope', async () => {
+  const malformed = await request('POST', '/generate-script', '{"topic":');
+  assert.strictEqual(malformed.status, 400);
+  assert.deepStrictEqual(malformed.body, { error: { code: 'bad_request', message: 'Request body is not valid JSON' } });
+
+  assert.deepStrictEqual(await request('GET', '/videos/video-missing'),
+    { status: 404, body: { error: { code: 'not_found', message: 'Video not found: video-missing' } } });
+  assert.strictEqual((await request('POST', '/jobs/job-missing/cancel')).status, 404);
+  const script = await request('POST', '/create-video', { script_id: 'script-missing.md', title: 'Missing' });
+  assert.deepStrictEqual(script.body.error, { code: 'not_found', message: 'Script not found: script-missing.md' });
+});
+
+test('revenue routes reject dates and months that do not exist', async () => {
+  const entry = await request('POST', '/revenue/entries', { source: 'ad_revenue', amount: 10, date: '2026-13-45' });
+  assert.strictEqual(entry.status, 400);
+  assert.deepStrictEqual(entry.body.error.details, [{ field: 'date', message: 'is not a valid date' }]);
+
+  const month = await request('GET', '/revenue?month=2026-13');
+  assert.deepStrictEqual(month.body.error.details, [{ field: 'month', message: 'is not a valid month' }]);
+  assert.deepStrictEqual((await request('GET', '/revenue?month=March')).body.error.details,
+    [{ field: 'month', message: 'must be YYYY-MM' }]);
+  assert.deepStrictEqual((await request('GET', '/revenue/entries?from=2026-02-30')).body.error.details,
+    [{ field: 'from', message: 'is not a valid date' }]);
+
+  assert.strictEqual((await request('POST', '/revenue/entries', { source: 'ad_revenue', amount: 10, date: '2026-12-01' })).status, 201);
+  assert.strictEqual((await request('GET', '/revenue?month=2026-12')).body.monthly_revenue, 10);
+});
+
+test('analytics rejects impossible and reversed ranges, and lists every bad metric', async () => {
+  assert.deepStrictEqual((await request('GET', '/analytics?from=2026-02-30')).body.error.details,
+    [{ field: 'from', message: 'is not a valid date' }]);
+  assert.deepStrictEqual((await request('GET', '/analytics?from=2026-03-10&to=2026-03-01')).body.error.details,
+    [{ field: 'from', message: 'must not be after to' }]);
+
+  const ingest = await request('POST', '/analytics/metrics', { metrics: [{ video_id: 'v1', date: '2026-03-01' }, { date: '2026-13-01', views: -1 }] });
+  assert.strictEqual(ingest.status, 400);
+  assert.deepStrictEqual(ingest.body.error.details.map(detail => detail.field), ['metrics[1].video_id', 'metrics[1].date', 'metrics[1].views']);
+
+  const stored = await request('POST', '/analytics/metrics', { video_id: 'v1', date: '2026-03-01', views: 40, likes: 2 });
+  assert.deepStrictEqual([stored.status, stored.body.created], [201, 1]);
+  assert.strictEqual((await request('GET', '/analytics?from=2026-03-01&to=2026-03-01')).body.totals.views, 40);
+});
@@ -0,0 +1,173 @@
+// Run with: node --test migrated_functionality/test
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { AlertManager, createNotifier } = require('../src/iza-os-alerts');
+
+// Keep alert log lines out of the test report
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'error', () => {});
+
+const RULES = [
+  { name: 'service-offline', type: 'service-offline', checks: 2, severity: 'critical' },
+  { name: 'slow-service', type: 'latency', thresholdMs: 500, checks: 1, severity: 'warning' }
+];
+
+// A manager whose single notifier records what it was sent
+function createManager({ dedupWindowMs = 60000, filePath } = {}) {
+  const manager = new AlertManager({ config: { rules: RULES, notifiers: [], dedupWindowMs }, filePath });
+  const sent = [];
+  manager.notifiers = [{ name: 'stub', minSeverity: 'info', rules: null, send: async alert => sent.push({ ...alert }) }];
+  return { manager, sent };
+}
+
+const down = failures => ({ name: 'api', consecutiveFailures: failures, reason: 'ECONNREFUSED', latencyMs: 1 });
+const up = latencyMs => ({ name: 'api', consecutiveFailures: 0, latencyMs });
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iza-alerts-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'alerts.json');
+}
+
+test('fires once a service fails the configured number of checks, and resolves on recovery', async () => {
+  const { manager, sent } = createManager();
+
+  manager.evaluateHealth([down(1)]);
+  assert.strictEqual(manager.active.size, 0);
+
+  manager.evaluateHealth([down(2)]);
+  manager.evaluateHealth([down(3)]);
+  assert.strictEqual(manager.active.size, 1);
+  assert.strictEqual(manager.list({ status: 'firing' }).length, 1);
+
+  manager.evaluateHealth([up(10)]);
+  await new Promise(setImmediate);
+  assert.strictEqual(manager.active.size, 0);
+  assert.deepStrictEqual(sent.map(alert => alert.status), ['firing', 'resolved']);
+  assert.strictEqual(manager.list()[0].status, 'resolved');
+});
+
+test('a repeat within the dedup window is recorded but not notified', async () => {
+  const { manager, sent } = createManager();
+
+  manager.evaluateHealth([down(2)]);
+  manager.evaluateHealth([up(10)]);
+  manager.evaluateHealth([down(2)]);
+  await new Promise(setImmediate);
+
+  const [repeat, first] = manager.list();
+  assert.strictEqual(first.deduplicated, false);
+  assert.strictEqual(repeat.deduplicated, true);
+  assert.strictEqual(repeat.notified, false);
+  assert.deepStrictEqual(sent.map(alert => alert.status), ['firing', 'resolved']);
+
+  // Unannounced alerts resolve quietly too
+  manager.evaluateHealth([up(10)]);
+  await new Promise(setImmediate);
+  assert.strictEqual(sent.length, 2);
+});
+
+test('a repeat after the dedup window is notified again', async () => {
+  const { manager, sent } = createManager({ dedupWindowMs: 0 });
+
+  manager.evaluateHealth([down(2)]);
+  manager.evaluateHealth([up(10)]);
+  manager.evaluateHealth([down(2)]);
+  await new Promise(setImmediate);
+
+  assert.deepStrictEqual(sent.map(alert => alert.status), ['firing', 'resolved', 'firing']);
+});
+
+test('dedup survives a restart', async t => {
+  const filePath = tempFile(t);
+  const first = createManager({ filePath });
+  first.manager.evaluateHealth([down(2)]);
+  first.manager.evaluateHealth([up(10)]);
+  await new Promise(setImmediate);
+
+  const second = createManager({ filePath });
+  second.manager.evaluateHealth([down(2)]);
+  await new Promise(setImmediate);
+  assert.strictEqual(second.manager.list()[0].deduplicated, true);
+  assert.strictEqual(second.sent.length, 0);
+});
+
+test('silences suppress matching alerts only while they are active', async () => {
+  const { manager, sent } = createManager();
+  const silence = manager.addSilence({ rule: 'service-offline', subject: 'api', durationMinutes: 5 }, 'tester');
+
+  manager.evaluateHealth([down(2), { ...down(2), name: 'db' }]);
+  await new Promise(setImmediate);
+  const api = manager.list({ subject: 'api' })[0];
+  assert.strictEqual(api.silencedBy, silence.id);
+  assert.strictEqual(api.notified, false);
+  assert.deepStrictEqual(sent.map(alert => alert.subject), ['db']);
+
+  assert.strictEqual(manager.silenceFor('service-offline', 'api', Date.parse(silence.endsAt)), null);
+  assert.strictEqual(manager.silenceFor('slow-service', 'api'), null);
+});
+
+test('silences are validated', () => {
+  const { manager } = createManager();
+  assert.throws(() => manager.addSilence({ rule: 'nope', durationMinutes: 5 }), { status: 400 });
+  assert.throws(() => manager.addSilence({ startsAt: '2026-01-02T00:00:00Z', endsAt: '2026-01-01T00:00:00Z' }), { status: 400 });
+  assert.throws(() => manager.addSilence({}), { status: 400 });
+  assert.throws(() => manager.removeSilence('silence-missing'), { status: 404 });
+});
+
+test('expired silences stay listed after a save', t => {
+  const { manager } = createManager({ filePath: tempFile(t) });
+  const start = Date.now() - 60 * 60 * 1000;
+  const silence = manager.addSilence({ startsAt: new Date(start).toISOString(), durationMinutes: 1 });
+  manager.save();
+
+  assert.deepStrictEqual(manager.listSilences(), []);
+  assert.deepStrictEqual(manager.listSilences({ includeExpired: true }).map(item => item.id), [silence.id]);
+});
+
+test('latency alerts need the configured slow checks and skip failed checks', () => {
+  const { manager } = createManager();
+  manager.evaluateHealth([up(800)]);
+  assert.ok(manager.active.has('slow-service:api'));
+  manager.evaluateHealth([up(100)]);
+  assert.ok(!manager.active.has('slow-service:api'));
+  manager.evaluateHealth([down(1)]);
+  assert.strictEqual(manager.active.size, 0);
+});
+
+test('notifier failures are recorded on the alert', async () => {
+  const { manager } = createManager();
+  manager.notifiers = [{ name: 'broken', minSeverity: 'info', rules: null, send: async () => { throw new Error('boom'); } }];
+  manager.evaluateHealth([down(2)]);
+  await new Promise(resolve => setTimeout(resolve, 10));
+  assert.deepStrictEqual(manager.list()[0].notifications.map(({ notifier, ok, error }) => ({ notifier, ok, error })), [
+    { notifier: 'broken', ok: false, error: 'boom' }
+  ]);
+});
+
+test('the webhook notifier posts a Slack-style message', async t => {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push(JSON.parse(body));
+      res.end('ok');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  const notifier = createNotifier({ type: 'webhook', url: `http://127.0.0.1:${server.address().port}/hook` });
+  await notifier.send({ status: 'firing', severity: 'critical', rule: 'service-offline', subject: 'api', message: 'Offline' });
+  assert.deepStrictEqual(received, [{ text: '🚨 [FIRING] service-offline – api: Offline' }]);
+});
+
+test('notifiers without a target are off', () => {
+  assert.strictEqual(createNotifier({ type: 'webhook', url: '' }), null);
+  assert.throws(() => createNotifier({ type: 'pager' }), /Unknown notifier type/);
+});
@@ -0,0 +1,135 @@
+// Run with: node --test migrated_functionality/test
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AuthManager, AuthError, hasRole, parseCookies } = require('../src/iza-os-auth');
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iza-auth-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'auth.json');
+}
+
+const request = ({ headers = {}, url = '/' } = {}) => ({ headers, url });
+
+const rejects = (fn, status, message) => assert.throws(fn,
+  error => error instanceof AuthError && error.status === status && (!message || message.test(error.message)));
+
+// Runs requireRole(role) and reports what it answered, or 'next'
+function runMiddleware(auth, role, req) {
+  let outcome = null;
+  const res = {
+    status(code) {
+      outcome = { status: code };
+      return this;
+    },
+    json(body) {
+      outcome.body = body;
+    }
+  };
+  auth.requireRole(role)(req, res, () => {
+    outcome = 'next';
+  });
+  return outcome;
+}
+
+test('parses cookies, keeping "=" in values and skipping malformed ones', () => {
+  assert.deepStrictEqual(parseCookies('a=1; iza_session=tok%20en; b=x=y'), { a: '1', iza_session: 'tok en', b: 'x=y' });
+  assert.deepStrictEqual(parseCookies('iza_session=%; other=%E0%A4%A; ok=1'), { ok: '1' });
+  assert.deepStrictEqual(parseCookies('=orphan; flag; '), {});
+  assert.deepStrictEqual(parseCookies(), {});
+});
+
+test('a malformed session cookie is unauthenticated rather than an error', () => {
+  const auth = new AuthManager();
+  assert.strictEqual(auth.authenticate(request({ headers: { cookie: 'iza_session=%' } })), null);
+  assert.strictEqual(auth.authenticate(request({ headers: { cookie: 'iza_session=%' }, url: '//[' }), { allowQueryToken: true }), null);
+});
+
+test('bootstraps an admin once and validates new users', t => {
+  const auth = new AuthManager({ filePath: tempFile(t) });
+  const initial = auth.bootstrap();
+  assert.strictEqual(initial.username, 'admin');
+  assert.ok(initial.password.length >= 8);
+  assert.strictEqual(auth.bootstrap('another-password'), null);
+
+  rejects(() => auth.createUser({ username: 'bad name', password: 'long-enough' }), 400, /username/);
+  rejects(() => auth.createUser({ username: 'dev', password: 'short' }), 400, /password/);
+  rejects(() => auth.createUser({ username: 'dev', password: 'long-enough', role: 'root' }), 400, /role/);
+  rejects(() => auth.createUser({ username: 'admin', password: 'long-enough' }), 409);
+
+  const user = auth.createUser({ username: 'dev', password: 'long-enough', role: 'operator' });
+  assert.deepStrictEqual(Object.keys(user).sort(), ['createdAt', 'role', 'username']);
+  assert.ok(auth.listUsers().every(listed => !('passwordHash' in listed)));
+});
+
+test('sessions come from a login and end on logout or expiry', t => {
+  const auth = new AuthManager({ filePath: tempFile(t) });
+  auth.createUser({ username: 'dev', password: 'long-enough', role: 'operator' });
+
+  rejects(() => auth.login('dev', 'wrong-password'), 401);
+  rejects(() => auth.login('nobody', 'long-enough'), 401);
+  rejects(() => auth.login('dev', undefined), 401);
+
+  const session = auth.login('dev', 'long-enough');
+  assert.deepStrictEqual(session.user, { username: 'dev', role: 'operator' });
+  const byCookie = auth.authenticate(request({ headers: { cookie: `theme=dark; iza_session=${session.token}` } }));
+  assert.deepStrictEqual(byCookie, { name: 'dev', role: 'operator', via: 'session', token: session.token });
+  assert.strictEqual(auth.authenticate(request({ headers: { authorization: `Bearer ${session.token}` } })).name, 'dev');
+
+  auth.logout(session.token);
+  assert.strictEqual(auth.authenticate(request({ headers: { authorization: `Bearer ${session.token}` } })), null);
+
+  const expiring = auth.login('dev', 'long-enough');
+  auth.sessions.get(expiring.token).expiresAt = Date.now() - 1;
+  assert.strictEqual(auth.authenticateSession(expiring.token), null);
+  assert.strictEqual(auth.sessions.has(expiring.token), false);
+});
+
+test('API keys authenticate by header, store only a hash and can be revoked', t => {
+  const file = tempFile(t);
+  const auth = new AuthManager({ filePath: file });
+  const { key, apiKey } = auth.createApiKey({ name: ' ci ', role: 'operator', createdBy: 'admin' });
+  assert.ok(key.startsWith('iza_'));
+  assert.strictEqual(apiKey.name, 'ci');
+  assert.strictEqual(fs.readFileSync(file, 'utf8').includes(key), false);
+  rejects(() => auth.createApiKey({ name: '' }), 400);
+
+  const principal = auth.authenticate(request({ headers: { 'x-api-key': key } }));
+  assert.deepStrictEqual(principal, { name: 'ci', role: 'operator', via: 'api-key', keyId: apiKey.id });
+  assert.strictEqual(auth.authenticate(request({ headers: { authorization: `Bearer ${key}` } })).keyId, apiKey.id);
+  assert.strictEqual(auth.authenticate(request({ headers: { 'x-api-key': 'iza_unknown' } })), null);
+
+  // Usage is persisted, so a restart still knows when the key was last used
+  assert.ok(new AuthManager({ filePath: file }).listApiKeys()[0].lastUsedAt);
+
+  assert.strictEqual(auth.revokeApiKey(apiKey.id).id, apiKey.id);
+  rejects(() => auth.revokeApiKey(apiKey.id), 404);
+  assert.strictEqual(auth.authenticate(request({ headers: { 'x-api-key': key } })), null);
+});
+
+test('a token query parameter only counts when allowed (WebSocket upgrades)', () => {
+  const auth = new AuthManager();
+  const { key } = auth.createApiKey({ name: 'socket' });
+  const req = request({ url: `/?token=${key}` });
+
+  assert.strictEqual(auth.authenticate(req), null);
+  assert.strictEqual(auth.authenticate(req, { allowQueryToken: true }).name, 'socket');
+});
+
+test('roles are ordered viewer < operator < admin, and requireRole answers 401/403', () => {
+  assert.ok(hasRole('admin', 'operator'));
+  assert.ok(hasRole('operator', 'operator'));
+  assert.ok(!hasRole('viewer', 'operator'));
+
+  const auth = new AuthManager();
+  const viewer = auth.createApiKey({ name: 'viewer' }).key;
+  const admin = auth.createApiKey({ name: 'admin', role: 'admin' }).key;
+
+  assert.deepStrictEqual(runMiddleware(auth, 'viewer', request()), { status: 401, body: { error: 'Authentication required' } });
+  assert.deepStrictEqual(runMiddleware(auth, 'operator', request({ headers: { 'x-api-key': viewer } })),
+    { status: 403, body: { error: 'Requires operator role' } });
+  assert.strictEqual(runMiddleware(auth, 'operator', request({ headers: { 'x-api-key': admin } })), 'next');
+});
@@ -0,0 +1,190 @@
+// Run with: node --test migrated_functionality/test
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { DeploymentEngine, DeploymentError } = require('../src/iza-os-deployer');
+
+function tempDir(t) {
+  const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'iza-deployer-')));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const git = (cwd, ...args) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], { cwd, encoding: 'utf8' }).trim();
+
+function initRepository(dir) {
+  fs.mkdirSync(path.join(dir, 'service'), { recursive: true });
+  git(dir, 'init', '-q', '-b', 'main');
+}
+
+// Commit a new VERSION file and return the commit's SHA
+function commitVersion(dir, version) {
+  fs.writeFileSync(path.join(dir, 'VERSION'), version);
+  git(dir, 'add', '-A');
+  git(dir, 'commit', '-q', '-m', version);
+  return git(dir, 'rev-parse', 'HEAD');
+}
+
+function createEngine(dir, components) {
+  return new DeploymentEngine({ config: { components, source: path.join(dir, 'deployments.json') } });
+}
+
+// Resolves with the deployment once the engine reports it finished
+function finished(engine, deployment) {
+  return new Promise(resolve => {
+    const onFinished = done => {
+      if (done.id !== deployment.id) return;
+      engine.off('finished', onFinished);
+      resolve(done);
+    };
+    engine.on('finished', onFinished);
+  });
+}
+
+const deploy = (engine, component, options) => {
+  const deployment = engine.deploy(component, options);
+  return finished(engine, deployment);
+};
+
+test('rolls a top-level repository back to the SHA its last known-good deployment recorded', async t => {
+  const dir = tempDir(t);
+  initRepository(dir);
+  const first = commitVersion(dir, '1.0.0');
+  const engine = createEngine(dir, { app: { cwd: dir, steps: [{ name: 'Show version', run: 'cat VERSION' }] } });
+
+  const good = await deploy(engine, 'app');
+  assert.strictEqual(good.status, 'succeeded');
+  assert.deepStrictEqual(good.releases, [{ component: 'app', sha: first, branch: 'main', version: null, enclosingRepository: null }]);
+
+  commitVersion(dir, '2.0.0');
+  await deploy(engine, 'app');
+
+  const rollback = engine.rollback('app');
+  assert.strictEqual(rollback.rollbackOf, good.id);
+  assert.strictEqual(rollback.steps[0].command, `git checkout --detach ${first}`);
+  assert.strictEqual((await finished(engine, rollback)).status, 'succeeded');
+  assert.strictEqual(git(dir, 'rev-parse', 'HEAD'), first);
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'VERSION'), 'utf8'), '1.0.0');
+});
+
+test('refuses to roll back a component in a subdirectory of a larger repository', async t => {
+  const dir = tempDir(t);
+  initRepository(dir);
+  commitVersion(dir, '1.0.0');
+  const cwd = path.join(dir, 'service');
+  const engine = createEngine(dir, { service: { cwd, steps: [{ name: 'Deploy', run: 'echo deployed' }] } });
+  fs.writeFileSync(path.join(cwd, 'package.json'), JSON.stringify({ version: '1.0.0' }));
+
+  const first = await deploy(engine, 'service');
+  assert.deepStrictEqual(first.releases, [{ component: 'service', sha: null, branch: null, version: '1.0.0', enclosingRepository: dir }]);
+
+  const head = commitVersion(dir, '2.0.0');
+  fs.writeFileSync(path.join(cwd, 'package.json'), JSON.stringify({ version: '2.0.0' }));
+  await deploy(engine, 'service');
+
+  assert.throws(() => engine.rollback('service'),
+    error => error instanceof DeploymentError && error.status === 409 && /unsupported for service/.test(error.message));
+  // The enclosing repository (and everything else in it) is left alone
+  assert.strictEqual(git(dir, 'rev-parse', 'HEAD'), head);
+});
+
+test('rollback needs a succeeded deployment of the same component', async t => {
+  const dir = tempDir(t);
+  initRepository(dir);
+  commitVersion(dir, '1.0.0');
+  const engine = createEngine(dir, {
+    app: { cwd: dir, steps: [{ run: 'true' }] },
+    broken: { cwd: dir, steps: [{ run: 'exit 3' }] }
+  });
+
+  assert.throws(() => engine.rollback('app'), error => error.status === 409 && /No earlier known-good/.test(error.message));
+  const failed = await deploy(engine, 'broken');
+  assert.strictEqual(failed.exitCode, 3);
+  assert.throws(() => engine.rollback('broken', { deploymentId: failed.id }), error => error.status === 409 && /did not succeed/.test(error.message));
+  assert.throws(() => engine.rollback('app', { deploymentId: failed.id }), error => error.status === 404);
+});
+
+test('runs declared steps in order, streaming output, and stops at the first failure', async t => {
+  const dir = tempDir(t);
+  const historyPath = path.join(dir, 'state', 'deployments.json');
+  const engine = new DeploymentEngine({
+    historyPath,
+    config: {
+      source: path.join(dir, 'deployments.json'),
+      composeCommand: 'echo compose',
+      components: {
+        api: {
+          env: { GREETING: 'hello' },
+          steps: [
+            { name: 'Greet', run: 'echo "$GREETING from $(basename "$PWD")"; echo oops >&2' },
+            { compose: 'stack.yml' },
+            { run: 'exit 7' },
+            { name: 'Never', run: 'echo unreachable' }
+          ]
+        }
+      }
+    }
+  });
+  const lines = [];
+  engine.on('log', entry => lines.push([entry.step, entry.stream, entry.line]));
+
+  const deployment = await deploy(engine, 'api', { triggeredBy: 'admin' });
+  assert.strictEqual(deployment.status, 'failed');
+  assert.strictEqual(deployment.exitCode, 7);
+  assert.strictEqual(deployment.error, 'Step "api step 3" exited with code 7');
+  assert.deepStrictEqual(deployment.steps.map(step => [step.name, step.status]),
+    [['Greet', 'succeeded'], ['api step 2', 'succeeded'], ['api step 3', 'failed'], ['Never', 'skipped']]);
+  assert.strictEqual(deployment.steps[1].command, 'echo compose -f stack.yml up -d');
+  assert.deepStrictEqual(lines.slice(0, 3).sort(), [
+    ['Greet', 'stderr', 'oops'],
+    ['Greet', 'stdout', `hello from ${path.basename(dir)}`],
+    ['api step 2', 'stdout', 'compose -f stack.yml up -d']
+  ].sort());
+
+  // History survives a restart, and a deployment cut off mid-run is marked failed
+  const saved = JSON.parse(fs.readFileSync(historyPath, 'utf8'));
+  saved.push({ ...saved[0], id: 'deploy-interrupted', status: 'running' });
+  fs.writeFileSync(historyPath, JSON.stringify(saved));
+  const restarted = new DeploymentEngine({ historyPath, config: { components: {} } });
+  assert.deepStrictEqual(restarted.list().map(item => [item.id, item.status]), [['deploy-interrupted', 'failed'], [deployment.id, 'failed']]);
+  assert.strictEqual(restarted.get('deploy-interrupted').error, 'Interrupted by server restart');
+});
+
+test('composite components deploy their parts in order and lock each of them', async t => {
+  const dir = tempDir(t);
+  const engine = createEngine(dir, {
+    web: { steps: [{ name: 'Build web', npm: 'build' }] },
+    worker: { steps: [{ name: 'Start worker', run: 'sleep 0.2' }] },
+    stack: { components: ['worker', 'web'] },
+    loop: { components: ['loop'] }
+  });
+
+  const running = engine.deploy('stack');
+  assert.deepStrictEqual(running.steps.map(step => [step.component, step.command]), [['worker', 'sleep 0.2'], ['web', 'npm run build']]);
+  assert.throws(() => engine.deploy('worker'), error => error.status === 409 && /worker is already being deployed/.test(error.message));
+  assert.throws(() => engine.deploy('missing'), error => error.status === 404);
+  assert.throws(() => engine.deploy('loop'), error => error.status === 400 && /Circular/.test(error.message));
+  await finished(engine, running);
+  assert.strictEqual(engine.deploy('worker').status, 'running', 'the lock is released when the composite finishes');
+  await finished(engine, engine.list({ component: 'worker' })[0]);
+});
+
+test('reports a missing working directory and kills a step that times out', async t => {
+  const dir = tempDir(t);
+  const engine = createEngine(dir, {
+    gone: { cwd: path.join(dir, 'missing'), steps: [{ name: 'Build', run: 'true' }] },
+    slow: { steps: [{ name: 'Hang', run: 'sleep 30', timeoutMs: 100 }] }
+  });
+
+  const gone = await deploy(engine, 'gone');
+  assert.strictEqual(gone.error, `Step "Build": working directory not found: ${path.join(dir, 'missing')}`);
+
+  const startedAt = Date.now();
+  const slow = await deploy(engine, 'slow');
+  assert.strictEqual(slow.error, 'Step "Hang" timed out after 100ms');
+  assert.strictEqual(slow.steps[0].status, 'failed');
+  assert.ok(Date.now() - startedAt < 5000, 'SIGTERM to the process group ends the step without waiting for SIGKILL');
+});
@@ -0,0 +1,92 @@
+// Run with: node --test migrated_functionality/test
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { loadDiscoveryConfig, discoverComponents, matchesGlob } = require('../src/iza-os-discovery');
+
+function tempDir(t) {
+  const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'iza-discovery-')));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Create `dir/name` with the given files ({ relativePath: content })
+function component(dir, name, files = {}) {
+  const root = path.join(dir, name);
+  fs.mkdirSync(root, { recursive: true });
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), content);
+  }
+  return root;
+}
+
+// Settings from env only: IZA_DISCOVERY_CONFIG points at a file that does not exist
+const configFrom = (dir, env) => loadDiscoveryConfig({ IZA_DISCOVERY_CONFIG: path.join(dir, 'none.json'), ...env });
+
+test('matches globs against the directory name, or the full path when they contain a slash', () => {
+  assert.ok(matchesGlob('/srv/iza-os-api', 'iza-*'));
+  assert.ok(matchesGlob('/srv/genix', '{genix,memu}'));
+  assert.ok(!matchesGlob('/srv/iza-os-api', 'iza-?'));
+  assert.ok(matchesGlob('/srv/repos/api', '/srv/**/api'));
+  assert.ok(!matchesGlob('/srv/repos/api', '/srv/*'));
+});
+
+test('reads typed roots and globs from the environment', t => {
+  const dir = tempDir(t);
+  const config = configFrom(dir, {
+    IZA_DISCOVERY_ROOTS: [`${dir}/repos`, `iza-folder=${dir}`].join(path.delimiter),
+    IZA_DISCOVERY_EXCLUDE: '.*, node_modules, archive-*',
+    IZA_DISCOVERY_NAME_FILTERS: 'iza-os'
+  });
+
+  assert.deepStrictEqual(config.roots, [{ path: `${dir}/repos`, type: 'repository' }, { path: dir, type: 'iza-folder' }]);
+  assert.deepStrictEqual(config.exclude, ['.*', 'node_modules', 'archive-*']);
+  assert.deepStrictEqual(config.nameFilters, ['iza-os']);
+  assert.strictEqual(config.source, null);
+});
+
+test('rejects root types it does not know', t => {
+  const dir = tempDir(t);
+  assert.throws(() => configFrom(dir, { IZA_DISCOVERY_ROOTS: `repo=${dir}` }), /Unknown discovery root type "repo"/);
+
+  const file = path.join(dir, 'discovery.json');
+  fs.writeFileSync(file, JSON.stringify({ roots: [{ path: dir, type: 'folder' }] }));
+  assert.throws(() => loadDiscoveryConfig({ IZA_DISCOVERY_CONFIG: file }), /expected repository or iza-folder/);
+});
+
+test('inspects package, git and language facts, once per directory', async t => {
+  const dir = tempDir(t);
+  const repos = path.join(dir, 'repos');
+  const api = component(repos, 'api', { 'package.json': JSON.stringify({ name: '@iza/api', version: '2.1.0' }) });
+  execFileSync('git', ['init', '-q', '-b', 'main'], { cwd: api });
+  execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-q', '--allow-empty', '-m', 'init'], { cwd: api });
+  component(repos, 'scripts', { 'src/run.py': '', 'src/util.py': '', 'notes.sh': '' });
+  component(repos, 'node_modules');
+  component(dir, 'iza-os-memory', { 'main.go': '' });
+  component(dir, 'unrelated');
+
+  const config = configFrom(dir, { IZA_DISCOVERY_ROOTS: [repos, `iza-folder=${dir}`, repos].join(path.delimiter) });
+  const components = await discoverComponents(config);
+
+  assert.deepStrictEqual(components.map(found => [found.name, found.type, found.language]),
+    [['api', 'repository', 'JavaScript'], ['scripts', 'repository', 'Python'], ['iza-os-memory', 'iza-folder', 'Go']]);
+  const [withGit, withoutGit] = components;
+  assert.deepStrictEqual(withGit.package, { name: '@iza/api', version: '2.1.0', description: null });
+  assert.strictEqual(withGit.git.branch, 'main');
+  assert.match(withGit.git.head, /^[0-9a-f]{40}$/);
+  assert.strictEqual(withoutGit.git, null, 'a directory that is not a git work tree has no git facts');
+});
+
+test('a zero, negative, missing or fractional inspectConcurrency still inspects every candidate', async t => {
+  const dir = tempDir(t);
+  for (const name of ['a', 'b', 'c']) component(dir, name);
+
+  for (const inspectConcurrency of [0, -2, undefined, 1.5]) {
+    const config = { ...configFrom(dir, { IZA_DISCOVERY_ROOTS: dir }), inspectConcurrency };
+    assert.deepStrictEqual((await discoverComponents(config)).map(found => found.name).sort(), ['a', 'b', 'c']);
+  }
+});
@@ -0,0 +1,149 @@
+// Run with: node --test migrated_functionality/test
+const test = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const WebSocket = require('ws');
+const { EventHub, TOPICS, PROTOCOL_VERSION } = require('../src/iza-os-events');
+
+// A WebSocket server on a free port with an EventHub attached to every client
+async function createHub(t, options = {}) {
+  const wss = new WebSocket.Server({ port: 0 });
+  await once(wss, 'listening');
+  const hub = new EventHub({ wss, ...options });
+  wss.on('connection', ws => hub.attach(ws));
+  t.after(() => new Promise(resolve => {
+    wss.clients.forEach(ws => ws.terminate());
+    wss.close(resolve);
+  }));
+  return { hub, url: `ws://localhost:${wss.address().port}` };
+}
+
+// A client whose messages are read in order with next()
+async function connect(url) {
+  const ws = new WebSocket(url);
+  const queue = [];
+  const waiting = [];
+  ws.on('message', raw => {
+    const message = JSON.parse(raw);
+    if (waiting.length) waiting.shift()(message);
+    else queue.push(message);
+  });
+  await once(ws, 'open');
+  return {
+    ws,
+    send: message => ws.send(typeof message === 'string' ? message : JSON.stringify(message)),
+    next: () => (queue.length ? Promise.resolve(queue.shift()) : new Promise(resolve => waiting.push(resolve)))
+  };
+}
+
+async function subscribed(url, topics, extra = {}) {
+  const client = await connect(url);
+  await client.next(); // hello
+  client.send({ type: 'subscribe', topics, ...extra });
+  await client.next(); // subscribed
+  return client;
+}
+
+test('greets every client with the protocol version, boot id, topics and last event id', async t => {
+  const { hub, url } = await createHub(t, { heartbeatMs: 1234 });
+  hub.publish('health', 'service.transition', { name: 'api' });
+  const client = await connect(url);
+
+  assert.deepStrictEqual(await client.next(), {
+    v: PROTOCOL_VERSION,
+    type: 'hello',
+    bootId: hub.bootId,
+    topics: TOPICS,
+    heartbeatMs: 1234,
+    lastEventId: 1
+  });
+  client.ws.close();
+});
+
+test('delivers events only on subscribed topics, until unsubscribed', async t => {
+  const { hub, url } = await createHub(t);
+  const client = await connect(url);
+  await client.next();
+
+  client.send({ type: 'subscribe', topics: ['health', 'jobs'] });
+  assert.deepStrictEqual((await client.next()).topics, ['health', 'jobs']);
+
+  hub.publish('deployments', 'deployment.started', { deploymentId: 'd1' });
+  hub.publish('jobs', 'job.queued', { jobId: 'j1' });
+  const event = await client.next();
+  assert.strictEqual(event.id, 2);
+  assert.strictEqual(event.topic, 'jobs');
+  assert.strictEqual(event.type, 'job.queued');
+  assert.deepStrictEqual(event.data, { jobId: 'j1' });
+
+  client.send({ type: 'unsubscribe', topics: ['jobs'] });
+  assert.deepStrictEqual((await client.next()).topics, ['health']);
+  hub.publish('jobs', 'job.started', { jobId: 'j1' });
+  client.send({ type: 'ping' });
+  assert.deepStrictEqual(await client.next(), { v: PROTOCOL_VERSION, type: 'pong', lastEventId: 3 });
+  client.ws.close();
+});
+
+test('replays missed events after `since` on the same boot', async t => {
+  const { hub, url } = await createHub(t);
+  hub.publish('health', 'service.transition', { n: 1 });
+  hub.publish('jobs', 'job.queued', { n: 2 });
+  hub.publish('health', 'service.transition', { n: 3 });
+
+  const client = await subscribed(url, ['health'], { since: 1, bootId: hub.bootId });
+  assert.deepStrictEqual(await client.next(), { v: PROTOCOL_VERSION, type: 'replay', from: 1, count: 1, reset: false, truncated: false });
+  assert.deepStrictEqual((await client.next()).data, { n: 3 });
+  client.ws.close();
+});
+
+test('replays the whole buffer with reset after a restart, and flags dropped events', async t => {
+  const { hub, url } = await createHub(t, { bufferSize: 2 });
+  for (let n = 1; n <= 4; n += 1) hub.publish('health', 'service.transition', { n });
+
+  const restarted = await subscribed(url, ['health'], { since: 10, bootId: 'previous-boot' });
+  assert.deepStrictEqual(await restarted.next(), { v: PROTOCOL_VERSION, type: 'replay', from: 0, count: 2, reset: true, truncated: true });
+  assert.deepStrictEqual([(await restarted.next()).data.n, (await restarted.next()).data.n], [3, 4]);
+  restarted.ws.close();
+
+  const behind = await subscribed(url, ['health'], { since: 1, bootId: hub.bootId });
+  const replay = await behind.next();
+  assert.strictEqual(replay.truncated, true);
+  assert.strictEqual(replay.count, 2);
+  behind.ws.close();
+});
+
+test('answers bad frames with an error and keeps the connection', async t => {
+  const { url } = await createHub(t);
+  const client = await connect(url);
+  await client.next();
+
+  const frames = {
+    'not json': 'Messages must be JSON',
+    null: 'Messages must be JSON objects',
+    42: 'Messages must be JSON objects',
+    '"subscribe"': 'Messages must be JSON objects',
+    '[{"type":"ping"}]': 'Messages must be JSON objects',
+    '{"type":"shout"}': 'Unknown message type: shout',
+    '{"type":"subscribe","topics":["health","gossip"]}': 'Unknown topics: gossip'
+  };
+  for (const [frame, error] of Object.entries(frames)) {
+    client.send(frame);
+    assert.deepStrictEqual(await client.next(), { v: PROTOCOL_VERSION, type: 'error', error }, frame);
+  }
+
+  client.send({ type: 'ping' });
+  assert.strictEqual((await client.next()).type, 'pong');
+  client.ws.close();
+});
+
+test('refuses unknown topics on publish, and drains clients with 1001', async t => {
+  const { hub, url } = await createHub(t);
+  assert.throws(() => hub.publish('gossip', 'rumour'), /Unknown event topic/);
+
+  const client = await connect(url);
+  await client.next();
+  const closed = once(client.ws, 'close');
+  assert.strictEqual(await hub.drain({ timeoutMs: 1000 }), 1);
+  const [code] = await closed;
+  assert.strictEqual(code, 1001);
+});
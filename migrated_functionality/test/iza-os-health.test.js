@@ -0,0 +1,89 @@
+// Run with: node --test migrated_functionality/test
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { once } = require('events');
+const { ServiceHealthMonitor, normalizeService } = require('../src/iza-os-health');
+
+// A health endpoint answering with whatever `reply` currently holds
+async function createService(t) {
+  const reply = { status: 200, body: '{"status":"ok"}', delayMs: 0 };
+  const server = http.createServer((req, res) => {
+    setTimeout(() => {
+      res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+      res.end(reply.body);
+    }, reply.delayMs);
+  });
+  server.listen(0);
+  await once(server, 'listening');
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return { reply, url: `http://localhost:${server.address().port}` };
+}
+
+// A URL nothing listens on
+async function closedUrl() {
+  const server = http.createServer().listen(0);
+  await once(server, 'listening');
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return `http://localhost:${port}`;
+}
+
+test('a plain URL gets the default check settings', () => {
+  assert.deepStrictEqual(normalizeService('api', 'http://api'), {
+    name: 'api', url: 'http://api', healthPath: '/health', timeoutMs: 5000,
+    degradedLatencyMs: 1000, degradedAfterFailures: 1, unhealthyAfterFailures: 3
+  });
+});
+
+test('failures degrade a service, then make it unhealthy at the threshold; one success heals it', async t => {
+  const { reply, url } = await createService(t);
+  const monitor = new ServiceHealthMonitor();
+  const transitions = [];
+  monitor.on('transition', (state, previous) => transitions.push(`${previous}->${state.status}`));
+  const service = { url, degradedAfterFailures: 2, unhealthyAfterFailures: 3 };
+
+  assert.strictEqual((await monitor.check('api', service)).status, 'healthy');
+  reply.status = 503;
+  const first = await monitor.check('api', service);
+  assert.deepStrictEqual([first.status, first.consecutiveFailures, first.reason], ['healthy', 1, 'HTTP 503']);
+  assert.strictEqual((await monitor.check('api', service)).status, 'degraded');
+  assert.strictEqual((await monitor.check('api', service)).status, 'unhealthy');
+
+  reply.status = 200;
+  const healed = await monitor.check('api', service);
+  assert.deepStrictEqual([healed.status, healed.consecutiveFailures], ['healthy', 0]);
+  assert.deepStrictEqual(transitions, ['unknown->healthy', 'healthy->degraded', 'degraded->unhealthy', 'unhealthy->healthy']);
+  assert.deepStrictEqual(monitor.history().api.map(sample => sample.status), ['healthy', 'healthy', 'degraded', 'unhealthy', 'healthy']);
+});
+
+test('the body status, slow responses and timeouts count against a service', async t => {
+  const { reply, url } = await createService(t);
+  const monitor = new ServiceHealthMonitor();
+
+  reply.body = '{"status":"warning"}';
+  const warned = await monitor.check('api', url);
+  assert.deepStrictEqual([warned.status, warned.reason, warned.consecutiveFailures], ['degraded', 'Reported status "warning"', 0]);
+
+  reply.body = '{"status":"down"}';
+  assert.strictEqual((await monitor.check('api', { url, unhealthyAfterFailures: 1 })).status, 'unhealthy');
+
+  reply.body = 'OK';
+  reply.delayMs = 60;
+  const slow = await monitor.check('slow', { url, degradedLatencyMs: 20 });
+  assert.strictEqual(slow.status, 'degraded');
+  assert.match(slow.reason, /^Slow response \(\d+ms > 20ms\)$/);
+
+  const timedOut = await monitor.check('late', { url, timeoutMs: 20 });
+  assert.deepStrictEqual([timedOut.reason, timedOut.httpStatus], ['Timed out after 20ms', null]);
+});
+
+test('a refused connection is unhealthy at once, and unconfigured services are forgotten', async () => {
+  const monitor = new ServiceHealthMonitor();
+  const [refused] = await monitor.checkAll({ gone: await closedUrl() });
+  assert.deepStrictEqual([refused.status, refused.reason, refused.consecutiveFailures], ['unhealthy', 'ECONNREFUSED', 1]);
+
+  assert.deepStrictEqual(await monitor.checkAll({}), []);
+  assert.strictEqual(monitor.get('gone'), null);
+  assert.deepStrictEqual(monitor.statuses(), {});
+});
@@ -0,0 +1,103 @@
+// Run with: node --test migrated_functionality/test
+const test = require('node:test');
+const assert = require('node:assert');
+const { setTimeout: sleep } = require('timers/promises');
+const { HostRegistry, HostError } = require('../src/iza-os-hosts');
+
+const snapshot = (extra = {}) => ({
+  mode: 'agent',
+  repositories: [{ name: 'api', path: '/srv/api', type: 'repository', score: { total: 50 } }],
+  services: {
+    api: { name: 'api', status: 'healthy' },
+    worker: { name: 'worker', status: 'unhealthy', reason: 'ECONNREFUSED' }
+  },
+  ...extra
+});
+
+// A registry that records the hosts each event was emitted for
+function createRegistry(options) {
+  const registry = new HostRegistry(options);
+  const connected = [];
+  registry.on('connected', host => connected.push(host.host));
+  return { registry, connected };
+}
+
+test('a reporting host is online, with its repositories and service counts summarized', () => {
+  const { registry, connected } = createRegistry();
+  registry.report('edge-1', snapshot(), { reportedBy: 'agent-key' });
+
+  assert.deepStrictEqual(connected, ['edge-1']);
+  const [summary] = registry.list();
+  assert.strictEqual(summary.status, 'online');
+  assert.strictEqual(summary.mode, 'agent');
+  assert.strictEqual(summary.repositories, 1);
+  assert.deepStrictEqual(summary.services, { healthy: 1, unhealthy: 1 });
+  assert.strictEqual(registry.get('edge-1').reportedBy, 'agent-key');
+});
+
+test('a host goes stale once it stops reporting, and reconnects on its next report', async () => {
+  const { registry, connected } = createRegistry({ staleAfterMs: 20 });
+  const entry = registry.report('edge-1', snapshot());
+  registry.report('edge-1', snapshot());
+  assert.deepStrictEqual(connected, ['edge-1'], 'reports while online do not reconnect');
+
+  assert.strictEqual(registry.statusOf(entry, Date.parse(entry.lastReportAt) + 20), 'online');
+  assert.strictEqual(registry.statusOf(entry, Date.parse(entry.lastReportAt) + 21), 'stale');
+
+  await sleep(40);
+  assert.strictEqual(registry.get('edge-1').status, 'stale');
+  registry.report('edge-1', snapshot());
+  assert.strictEqual(registry.get('edge-1').status, 'online');
+  assert.deepStrictEqual(connected, ['edge-1', 'edge-1']);
+  assert.strictEqual(registry.get('edge-1').firstReportAt, entry.firstReportAt);
+});
+
+test('a host that reports it is shutting down is offline until it reports again', () => {
+  const { registry, connected } = createRegistry();
+  registry.report('edge-1', snapshot());
+  registry.report('edge-1', snapshot({ shuttingDown: true }));
+  assert.strictEqual(registry.get('edge-1').status, 'offline');
+
+  registry.report('edge-1', snapshot());
+  assert.strictEqual(registry.get('edge-1').status, 'online');
+  assert.deepStrictEqual(connected, ['edge-1', 'edge-1']);
+});
+
+test('repositories and snapshots carry their host and its status', () => {
+  const { registry } = createRegistry();
+  registry.report('edge-1', snapshot());
+  registry.report('edge-2', snapshot({ shuttingDown: true }));
+
+  assert.deepStrictEqual(registry.repositories().map(repository => [repository.name, repository.host, repository.hostStatus]),
+    [['api', 'edge-1', 'online'], ['api', 'edge-2', 'offline']]);
+  assert.deepStrictEqual(registry.snapshots().map(host => [host.host, host.status, Object.keys(host.services)]),
+    [['edge-1', 'online', ['api', 'worker']], ['edge-2', 'offline', ['api', 'worker']]]);
+});
+
+test('rejects malformed reports with a 400', () => {
+  const { registry, connected } = createRegistry();
+  const rejects = (host, body, message) => assert.throws(() => registry.report(host, body),
+    error => error instanceof HostError && error.status === 400 && message.test(error.message));
+
+  rejects('bad host/name', snapshot(), /Host names/);
+  rejects('edge-1', null, /JSON object/);
+  rejects('edge-1', [], /JSON object/);
+  rejects('edge-1', snapshot({ repositories: {} }), /repositories must be an array/);
+  rejects('edge-1', snapshot({ repositories: [{ name: 'api' }] }), /name and a path/);
+  rejects('edge-1', snapshot({ services: [] }), /services must be an object/);
+  rejects('edge-1', snapshot({ services: { x: null } }), /services\.x needs a name and a status/);
+  rejects('edge-1', snapshot({ services: { x: { name: 'x' } } }), /services\.x/);
+  rejects('edge-1', snapshot({ services: { x: { name: 'x', status: 'fine' } } }), /services\.x/);
+  rejects('edge-1', snapshot({ services: { x: { status: 'healthy' } } }), /services\.x/);
+  assert.deepStrictEqual(connected, []);
+  assert.deepStrictEqual(registry.list(), []);
+});
+
+test('forgets a host, and answers 404 for one it does not know', () => {
+  const { registry } = createRegistry();
+  registry.report('edge-1', snapshot());
+
+  assert.strictEqual(registry.forget('edge-1').host, 'edge-1');
+  assert.strictEqual(registry.get('edge-1'), null);
+  assert.throws(() => registry.forget('edge-1'), error => error instanceof HostError && error.status === 404);
+});
@@ -0,0 +1,106 @@
+// Run with: node --test migrated_functionality/test
+const test = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+
+// The server reads its configuration when required: point its state and discovery at a scratch dir
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iza-master-'));
+fs.mkdirSync(path.join(dir, 'state'));
+// An empty registry, so no health checks go out to the default localhost services
+fs.writeFileSync(path.join(dir, 'state', 'services.json'), '[]');
+fs.mkdirSync(path.join(dir, 'repos', 'demo-app'), { recursive: true });
+fs.writeFileSync(path.join(dir, 'repos', 'demo-app', 'package.json'), JSON.stringify({ name: 'demo-app', description: 'Demo' }));
+Object.assign(process.env, {
+  IZA_STATE_DIR: path.join(dir, 'state'),
+  IZA_ADMIN_PASSWORD: 'test-password',
+  IZA_HOST_NAME: 'test-host',
+  IZA_DISCOVERY_ROOTS: `repository=${path.join(dir, 'repos')}`
+});
+
+test.mock.method(console, 'log', () => {});
+const master = require('../src/iza-os-master-server');
+
+test.after(async () => {
+  await master.stop();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function listen(t) {
+  const server = master.app.listen(0);
+  await once(server, 'listening');
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return `http://localhost:${server.address().port}`;
+}
+
+test('serves the dashboard as static assets', async t => {
+  const base = await listen(t);
+
+  const page = await fetch(`${base}/`);
+  assert.strictEqual(page.status, 200);
+  assert.match(page.headers.get('content-type'), /^text\/html/);
+  const html = await page.text();
+  assert.match(html, /<script src="\/dashboard\.js" defer><\/script>/);
+  assert.match(html, /id="repositoryList"/);
+
+  for (const [asset, type] of [['dashboard.js', /javascript/], ['dashboard.css', /^text\/css/]]) {
+    const response = await fetch(`${base}/${asset}`);
+    assert.strictEqual(response.status, 200, asset);
+    assert.match(response.headers.get('content-type'), type);
+  }
+});
+
+test('the repository browser API needs a login and lists discovered repositories', async t => {
+  const base = await listen(t);
+  assert.strictEqual((await fetch(`${base}/api/repositories`)).status, 401);
+
+  const login = await fetch(`${base}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ username: 'admin', password: 'test-password' })
+  });
+  const { token } = await login.json();
+  await master.ecosystemIntegrator.discoverRepositories();
+
+  const response = await fetch(`${base}/api/repositories?q=demo`, { headers: { authorization: `Bearer ${token}` } });
+  assert.strictEqual(response.status, 200);
+  const body = await response.json();
+  assert.ok(body.repositories.some(repo => repo.name === 'demo-app'), JSON.stringify(body));
+});
+
+test('start() reports ready after discovery, and stop() drains WebSocket clients and the health loop', async () => {
+  const starting = master.start({ port: 0 });
+  await once(master.server, 'listening');
+  const base = `http://localhost:${master.server.address().port}`;
+
+  const live = await fetch(`${base}/livez`);
+  assert.deepStrictEqual([live.status, (await live.json()).status], [200, 'ok']);
+
+  await starting;
+  const ready = await (await fetch(`${base}/readyz`)).json();
+  assert.deepStrictEqual([ready.status, ready.state, ready.healthMonitoring, ready.shuttingDown], ['ready', 'ready', true, false]);
+  assert.ok(ready.discoveredAt);
+
+  const login = await fetch(`${base}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ username: 'admin', password: 'test-password' })
+  });
+  const { token } = await login.json();
+  const client = new WebSocket(`ws://localhost:${master.server.address().port}`, { headers: { authorization: `Bearer ${token}` } });
+  await once(client, 'open');
+  const closed = once(client, 'close');
+
+  const stopping = master.stop();
+  assert.strictEqual(master.stop(), stopping, 'a second stop() waits for the first');
+  await stopping;
+  const [code] = await closed;
+  assert.strictEqual(code, 1001);
+  assert.strictEqual(master.ecosystemIntegrator.readiness().ready, false);
+  assert.strictEqual(master.ecosystemIntegrator.state, 'stopped');
+  assert.strictEqual(master.ecosystemIntegrator.health.running, false);
+  assert.strictEqual(master.server.listening, false);
+});
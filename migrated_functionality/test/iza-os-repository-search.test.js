@@ -0,0 +1,121 @@
+// Run with: node --test migrated_functionality/test
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RepositoryIndex, RepositorySearchError, renderMarkdown, servicesBackedBy } = require('../src/iza-os-repository-search');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iza-search-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Components as discovery reports them, with the given files on disk
+function component(dir, name, fields = {}, files = {}) {
+  const componentPath = path.join(dir, name);
+  fs.mkdirSync(componentPath);
+  for (const [file, content] of Object.entries(files)) fs.writeFileSync(path.join(componentPath, file), content);
+  return { name, path: componentPath, type: 'repository', status: 'active', host: 'local', git: null, score: null, ...fields };
+}
+
+async function createIndex(t) {
+  const dir = tempDir(t);
+  const index = new RepositoryIndex();
+  await index.update([
+    component(dir, 'agent-orchestra', { package: { name: '@iza/agents', description: 'Agent runtime' }, score: { total: 40 } },
+      { 'README.md': '# Agent Orchestra\nRuns agents behind a queue.' }),
+    component(dir, 'video-pipeline', { score: { total: 80 } }, { 'readme.txt': 'Renders videos with a queue of agents.' }),
+    component(dir, 'notes', { type: 'iza-folder', status: 'integrated' })
+  ]);
+  return index;
+}
+
+const names = result => result.repositories.map(repo => repo.name);
+
+test('every term must match; names outrank packages, descriptions and READMEs', async t => {
+  const index = await createIndex(t);
+
+  const result = index.search({ q: 'Agent queue' });
+  assert.deepStrictEqual([result.total, result.sort, result.order], [2, 'relevance', 'desc']);
+  assert.deepStrictEqual(names(result), ['agent-orchestra', 'video-pipeline']);
+  assert.deepStrictEqual(result.repositories[0].search.matches, ['name', 'package', 'description', 'readme']);
+  assert.match(result.repositories[1].search.snippet, /queue of agents/);
+
+  assert.deepStrictEqual(names(index.search({ q: 'agents', sort: 'score' })), ['video-pipeline', 'agent-orchestra']);
+  assert.deepStrictEqual(names(index.search({ q: 'missing' })), []);
+  assert.strictEqual(index.search().repositories[0].search, undefined, 'no query, no search details');
+});
+
+test('filters by type, status and host, includes remote components, and paginates', async t => {
+  const index = await createIndex(t);
+  const remote = [{ name: 'agent-edge', type: 'repository', status: 'active', host: 'edge-1' }];
+
+  assert.deepStrictEqual(names(index.search({ type: 'iza-folder' })), ['notes']);
+  assert.deepStrictEqual(names(index.search({ status: 'active' })), ['agent-orchestra', 'video-pipeline']);
+  assert.deepStrictEqual(names(index.search({ q: 'agent' }, { remote })), ['agent-orchestra', 'agent-edge', 'video-pipeline']);
+  assert.deepStrictEqual(names(index.search({ host: 'edge-1' }, { remote })), ['agent-edge']);
+
+  const page = index.search({ sort: 'name', order: 'desc', page: '2', pageSize: '2' }, { remote });
+  assert.deepStrictEqual([page.total, page.page, page.pages], [4, 2, 2]);
+  assert.deepStrictEqual(names(page), ['agent-orchestra', 'agent-edge']);
+});
+
+test('rejects unknown sorts, bad pages and repeated parameters with 400', async t => {
+  const index = await createIndex(t);
+  const rejects = (query, message) => assert.throws(() => index.search(query),
+    error => error instanceof RepositorySearchError && error.status === 400 && message.test(error.message));
+
+  rejects({ sort: 'stars' }, /sort must be one of: relevance, name, score, lastCommit/);
+  rejects({ order: 'up' }, /order must be asc or desc/);
+  rejects({ page: '0' }, /page must be a positive integer/);
+  rejects({ pageSize: '501' }, /pageSize must be between 1 and 500/);
+  rejects({ q: ['a', 'b'] }, /q must be given once/);
+});
+
+test('renders README Markdown with HTML escaped and unsafe links dropped', () => {
+  const html = renderMarkdown([
+    '# Title <b>',
+    'Some **bold** and `code` with [docs](https://example.com) and [bad](javascript:void).',
+    '',
+    '- one',
+    '- two',
+    '```js',
+    'if (a < b) run();',
+    '```'
+  ].join('\n'));
+
+  assert.strictEqual(html, [
+    '<h1>Title &lt;b&gt;</h1>',
+    '<p>Some <strong>bold</strong> and <code>code</code> with <a href="https://example.com" rel="noopener noreferrer">docs</a> and bad.</p>',
+    '<ul>',
+    '<li>one</li>',
+    '<li>two</li>',
+    '</ul>',
+    '<pre><code class="language-js">if (a &lt; b) run();</code></pre>'
+  ].join('\n'));
+});
+
+test('details include the README, package scripts and the services a repository backs', async t => {
+  const dir = tempDir(t);
+  const repo = component(dir, 'agent-orchestra', {}, {
+    'README.md': '# Agents',
+    'package.json': JSON.stringify({ scripts: { start: 'node server.js' } })
+  });
+  const services = [
+    { name: 'agentOrchestra', url: 'http://localhost:8087' },
+    { name: 'ui', url: 'http://localhost:3000', tags: ['repo:agent-orchestra'] },
+    { name: 'ollama', url: 'http://localhost:11434' }
+  ];
+
+  const detail = await new RepositoryIndex().detail(repo, { services });
+  assert.deepStrictEqual(detail.readme, { file: 'README.md', html: '<h1>Agents</h1>' });
+  assert.deepStrictEqual(detail.scripts, { start: 'node server.js' });
+  assert.deepStrictEqual(detail.recentCommits, []);
+  assert.deepStrictEqual(detail.services.map(service => service.name), ['agentOrchestra', 'ui']);
+
+  const plain = await new RepositoryIndex().detail(component(dir, 'plain', {}, { 'README.txt': '<plain> text' }));
+  assert.deepStrictEqual([plain.readme.html, plain.scripts, plain.services], ['<pre>&lt;plain&gt; text</pre>', null, []]);
+  assert.deepStrictEqual(servicesBackedBy({ name: 'Agent_Orchestra' }, services).map(service => service.name), ['agentOrchestra']);
+});
@@ -0,0 +1,82 @@
+// Run with: node --test migrated_functionality/test
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadScoringConfig, scoreRepository } = require('../src/iza-os-scoring');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iza-scoring-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function writeFiles(dir, files) {
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  }
+}
+
+test('config files override the default weights and targets one key at a time', t => {
+  const configPath = path.join(tempDir(t), 'scoring.json');
+  fs.writeFileSync(configPath, JSON.stringify({ weights: { tests: 40 }, targets: { contributors: 3 }, activityWindowDays: 30 }));
+  const config = loadScoringConfig(configPath);
+
+  assert.deepStrictEqual([config.weights.tests, config.weights.activity], [40, 25]);
+  assert.deepStrictEqual([config.targets.contributors, config.targets.linesOfCode], [3, 50000]);
+  assert.strictEqual(config.activityWindowDays, 30);
+  assert.ok(config.ignoreDirs.includes('node_modules'));
+  assert.deepStrictEqual(loadScoringConfig(path.join(path.dirname(configPath), 'missing.json')).weights.tests, 20);
+});
+
+test('scores a component without git from its sources, tests, TODOs and dependencies', async t => {
+  const dir = tempDir(t);
+  writeFiles(dir, {
+    'src/app.js': 'const a = 1;\n\n// TODO: split\nconst b = 2;\n// FIXME later\nmodule.exports = { a, b };\nfunction f() {}\nf();\nconst c = 3;\nconst d = 4;\n',
+    'test/app.js': 'require("../src/app");\n',
+    'node_modules/dep/index.js': '// TODO ignored\n'.repeat(50),
+    'README.md': '# TODO not source\n',
+    'package.json': JSON.stringify({ dependencies: { a: '1' }, devDependencies: { b: '1', c: '1' } })
+  });
+  const config = {
+    ...loadScoringConfig(path.join(dir, 'none.json')),
+    weights: { size: 10, activity: 50, contributors: 50, tests: 10, dependencies: 10, todos: 10 },
+    targets: { linesOfCode: 10, commitsInWindow: 10, contributors: 2, testFileRatio: 0.5, dependencies: 6, todosPerKloc: 400 }
+  };
+
+  const score = await scoreRepository({ path: dir, git: false }, config);
+
+  assert.deepStrictEqual([score.metrics.linesOfCode, score.metrics.sourceFiles, score.metrics.testFiles, score.metrics.todos],
+    [10, 2, 1, 2]);
+  assert.deepStrictEqual([score.metrics.dependencies, score.metrics.commits, score.metrics.contributors], [3, null, null]);
+  // Only the four available metrics share the weight: 25 + 25 + 12.5 + 12.5
+  assert.strictEqual(score.total, 75);
+  assert.deepStrictEqual(score.breakdown.activity, { available: false, weight: 50 });
+  assert.deepStrictEqual(score.breakdown.tests, { available: true, value: 0.5, score: 1, weight: 10, points: 25 });
+  assert.deepStrictEqual(score.breakdown.dependencies, { available: true, value: 3, score: 0.5, weight: 10, points: 12.5 });
+  assert.deepStrictEqual(score.breakdown.todos, { available: true, value: 200, score: 0.5, weight: 10, points: 12.5 });
+});
+
+test('reads commit activity and contributors from git, and counts requirements.txt entries', async t => {
+  const dir = tempDir(t);
+  const gitIn = (...args) => execFileSync('git', ['-C', dir, ...args], { stdio: 'ignore' });
+  gitIn('init', '-q');
+  writeFiles(dir, { 'main.py': 'print("hi")\n', 'requirements.txt': 'flask\n# pinned below\n-r dev.txt\nrequests==2.0\n' });
+  gitIn('add', '.');
+  gitIn('-c', 'user.name=Ada', '-c', 'user.email=ada@example.com', 'commit', '-q', '-m', 'first');
+  writeFiles(dir, { 'test_main.py': 'assert True\n' });
+  gitIn('add', '.');
+  gitIn('-c', 'user.name=Grace', '-c', 'user.email=grace@example.com', 'commit', '-q', '-m', 'second');
+
+  const score = await scoreRepository({ path: dir, git: true }, loadScoringConfig(path.join(dir, 'none.json')));
+
+  assert.deepStrictEqual([score.metrics.commits, score.metrics.commitsInWindow, score.metrics.contributors], [2, 2, 2]);
+  assert.strictEqual(score.metrics.dependencies, 2);
+  assert.strictEqual(score.metrics.testFiles, 1);
+  assert.strictEqual(score.breakdown.activity.available, true);
+  assert.strictEqual(score.breakdown.contributors.value, 2);
+  assert.ok(score.total > 0 && score.total <= 100);
+});
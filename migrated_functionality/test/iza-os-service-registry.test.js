@@ -0,0 +1,75 @@
+// Run with: node --test migrated_functionality/test
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ServiceRegistry, ServiceRegistryError } = require('../src/iza-os-service-registry');
+const { AuditLog } = require('../src/iza-os-audit');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iza-registry-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const rejects = (fn, status, message) => assert.throws(fn,
+  error => error instanceof ServiceRegistryError && error.status === status && message.test(error.message));
+
+test('seeds from the configured services once, then keeps its own file', t => {
+  const filePath = path.join(tempDir(t), 'state', 'services.json');
+  const registry = new ServiceRegistry({ filePath, seed: { api: 'http://localhost:8083/', ollama: { url: 'http://localhost:11434', healthPath: '/api/tags' } } });
+
+  assert.deepStrictEqual(registry.list().map(service => [service.name, service.url, service.healthPath]),
+    [['api', 'http://localhost:8083', '/health'], ['ollama', 'http://localhost:11434', '/api/tags']]);
+  registry.remove('ollama');
+
+  const reloaded = new ServiceRegistry({ filePath, seed: { ollama: 'http://localhost:11434', other: 'http://other' } });
+  assert.deepStrictEqual(reloaded.list().map(service => service.name), ['api'], 'the seed only applies to a new registry');
+  assert.deepStrictEqual(Object.keys(reloaded.toHealthConfig()), ['api']);
+});
+
+test('registers, updates and filters services by tag and owner', () => {
+  const registry = new ServiceRegistry();
+  const service = registry.register({ name: 'agentOrchestra', url: 'https://agents.example.com', tags: [' node:agents ', 'ui', 'ui'], owner: 'ops', timeoutMs: 2000 });
+  assert.deepStrictEqual([service.tags, service.owner, service.timeoutMs], [['node:agents', 'ui'], 'ops', 2000]);
+  registry.register({ name: 'omnara', url: 'http://localhost:8080' });
+
+  assert.deepStrictEqual(registry.list({ tag: 'ui' }).map(item => item.name), ['agentOrchestra']);
+  assert.deepStrictEqual(registry.list({ owner: 'ops' }).map(item => item.name), ['agentOrchestra']);
+
+  const updated = registry.update('omnara', { healthPath: '/status', owner: 'core' });
+  assert.deepStrictEqual([updated.url, updated.healthPath, updated.owner, updated.tags], ['http://localhost:8080', '/status', 'core', []]);
+});
+
+test('rejects bad definitions, duplicates, renames and unknown services', () => {
+  const registry = new ServiceRegistry({ seed: { api: 'http://api' } });
+
+  rejects(() => registry.register({ name: 'bad name', url: 'http://x' }), 400, /name must be/);
+  rejects(() => registry.register({ name: 'api', url: 'http://x' }), 409, /already registered/);
+  rejects(() => registry.register({ name: 'x', url: 'ftp://x' }), 400, /absolute http\(s\) URL/);
+  rejects(() => registry.register({ name: 'x', url: '/relative' }), 400, /absolute http\(s\) URL/);
+  rejects(() => registry.register({ name: 'x', url: 'http://x', healthPath: 'health' }), 400, /healthPath/);
+  rejects(() => registry.register({ name: 'x', url: 'http://x', tags: ['ok', ''] }), 400, /tags/);
+  rejects(() => registry.register({ name: 'x', url: 'http://x', unhealthyAfterFailures: 0 }), 400, /unhealthyAfterFailures must be an integer of at least 1/);
+  rejects(() => registry.update('api', []), 400, /JSON object/);
+  rejects(() => registry.update('api', { name: 'renamed' }), 400, /cannot be renamed/);
+  rejects(() => registry.update('missing', {}), 404, /Service not found/);
+  rejects(() => registry.remove('missing'), 404, /Service not found/);
+});
+
+test('the audit log records who did what, newest first, and survives an unwritable file', t => {
+  const dir = tempDir(t);
+  const audit = new AuditLog(path.join(dir, 'audit', 'audit.log'));
+  audit.record({ actor: 'admin', action: 'service.register', target: 'api', status: 201 });
+  audit.record({ actor: 'ci', action: 'deploy', target: 'api', status: 202 });
+
+  assert.deepStrictEqual(audit.list().map(entry => entry.action), ['deploy', 'service.register']);
+  assert.deepStrictEqual(audit.list({ actor: 'admin' }).map(entry => entry.target), ['api']);
+
+  test.mock.method(console, 'error', () => {});
+  fs.writeFileSync(path.join(dir, 'blocker'), '');
+  const unwritable = new AuditLog(path.join(dir, 'blocker', 'audit.log'));
+  assert.strictEqual(unwritable.record({ action: 'login' }).action, 'login');
+  assert.strictEqual(console.error.mock.calls.length, 1);
+});
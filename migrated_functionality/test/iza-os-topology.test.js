@@ -0,0 +1,77 @@
+// Run with: node --test migrated_functionality/test
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildTopology, ALL_REPOSITORIES } = require('../src/iza-os-topology');
+
+// db -> api -> web -> cdn, with web <-> api forming a cycle, and an unrelated `batch`
+const config = {
+  architecturePath: '/config/architecture.json',
+  services: { postgres: 'db', gateway: 'api' },
+  repositories: [{ match: 'web-*', node: 'web' }],
+  architecture: {
+    'total-value': '$1B',
+    nodes: {
+      db: { type: 'storage', connections: ['api'] },
+      api: { type: 'service', connections: ['web'] },
+      web: { type: 'frontend', connections: ['api', 'cdn'] },
+      cdn: { type: 'edge' },
+      batch: { type: 'worker' }
+    },
+    edges: { reporting: ['batch', ALL_REPOSITORIES] }
+  }
+};
+
+const byId = topology => Object.fromEntries(topology.nodes.map(node => [node.id, node]));
+
+test('impact follows dependents transitively, through cycles, to every downstream node', () => {
+  const nodes = byId(buildTopology({
+    config,
+    host: 'edge-1',
+    services: [{ name: 'postgres' }, { name: 'gateway' }],
+    health: { postgres: { status: 'unhealthy', reason: 'ECONNREFUSED' }, gateway: { status: 'healthy' } }
+  }));
+
+  assert.deepStrictEqual(nodes.db.dependents, ['api']);
+  assert.deepStrictEqual(nodes.db.downstream, ['api', 'web', 'cdn']);
+  assert.deepStrictEqual(nodes.web.downstream, ['api', 'cdn'], 'a node is never its own downstream');
+  assert.deepStrictEqual(nodes.cdn.downstream, []);
+
+  assert.deepStrictEqual(['api', 'web', 'cdn'].map(id => nodes[id].impactedBy), [['db'], ['db'], ['db']]);
+  assert.deepStrictEqual(nodes.db.impactedBy, []);
+  assert.deepStrictEqual(nodes.batch.impactedBy, []);
+});
+
+test('node status is the worst of its services across hosts; unmonitored without any', () => {
+  const nodes = byId(buildTopology({
+    config,
+    host: 'edge-1',
+    services: [{ name: 'gateway' }, { name: 'cache', tags: ['node:api'] }],
+    health: { gateway: { status: 'healthy' }, cache: { status: 'degraded' } },
+    remoteHosts: [
+      { host: 'edge-2', status: 'online', services: { postgres: { status: 'healthy' } }, repositories: [] },
+      { host: 'edge-3', status: 'stale', services: { postgres: { status: 'healthy' } }, repositories: [] }
+    ]
+  }));
+
+  assert.strictEqual(nodes.api.status, 'degraded');
+  assert.deepStrictEqual(nodes.db.services.map(service => [service.host, service.status, service.reason]),
+    [['edge-2', 'healthy', null], ['edge-3', 'unknown', 'host stale']]);
+  assert.strictEqual(nodes.db.status, 'unknown');
+  assert.strictEqual(nodes.cdn.status, 'unmonitored');
+});
+
+test('repositories attach by path glob, falling back to the all-repositories node', () => {
+  const topology = buildTopology({
+    config,
+    host: 'edge-1',
+    repositories: [{ name: 'web-shop', path: '/srv/web-shop' }, { name: 'tools', path: '/srv/tools' }],
+    remoteHosts: [{ host: 'edge-2', status: 'online', services: {}, repositories: [{ name: 'web-blog', path: '/srv/web-blog' }] }]
+  });
+  const nodes = byId(topology);
+
+  assert.deepStrictEqual(nodes.web.repositories, [{ name: 'web-shop', host: 'edge-1' }, { name: 'web-blog', host: 'edge-2' }]);
+  assert.deepStrictEqual(nodes[ALL_REPOSITORIES].repositories, [{ name: 'tools', host: 'edge-1' }]);
+  assert.strictEqual(nodes[ALL_REPOSITORIES].virtual, true);
+  assert.strictEqual(topology.repositoryCount, 3);
+  assert.deepStrictEqual(topology.edges.find(edge => edge.kind === 'reporting'), { from: 'batch', to: ALL_REPOSITORIES, kind: 'reporting' });
+});
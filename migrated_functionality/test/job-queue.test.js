@@ -0,0 +1,123 @@
+// Run with: node --test migrated_functionality/test
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ContentStore } = require('../src/content-store');
+const { JobQueue } = require('../src/job-queue');
+
+function createQueue(t, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iza-jobs-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const store = new ContentStore(path.join(dir, 'content.json'));
+  return { store, queue: new JobQueue(store, { backoffMs: 10, ...options }) };
+}
+
+// Resolves with the job record the next time `event` fires for `id`
+function when(queue, event, id) {
+  return new Promise(resolve => {
+    const listener = job => {
+      if (job.id !== id) return;
+      queue.off(event, listener);
+      resolve(job);
+    };
+    queue.on(event, listener);
+  });
+}
+
+test('runs a job to completion, reporting progress and its result', async t => {
+  const { queue } = createQueue(t);
+  const progress = [];
+  queue.register('echo', async (payload, context) => {
+    context.progress(50);
+    return { echoed: payload.text, attempt: context.attempt };
+  });
+  queue.on('progress', job => progress.push(job.progress));
+
+  const job = queue.enqueue('echo', { text: 'hi' });
+  assert.strictEqual(job.status, 'queued');
+  const completed = await when(queue, 'completed', job.id);
+  assert.deepStrictEqual([completed.status, completed.progress, completed.attempts], ['completed', 100, 1]);
+  assert.deepStrictEqual(completed.result, { echoed: 'hi', attempt: 1 });
+  assert.deepStrictEqual(progress, [50]);
+  assert.throws(() => queue.enqueue('unknown', {}), /Unknown job type/);
+});
+
+test('retries a failing job with exponential backoff until maxAttempts, then fails it', async t => {
+  const { queue } = createQueue(t);
+  const attemptedAt = [];
+  queue.register('flaky', async () => {
+    attemptedAt.push(Date.now());
+    throw new Error(`boom ${attemptedAt.length}`);
+  }, { maxAttempts: 3 });
+
+  const job = queue.enqueue('flaky', {});
+  const retrying = await new Promise(resolve => setTimeout(() => resolve(queue.get(job.id)), 5));
+  assert.strictEqual(retrying.status, 'retrying');
+  assert.ok(retrying.next_run_at);
+
+  const failed = await when(queue, 'failed', job.id);
+  assert.deepStrictEqual([failed.status, failed.attempts, failed.error], ['failed', 3, 'boom 3']);
+  // Waits of 10ms then 20ms between the three attempts
+  assert.ok(attemptedAt[1] - attemptedAt[0] >= 9);
+  assert.ok(attemptedAt[2] - attemptedAt[1] >= 19);
+});
+
+test('cancelling aborts a running job, and a finished job answers 409', async t => {
+  const { queue } = createQueue(t);
+  queue.register('slow', (payload, context) => new Promise((resolve, reject) => {
+    context.signal.addEventListener('abort', () => reject(new Error('aborted')));
+  }));
+  queue.register('quick', async () => 'done');
+
+  const slow = queue.enqueue('slow', {});
+  await when(queue, 'started', slow.id);
+  const aborted = new Promise(resolve => queue.running.get(slow.id).controller.signal.addEventListener('abort', resolve));
+  assert.strictEqual(queue.cancel(slow.id).status, 'cancelled');
+  await aborted;
+  await new Promise(resolve => setImmediate(resolve));
+  assert.strictEqual(queue.get(slow.id).status, 'cancelled', 'the rejected handler does not turn it into a failure');
+
+  const quick = queue.enqueue('quick', {});
+  await when(queue, 'completed', quick.id);
+  assert.throws(() => queue.cancel(quick.id), error => error.status === 409 && /already completed/.test(error.message));
+  assert.strictEqual(queue.cancel('job-missing'), null);
+});
+
+test('a cancelled retry never runs again, and per-type concurrency is respected', async t => {
+  const { queue } = createQueue(t, { backoffMs: 50, concurrency: 5 });
+  let flakyRuns = 0;
+  queue.register('flaky', async () => {
+    flakyRuns += 1;
+    throw new Error('boom');
+  });
+  const flaky = queue.enqueue('flaky', {});
+  await new Promise(resolve => setTimeout(resolve, 10));
+  assert.strictEqual(queue.cancel(flaky.id).status, 'cancelled');
+
+  let active = 0;
+  let peak = 0;
+  queue.register('render', async () => {
+    active += 1;
+    peak = Math.max(peak, active);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    active -= 1;
+  }, { concurrency: 1 });
+  const renders = [1, 2, 3].map(() => queue.enqueue('render', {}));
+  await Promise.all(renders.map(job => when(queue, 'completed', job.id)));
+
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.strictEqual(flakyRuns, 1);
+  assert.strictEqual(peak, 1);
+});
+
+test('recover re-queues jobs a previous process left active', async t => {
+  const { store, queue } = createQueue(t);
+  queue.register('echo', async () => 'again');
+  const job = store.insert('jobs', { id: 'job-left', type: 'echo', payload: {}, status: 'running', attempts: 1, max_attempts: 3 });
+
+  const completed = when(queue, 'completed', job.id);
+  queue.recover();
+  assert.deepStrictEqual([(await completed).attempts, (await completed).result], [2, 'again']);
+});
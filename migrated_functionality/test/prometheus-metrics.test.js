@@ -0,0 +1,76 @@
+// Run with: node --test migrated_functionality/test
+const test = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const express = require('express');
+const { MetricsRegistry, registerProcessMetrics, requestMetrics, metricsHandler } = require('../src/prometheus-metrics');
+
+test('renders counters with escaped labels in the text exposition format', () => {
+  const registry = new MetricsRegistry();
+  const jobs = registry.counter('jobs_total', 'Jobs run', ['type', 'note']);
+  jobs.inc({ type: 'render', note: 'a "quoted"\\path\nnext' });
+  jobs.inc({ type: 'render', note: 'a "quoted"\\path\nnext' }, 2);
+  jobs.inc({ type: 'script' });
+
+  assert.strictEqual(registry.render(), [
+    '# HELP jobs_total Jobs run',
+    '# TYPE jobs_total counter',
+    'jobs_total{type="render",note="a \\"quoted\\"\\\\path\\nnext"} 3',
+    'jobs_total{type="script",note=""} 1',
+    ''
+  ].join('\n'));
+  assert.throws(() => registry.counter('jobs_total', 'Again'), /already registered/);
+});
+
+test('gauges with a collect callback are rebuilt on every scrape', () => {
+  const registry = new MetricsRegistry();
+  let services = { api: 'healthy', db: 'unhealthy' };
+  registry.gauge('services', 'Services by status', ['status'], gauge => {
+    gauge.set({ status: 'healthy' }, 0);
+    gauge.set({ status: 'unhealthy' }, 0);
+    for (const status of Object.values(services)) gauge.inc({ status });
+  });
+
+  assert.match(registry.render(), /services\{status="healthy"\} 1\nservices\{status="unhealthy"\} 1\n/);
+  services = { api: 'healthy' };
+  assert.match(registry.render(), /services\{status="healthy"\} 1\nservices\{status="unhealthy"\} 0\n/);
+});
+
+test('histograms report cumulative buckets, +Inf, sum and count', () => {
+  const registry = new MetricsRegistry();
+  const latency = registry.histogram('latency_seconds', 'Latency', ['route'], [1, 0.1]);
+  for (const value of [0.05, 0.5, 3]) latency.observe({ route: '/a' }, value);
+
+  assert.deepStrictEqual(registry.render().split('\n').slice(2, -1), [
+    'latency_seconds_bucket{route="/a",le="0.1"} 1',
+    'latency_seconds_bucket{route="/a",le="1"} 2',
+    'latency_seconds_bucket{route="/a",le="+Inf"} 3',
+    'latency_seconds_sum{route="/a"} 3.55',
+    'latency_seconds_count{route="/a"} 3'
+  ]);
+});
+
+test('labels requests by route pattern and serves /metrics as Prometheus text', async t => {
+  const registry = new MetricsRegistry();
+  registerProcessMetrics(registry);
+  const app = express();
+  app.use(requestMetrics(registry));
+  app.get('/videos/:id', (req, res) => res.json({ id: req.params.id }));
+  app.get('/metrics', metricsHandler(registry));
+  const server = app.listen(0);
+  await once(server, 'listening');
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  const base = `http://localhost:${server.address().port}`;
+
+  await fetch(`${base}/videos/1`);
+  await fetch(`${base}/videos/2`);
+  await fetch(`${base}/nowhere`);
+  const response = await fetch(`${base}/metrics`);
+  const body = await response.text();
+
+  assert.match(response.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+  assert.match(body, /^http_requests_total\{method="GET",route="\/videos\/:id",status="200"\} 2$/m);
+  assert.match(body, /^http_requests_total\{method="GET",route="\(unmatched\)",status="404"\} 1$/m);
+  assert.match(body, /^http_request_duration_seconds_count\{method="GET",route="\/videos\/:id"\} 2$/m);
+  assert.match(body, /^process_resident_memory_bytes \d+$/m);
+});
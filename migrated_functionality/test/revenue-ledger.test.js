@@ -0,0 +1,80 @@
+// Run with: node --test migrated_functionality/test
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ContentStore } = require('../src/content-store');
+const { RevenueLedger, parseCsv } = require('../src/revenue-ledger');
+
+function createLedger(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iza-revenue-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new RevenueLedger(new ContentStore(path.join(dir, 'content.json')));
+}
+
+const EXPORT = [
+  'Date,Estimated Revenue (USD),Revenue Type,Video ID,Description',
+  '2026-03-01,"$1,200.50",YouTube Ads,video-1,March ads',
+  '2026-03-02,300,Sponsorship,video-2,"Sponsor ""Acme"", read"',
+  '2026-04-01,99.999,affiliate,,April links'
+].join('\r\n');
+
+test('parses quoted CSV fields, escaped quotes and embedded newlines', () => {
+  assert.deepStrictEqual(parseCsv('a,b\n"x, y","say ""hi""\nagain"\n\n1,\n'), [
+    { a: 'x, y', b: 'say "hi"\nagain' },
+    { a: '1', b: '' }
+  ]);
+});
+
+test('imports a platform export by its column aliases and skips rows already imported', t => {
+  const ledger = createLedger(t);
+  const first = ledger.import({ format: 'csv', data: EXPORT, platform: 'youtube' });
+  assert.strictEqual(first.rows, 3);
+  assert.strictEqual(first.imported, 3);
+  assert.deepStrictEqual(first.errors, []);
+
+  const [ads, sponsor, affiliate] = ledger.list();
+  assert.deepStrictEqual([ads.source, ads.amount, ads.video_id, ads.platform], ['ad_revenue', 1200.5, 'video-1', 'youtube']);
+  assert.strictEqual(sponsor.reference, 'Sponsor "Acme", read');
+  assert.deepStrictEqual([affiliate.amount, affiliate.video_id], [100, null]);
+
+  const again = ledger.import({ format: 'csv', data: EXPORT });
+  assert.deepStrictEqual([again.imported, again.skipped_duplicates], [0, 3]);
+});
+
+test('reports bad rows by number, including dates that are not real days', t => {
+  const ledger = createLedger(t);
+  const summary = ledger.import({
+    format: 'json',
+    data: [
+      { date: '2026-03-01', amount: 10, source: 'ad_revenue' },
+      { date: '2026-13-45', amount: 10, source: 'ad_revenue' },
+      { date: '2026-02-30', amount: 10, source: 'ad_revenue' },
+      { date: '2026-03-01', amount: 'lots', source: 'ad_revenue' },
+      { date: '2026-03-01', amount: 10, source: 'merch' }
+    ]
+  });
+  assert.strictEqual(summary.imported, 1);
+  assert.deepStrictEqual(summary.errors, [
+    { row: 2, message: 'date must be a valid date' },
+    { row: 3, message: 'date must be a valid date' },
+    { row: 4, message: 'amount must be a number' },
+    { row: 5, message: 'source must be one of: ad_revenue, sponsorship, affiliate' }
+  ]);
+  assert.throws(() => ledger.import({ format: 'json', data: {} }), /must be an array/);
+});
+
+test('summarizes a month by source and video, with lifetime history', t => {
+  const ledger = createLedger(t);
+  ledger.import({ format: 'csv', data: EXPORT });
+  ledger.add({ source: 'sponsorship', amount: 49.5, date: '2026-03-31', video_id: 'video-1' });
+
+  const summary = ledger.summary({ month: '2026-03' });
+  assert.strictEqual(summary.monthly_total, 1550);
+  assert.strictEqual(summary.lifetime_total, 1650);
+  assert.deepStrictEqual(summary.by_source, { ad_revenue: 1200.5, sponsorship: 349.5, affiliate: 0 });
+  assert.deepStrictEqual(summary.by_video, { 'video-1': 1250, 'video-2': 300 });
+  assert.strictEqual(summary.revenue_per_video, 775);
+  assert.deepStrictEqual(summary.monthly_history, [{ month: '2026-03', total: 1550 }, { month: '2026-04', total: 100 }]);
+});
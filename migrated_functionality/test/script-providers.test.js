@@ -0,0 +1,70 @@
+// Run with: node --test migrated_functionality/test
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  MockProvider,
+  ScriptValidationError,
+  createScriptProvider,
+  validateScript
+} = require('../src/script-providers');
+
+const request = { topic: 'Solar Power', length: 5, style: 'educational' };
+
+test('mock provider output depends only on its inputs', async () => {
+  const provider = createScriptProvider('mock');
+  assert.ok(provider instanceof MockProvider);
+
+  const first = await provider.generate(request);
+  assert.strictEqual(await provider.generate(request), first);
+  assert.notStrictEqual(await provider.generate({ ...request, topic: 'Wind Power' }), first);
+  assert.match(first, /^## Main Content \(30 seconds - 4 minutes\)$/m);
+});
+
+test('mock provider output passes validation unchanged', async () => {
+  const script = await new MockProvider().generate(request);
+  assert.strictEqual(validateScript(script, request), script.trim());
+});
+
+test('validateScript adds a title heading when the script has none', () => {
+  const script = [
+    '## Introduction',
+    'Hello.',
+    '## Main Content',
+    'The body.',
+    '## Conclusion',
+    'Bye.'
+  ].join('\n');
+
+  assert.strictEqual(
+    validateScript(script, request),
+    `# Solar Power - educational Style Video Script\n\n${script}`
+  );
+});
+
+test('validateScript rejects empty scripts', () => {
+  for (const output of ['', '   \n', null, undefined]) {
+    assert.throws(() => validateScript(output, request), ScriptValidationError);
+  }
+});
+
+test('validateScript requires every section, in order', () => {
+  assert.throws(
+    () => validateScript('# Title\n## Introduction\nHi.\n## Conclusion\nBye.', request),
+    { name: 'ScriptValidationError', message: 'Script is missing the "main" section' }
+  );
+  assert.throws(
+    () => validateScript('# Title\n## Conclusion\nBye.\n## Introduction\nHi.\n## Main Content\nBody.', request),
+    { name: 'ScriptValidationError', message: 'Script is missing the "conclusion" section' }
+  );
+});
+
+test('validateScript rejects empty sections', () => {
+  assert.throws(
+    () => validateScript('# Title\n## Introduction\nHi.\n## Main Content\n## Conclusion\nBye.', request),
+    { name: 'ScriptValidationError', message: 'Script section "Main Content" is empty' }
+  );
+});
+
+test('createScriptProvider rejects unknown providers', () => {
+  assert.throws(() => createScriptProvider('gpt-9'), /Unknown script provider: gpt-9/);
+});
@@ -0,0 +1,82 @@
+// Run with: node --test migrated_functionality/test
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TemplateRegistry, TemplateError, renderTemplate, parseTemplateFile } = require('../src/template-registry');
+
+const SEED_DIR = path.join(__dirname, '..', 'src', 'script-templates');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iza-templates-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const rejects = (fn, status, message) => assert.throws(fn,
+  error => error instanceof TemplateError && error.status === status && message.test(error.message));
+
+test('fills placeholders and keeps optional blocks only when they have a value', () => {
+  const content = '# {{topic}} in {{length}} minutes\n{{#sponsor}}\nSponsored by {{sponsor}}\n{{/sponsor}}\nMain until {{main_end}}. {{cta}}';
+  assert.strictEqual(renderTemplate(content, { topic: 'AI', length: 8, style: 'review', sponsor: 'Acme', cta: 'Subscribe!' }),
+    '# AI in 8 minutes\nSponsored by Acme\nMain until 7. Subscribe!');
+  assert.match(renderTemplate(content, { topic: 'AI', length: 8 }), /^# AI in 8 minutes\nMain until 7\. If you found this valuable/);
+});
+
+test('parses frontmatter from seed files', () => {
+  assert.deepStrictEqual(parseTemplateFile('---\nname: Top: Five\nstyle: listicle\n---\n# {{topic}}\n'),
+    { meta: { name: 'Top: Five', style: 'listicle' }, content: '# {{topic}}\n' });
+  assert.deepStrictEqual(parseTemplateFile('# No frontmatter'), { meta: {}, content: '# No frontmatter' });
+});
+
+test('seeds the bundled templates once, and resolves by id, style variant, then default', t => {
+  const dir = tempDir(t);
+  const registry = new TemplateRegistry(dir, { seedDir: SEED_DIR });
+  const seeded = fs.readdirSync(SEED_DIR).filter(name => name.endsWith('.md')).length;
+  assert.strictEqual(registry.list().length, seeded);
+
+  registry.update('default', { description: 'Edited' });
+  new TemplateRegistry(dir, { seedDir: SEED_DIR });
+  assert.strictEqual(registry.get('default').description, 'Edited', 're-seeding leaves existing templates alone');
+
+  assert.strictEqual(registry.resolve({ style: 'educational' }).id, 'educational-standard');
+  assert.strictEqual(registry.resolve({ style: 'listicle' }).id, 'listicle-top-five');
+  assert.strictEqual(registry.resolve({ style: 'professional' }).id, 'default');
+  assert.strictEqual(registry.resolve({ templateId: 'review-standard', style: 'educational' }).id, 'review-standard');
+  rejects(() => registry.resolve({ templateId: 'missing', version: 2 }), 404, /Template not found: missing v2/);
+});
+
+test('updating content adds a version and keeps the old ones readable', t => {
+  const registry = new TemplateRegistry(tempDir(t));
+  const created = registry.create({ name: 'My Template!', style: 'review', content: '# {{topic}} v1' });
+  assert.deepStrictEqual([created.id, created.version, created.variant], ['my-template', 1, 'standard']);
+
+  assert.strictEqual(registry.update('my-template', { content: '# {{topic}} v1', name: 'Renamed' }).version, 1, 'same content adds no version');
+  const updated = registry.update('my-template', { content: '# {{topic}} v2' });
+  assert.deepStrictEqual([updated.version, updated.versions, updated.name], [2, 2, 'Renamed']);
+  assert.strictEqual(registry.get('my-template', 1).content, '# {{topic}} v1');
+  assert.strictEqual(registry.get('my-template', 3), null);
+  assert.deepStrictEqual(registry.versions('my-template').map(version => version.file), ['v1.md', 'v2.md']);
+});
+
+test('rejects duplicate ids, unknown placeholders, invalid content and ids that are not slugs', t => {
+  const dir = tempDir(t);
+  const registry = new TemplateRegistry(dir, {
+    validate: content => {
+      if (!content.startsWith('#')) throw new TemplateError('Script must start with a title');
+    }
+  });
+  registry.create({ id: 'base', content: '# {{topic}}' });
+
+  rejects(() => registry.create({ id: 'base', content: '# {{topic}}' }), 409, /already exists/);
+  rejects(() => registry.create({ id: 'other', content: '# {{topic}} {{audience}} {{#audience}}x{{/audience}}' }), 400, /Unknown placeholders: audience$/);
+  rejects(() => registry.create({ id: 'other', content: 'No title' }), 400, /start with a title/);
+  rejects(() => registry.create({ name: '!!!', content: '# x' }), 400, /id or name is required/);
+  rejects(() => registry.update('missing', { name: 'x' }), 404, /Template not found/);
+
+  fs.mkdirSync(path.join(dir, 'outside'));
+  fs.writeFileSync(path.join(dir, 'outside', 'meta.json'), '{}');
+  assert.strictEqual(registry.get('../' + path.basename(dir) + '/outside'), null);
+  assert.strictEqual(registry.has('Base'), false);
+});
@@ -0,0 +1,88 @@
+// Run with: node --test migrated_functionality/test
+const test = require('node:test');
+const assert = require('node:assert');
+const { CATEGORIES, generateMetadata, buildChapters, buildUploadManifest } = require('../src/video-metadata');
+
+const SCRIPT = [
+  '# AI Agents in 2026',
+  '## Hook (0-30 seconds)',
+  'Why agents matter.',
+  '## Main Content (30 seconds - 4 minutes)',
+  'How they work.',
+  '## Call to Action (4-5 minutes)',
+  'Subscribe.'
+].join('\n');
+
+// A rendered timeline: 4s title card, then one slide per section
+const slides = durations => {
+  let start = 4;
+  return [{ kind: 'title', heading: 'AI Agents in 2026', start: 0, duration: 4 }, ...durations.map(([heading, duration]) => {
+    const slide = { kind: 'section', heading, start, duration };
+    start += duration;
+    return slide;
+  })];
+};
+
+test('chapters follow the rendered slide timeline, not the script heading times', () => {
+  const timeline = slides([['Hook (0-30 seconds)', 12], ['Main Content (30 seconds - 4 minutes)', 15], ['Call to Action (4-5 minutes)', 12]]);
+  assert.deepStrictEqual(buildChapters(SCRIPT, timeline, 43), [
+    { start: 0, title: 'Hook' },
+    { start: 16, title: 'Main Content' },
+    { start: 31, title: 'Call to Action' }
+  ]);
+});
+
+test('chapters never point past the end of the video', () => {
+  // Heading times span five minutes; a 40-second video keeps only what fits
+  assert.deepStrictEqual(buildChapters(SCRIPT, [], 40), []);
+  assert.deepStrictEqual(buildChapters(SCRIPT).map(chapter => chapter.start), [0, 30, 240]);
+});
+
+test('short slides fold into the previous chapter, and too few chapters mean none', () => {
+  const timeline = slides([['One', 12], ['Two', 5], ['Three', 12], ['Four', 12]]);
+  assert.deepStrictEqual(buildChapters('', timeline, 45).map(chapter => chapter.title), ['One', 'Three', 'Four']);
+  // About 20 seconds of 5-second slides is too short for YouTube chapters
+  assert.deepStrictEqual(buildChapters('', slides([['One', 5], ['Two', 5], ['Three', 6]]), 20), []);
+});
+
+test('metadata carries calendar tags, a category and chapters in the description', () => {
+  const timeline = slides([['Hook', 12], ['Main Content', 15], ['Call to Action', 12]]);
+  const metadata = generateMetadata({
+    video: { id: 'video-1', title: 'AI Agents in 2026', slides: timeline, duration: 43 },
+    scriptRecord: { topic: 'AI agents', style: 'educational' },
+    script: SCRIPT,
+    calendarEntry: { tags: ['agents', 'AI agents'], publish_at: '2026-11-01T09:00:00.000Z' }
+  });
+
+  assert.strictEqual(metadata.title, 'AI Agents in 2026');
+  assert.deepStrictEqual(metadata.tags, ['agents', 'AI agents', 'educational']);
+  assert.deepStrictEqual(metadata.category, CATEGORIES.education);
+  assert.strictEqual(metadata.publish_at, '2026-11-01T09:00:00.000Z');
+  assert.strictEqual(metadata.privacy_status, 'private');
+  assert.match(metadata.description, /Chapters:\n0:00 Hook\n0:16 Main Content\n0:31 Call to Action/);
+  assert.deepStrictEqual(metadata.chapters.map(chapter => chapter.timestamp), ['0:00', '0:16', '0:31']);
+  assert.strictEqual(metadata.thumbnail_text, 'AGENTS 2026');
+});
+
+test('exports upload manifests as JSON or quoted CSV', () => {
+  const entries = [{
+    video: { id: 'video-1', file_path: '/videos/video-1.mp4' },
+    metadata: {
+      title: 'Agents, "explained"',
+      description: 'Line one\nLine two',
+      tags: ['ai', 'agents'],
+      category: CATEGORIES.science_technology,
+      thumbnail_text: 'AGENTS',
+      privacy_status: 'private',
+      publish_at: null
+    }
+  }];
+
+  const json = buildUploadManifest(entries);
+  assert.strictEqual(json.total, 1);
+  assert.deepStrictEqual(json.videos[0].tags, ['ai', 'agents']);
+
+  const [header, row] = buildUploadManifest(entries, 'csv').split(/\n(?=video-1)/);
+  assert.strictEqual(header, 'video_id,file_path,title,description,tags,category_id,thumbnail_text,privacy_status,publish_at');
+  assert.strictEqual(row, 'video-1,/videos/video-1.mp4,"Agents, ""explained""","Line one\nLine two",ai|agents,28,AGENTS,private,\n');
+});
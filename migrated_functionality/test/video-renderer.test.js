@@ -0,0 +1,48 @@
+// Run with: node --test migrated_functionality/test
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseScriptSections, buildSlides, renderScriptVideo } = require('../src/video-renderer');
+
+const SCRIPT = [
+  '# Agents 101',
+  '## Hook',
+  'Why agents matter.',
+  '',
+  '## Deep Dive',
+  Array.from({ length: 80 }, (_, i) => `word${i}`).join(' '),
+  '---',
+  '*Generated for IZA OS*'
+].join('\n');
+
+test('splits a script into a title and sections, dropping the footer', () => {
+  assert.deepStrictEqual(parseScriptSections(SCRIPT), {
+    title: 'Agents 101',
+    sections: [
+      { heading: 'Hook', body: 'Why agents matter.' },
+      { heading: 'Deep Dive', body: Array.from({ length: 80 }, (_, i) => `word${i}`).join(' ') }
+    ]
+  });
+});
+
+test('lays slides out back to back, sized by word count within the limits', () => {
+  const { slides, duration } = buildSlides(parseScriptSections(SCRIPT));
+  assert.deepStrictEqual(slides.map(({ kind, start, duration: length }) => [kind, start, length]),
+    [['title', 0, 4], ['section', 4, 5], ['section', 9, 20]]);
+  assert.strictEqual(duration, 29);
+});
+
+test('an already-aborted signal rejects without starting a render', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iza-render-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const controller = new AbortController();
+  controller.abort();
+
+  await assert.rejects(
+    renderScriptVideo({ script: SCRIPT, outputPath: path.join(dir, 'video.mp4'), signal: controller.signal }),
+    /aborted before it started/
+  );
+  assert.deepStrictEqual(fs.readdirSync(dir), [], 'no work directory or output was created');
+});